@@ -3,13 +3,20 @@
 /**
  * Script to download all Glenn Berry diagnostic query packs
  * This should be run during build/setup to pre-bundle all query files
+ *
+ * Each pack's SHA-256 and source URL are recorded in manifest.json, which
+ * the tool checks packs against before running them. A pack that changed
+ * since the last download is archived under history/ first, so the two
+ * revisions can be compared with `diff-packs`.
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 
 const QUERY_PACKS_DIR = path.join(__dirname, '..', 'data', 'query-packs');
+const HISTORY_DIR = 'history';
 
 // Official Glenn Berry Dropbox URLs
 const QUERY_PACK_URLS = {
@@ -33,6 +40,7 @@ async function downloadQueryPack(version, url) {
     
     const response = await axios.get(url, {
       timeout: 60000,
+      responseType: 'arraybuffer',
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
       }
@@ -41,16 +49,23 @@ async function downloadQueryPack(version, url) {
     const filename = `sql-server-${version}-queries.sql`;
     const filepath = path.join(QUERY_PACKS_DIR, filename);
     
-    await fs.writeFile(filepath, response.data, 'utf8');
+    const data = Buffer.from(response.data);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const archived = await archiveQueryPack(filepath, sha256);
+    await fs.writeFile(filepath, data);
     
-    const sizeKB = Math.round(response.data.length / 1024);
-    console.log(`✅ Downloaded SQL Server ${version} (${sizeKB} KB) -> ${filename}`);
+    const sizeKB = Math.round(data.length / 1024);
+    console.log(`✅ Downloaded SQL Server ${version} (${sizeKB} KB, sha256 ${sha256}) -> ${filename}`);
     
     return {
       version,
       filename,
-      size: response.data.length,
-      downloadedAt: new Date().toISOString()
+      size: data.length,
+      sha256,
+      source: 'download',
+      url,
+      downloadedAt: new Date().toISOString(),
+      archived
     };
     
   } catch (error) {
@@ -59,6 +74,26 @@ async function downloadQueryPack(version, url) {
   }
 }
 
+// Keeps the installed pack when the download differs from it, named like
+// the web UI's archives: <pack name>-<first 12 hex digits of the SHA-256>.sql
+async function archiveQueryPack(filepath, newSha256) {
+  if (!(await fs.pathExists(filepath))) {
+    return null;
+  }
+
+  const data = await fs.readFile(filepath);
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  if (sha256 === newSha256) {
+    return null;
+  }
+
+  const file = path.posix.join(HISTORY_DIR, `${path.basename(filepath, '.sql')}-${sha256.slice(0, 12)}.sql`);
+  await fs.ensureDir(path.join(QUERY_PACKS_DIR, HISTORY_DIR));
+  await fs.copy(filepath, path.join(QUERY_PACKS_DIR, file));
+
+  return { size: data.length, sha256, file };
+}
+
 async function main() {
   console.log('🔍 Glenn Berry SQL Server Diagnostic Query Pack Downloader\n');
   
@@ -82,21 +117,36 @@ async function main() {
     await new Promise(resolve => setTimeout(resolve, 1000));
   }
   
-  // Create manifest file
+  // Update the manifest, keeping entries for packs that failed to download
+  // (or were uploaded) so their checksums still apply
+  const manifestPath = path.join(QUERY_PACKS_DIR, 'manifest.json');
+  const existing = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath) : {};
+
+  const packs = results.reduce((acc, pack) => {
+    const { history = [], ...previous } = acc[pack.version] || {};
+    if (pack.archived) {
+      const recorded = previous.sha256 === pack.archived.sha256 ? previous : { filename: pack.filename };
+      history.push({ ...recorded, ...pack.archived, archivedAt: pack.downloadedAt });
+    }
+
+    acc[pack.version] = {
+      filename: pack.filename,
+      size: pack.size,
+      sha256: pack.sha256,
+      source: pack.source,
+      url: pack.url,
+      downloadedAt: pack.downloadedAt,
+      history
+    };
+    return acc;
+  }, { ...existing.packs });
+
   const manifest = {
     downloadedAt: new Date().toISOString(),
-    totalPacks: results.length,
-    packs: results.reduce((acc, pack) => {
-      acc[pack.version] = {
-        filename: pack.filename,
-        size: pack.size,
-        downloadedAt: pack.downloadedAt
-      };
-      return acc;
-    }, {})
+    totalPacks: Object.keys(packs).length,
+    packs
   };
   
-  const manifestPath = path.join(QUERY_PACKS_DIR, 'manifest.json');
   await fs.writeJson(manifestPath, manifest, { spaces: 2 });
   
   console.log(`\n📋 Created manifest: ${manifestPath}`);
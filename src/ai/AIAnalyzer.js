@@ -218,7 +218,7 @@ Keep recommendations specific and actionable. Focus on the most impactful improv
     try {
       switch (this.provider) {
         case 'openai':
-          const response = await this.openai.chat.completions.create({
+          await this.openai.chat.completions.create({
             model: this.config.openai.model || 'gpt-4',
             messages: [{ role: 'user', content: 'Hello' }],
             max_tokens: 10
@@ -230,7 +230,7 @@ Keep recommendations specific and actionable. Focus on the most impactful improv
           };
 
         case 'ollama':
-          const ollamaResponse = await axios.post(`${this.config.ollama.url}/api/generate`, {
+          await axios.post(`${this.config.ollama.url}/api/generate`, {
             model: this.config.ollama.model,
             prompt: 'Hello',
             stream: false
@@ -1,4 +1,30 @@
 const sql = require('mssql');
+const tls = require('tls');
+const fs = require('fs-extra');
+const ConnectionStringParser = require('../utils/ConnectionStringParser');
+
+// Shown in sys.dm_exec_sessions so DBAs can tell the tool's sessions apart
+const DEFAULT_APPLICATION_NAME = 'glenberry-sql-diagnostic-tool';
+
+// 'strict' is TDS 8.0: TLS is negotiated before any TDS traffic
+const ENCRYPTION_MODES = {
+  strict: 'strict',
+  mandatory: true,
+  optional: false
+};
+
+// Public client id registered for SQL Server tools, used for Azure AD
+// password logins when no app registration is configured
+const AZURE_AD_DEFAULT_CLIENT_ID = '7f98cb04-cd1e-40df-9140-3bf7e2cea4db';
+
+// SERVERPROPERTY('EngineEdition') values for Azure-hosted engines
+const AZURE_PLATFORMS = {
+  5: 'azure-sql-database',
+  8: 'azure-sql-managed-instance'
+};
+
+// master, tempdb, model and msdb always take database ids 1-4
+const SYSTEM_DATABASES = ['master', 'tempdb', 'model', 'msdb'];
 
 class ConnectionManager {
   constructor(config, logger) {
@@ -6,14 +32,27 @@ class ConnectionManager {
     this.logger = logger;
     this.pool = null;
     this.isConnected = false;
+    this.activeRequests = new Set();
   }
 
   async connect() {
     try {
+      if (this.config.connectionString) {
+        const { ignored, unknown } = ConnectionStringParser.parse(this.config.connectionString);
+        if (ignored.length > 0) {
+          this.logger.warn(`Ignoring connection string keywords: ${ignored.join(', ')} (encryption comes from the encryption settings)`);
+        }
+        if (unknown.length > 0) {
+          this.logger.warn(`Unrecognised connection string keywords: ${unknown.join(', ')}`);
+        }
+      }
+
+      const endpoint = this.getEndpoint();
       const connectionConfig = {
-        server: this.config.server,
-        database: this.config.database || 'master',
-        requestTimeout: this.config.queries?.timeout || 30000,
+        server: endpoint.server,
+        database: endpoint.database,
+        // Per-query timeouts are set on each request; this covers everything else
+        requestTimeout: this.config.requestTimeout || 30000,
         connectionTimeout: 15000,
         pool: {
           max: 10,
@@ -22,29 +61,57 @@ class ConnectionManager {
         }
       };
 
+      connectionConfig.options = {
+        ...(await this.getEncryptionOptions()),
+        appName: endpoint.applicationName,
+        readOnlyIntent: endpoint.applicationIntent === 'ReadOnly',
+        multiSubnetFailover: endpoint.multiSubnetFailover
+      };
+
+      // A port takes precedence over the instance name, as with SQL Server clients
+      if (endpoint.port) {
+        connectionConfig.port = endpoint.port;
+      } else if (endpoint.instanceName) {
+        connectionConfig.options.instanceName = endpoint.instanceName;
+      }
+
       // Configure authentication
-      if (this.config.authentication.type === 'sql') {
-        connectionConfig.user = this.config.authentication.username;
-        connectionConfig.password = this.config.authentication.password;
-        connectionConfig.options = {
-          encrypt: false, // Set to true for Azure
-          trustServerCertificate: true
-        };
+      const authentication = this.config.authentication || {};
+      if (authentication.type === 'sql') {
+        connectionConfig.user = authentication.username;
+        connectionConfig.password = authentication.password;
+      } else if (authentication.type === 'windows') {
+        // Only honoured by the msnodesqlv8 driver; tedious needs explicit NTLM credentials
+        this.logger.warn('Windows integrated authentication is not supported by the tedious driver, use ntlm with domain credentials instead');
+        connectionConfig.options.trustedConnection = true;
       } else {
-        // Windows authentication
-        connectionConfig.options = {
-          trustedConnection: true,
-          encrypt: false,
-          trustServerCertificate: true
-        };
+        connectionConfig.authentication = this.getDriverAuthentication(authentication);
       }
 
-      this.pool = await sql.connect(connectionConfig);
+      // A dedicated pool per manager: sql.connect() hands out a process-wide
+      // singleton, so concurrent runs would share (and close) each other's pool
+      const pool = new sql.ConnectionPool(connectionConfig);
+      pool.on('error', (error) => {
+        this.logger.error('Connection pool error', error);
+      });
+
+      try {
+        await pool.connect();
+      } catch (error) {
+        await pool.close().catch(() => {});
+        throw error;
+      }
+
+      this.pool = pool;
       this.isConnected = true;
       
       this.logger.info('Connected to SQL Server', {
-        server: this.config.server,
-        database: this.config.database
+        server: endpoint.server,
+        instanceName: endpoint.instanceName,
+        port: endpoint.port,
+        database: endpoint.database,
+        applicationIntent: endpoint.applicationIntent,
+        encrypt: connectionConfig.options.encrypt
       });
 
     } catch (error) {
@@ -53,6 +120,119 @@ class ConnectionManager {
     }
   }
 
+  /**
+   * Resolves where to connect from the discrete fields, accepting
+   * `host\instance,port` in `server`. Explicit `port` and `instanceName`
+   * fields win over values embedded in the server name.
+   */
+  getEndpoint() {
+    const parsed = ConnectionStringParser.parseServer(this.config.server || '');
+
+    return {
+      server: parsed.server,
+      instanceName: this.config.instanceName || parsed.instanceName || null,
+      port: parseInt(this.config.port || parsed.port) || null,
+      database: this.config.database || 'master',
+      applicationName: this.config.applicationName || DEFAULT_APPLICATION_NAME,
+      applicationIntent: this.config.applicationIntent === 'ReadOnly' ? 'ReadOnly' : 'ReadWrite',
+      multiSubnetFailover: this.config.multiSubnetFailover === true
+    };
+  }
+
+  /**
+   * Builds the driver's TLS options from the `encryption` config:
+   *
+   *   { mode, trustServerCertificate, caFile, pinnedCertificate, hostNameInCertificate }
+   *
+   * A CA bundle extends the trusted roots; a pinned certificate replaces them,
+   * so only that exact certificate (or certificates it signed) is accepted.
+   */
+  async getEncryptionOptions() {
+    const encryption = this.config.encryption || {};
+    const mode = encryption.mode || 'mandatory';
+
+    if (!(mode in ENCRYPTION_MODES)) {
+      throw new Error(`Unknown encryption mode '${mode}', expected one of: ${Object.keys(ENCRYPTION_MODES).join(', ')}`);
+    }
+
+    const options = {
+      encrypt: ENCRYPTION_MODES[mode],
+      trustServerCertificate: mode !== 'strict' && encryption.trustServerCertificate === true
+    };
+
+    if (encryption.hostNameInCertificate) {
+      options.serverName = encryption.hostNameInCertificate;
+    }
+
+    if (encryption.pinnedCertificate) {
+      options.cryptoCredentialsDetails = {
+        ca: await fs.readFile(encryption.pinnedCertificate)
+      };
+      options.trustServerCertificate = false;
+    } else if (encryption.caFile) {
+      options.cryptoCredentialsDetails = {
+        ca: [...tls.rootCertificates, await fs.readFile(encryption.caFile, 'utf8')]
+      };
+    }
+
+    if (mode === 'optional') {
+      this.logger.warn('Encryption mode is optional: the connection is only encrypted if the server requires it');
+    }
+
+    return options;
+  }
+
+  /**
+   * Maps the tool's authentication types onto the driver's.
+   */
+  getDriverAuthentication(authentication) {
+    switch (authentication.type) {
+      case 'ntlm':
+        return {
+          type: 'ntlm',
+          options: {
+            domain: authentication.domain,
+            userName: authentication.username,
+            password: authentication.password
+          }
+        };
+      case 'azure-ad-password':
+        return {
+          type: 'azure-active-directory-password',
+          options: {
+            userName: authentication.username,
+            password: authentication.password,
+            clientId: authentication.clientId || AZURE_AD_DEFAULT_CLIENT_ID,
+            tenantId: authentication.tenantId
+          }
+        };
+      case 'azure-ad-service-principal':
+        return {
+          type: 'azure-active-directory-service-principal-secret',
+          options: {
+            clientId: authentication.clientId,
+            clientSecret: authentication.clientSecret,
+            tenantId: authentication.tenantId
+          }
+        };
+      case 'azure-ad-managed-identity':
+        // clientId selects a user-assigned identity; omit it for system-assigned
+        return {
+          type: 'azure-active-directory-msi-vm',
+          options: authentication.clientId ? { clientId: authentication.clientId } : {}
+        };
+      case 'azure-ad-access-token':
+        return {
+          type: 'azure-active-directory-access-token',
+          options: {
+            token: authentication.token
+          }
+        };
+      default:
+        throw new Error(`Unsupported authentication type '${authentication.type}'`);
+    }
+  }
+
   async getServerInfo() {
     if (!this.isConnected) {
       throw new Error('Not connected to SQL Server');
@@ -66,20 +246,37 @@ class ConnectionManager {
           SERVERPROPERTY('ProductVersion') as productVersion,
           SERVERPROPERTY('ProductMajorVersion') as majorVersion,
           SERVERPROPERTY('Edition') as edition,
-          SERVERPROPERTY('EngineEdition') as engineEdition
+          SERVERPROPERTY('EngineEdition') as engineEdition,
+          CONNECTIONPROPERTY('encrypt_option') as encryptOption,
+          CONNECTIONPROPERTY('local_tcp_port') as tcpPort,
+          DATABASEPROPERTYEX(DB_NAME(), 'Updateability') as updateability
       `);
 
       const serverInfo = result.recordset[0];
       
       this.logger.debug('Retrieved server info', serverInfo);
+
+      const engineEdition = parseInt(serverInfo.engineEdition);
+      const platform = AZURE_PLATFORMS[engineEdition] || 'sql-server';
+      const majorVersion = parseInt(serverInfo.majorVersion);
       
       return {
         serverName: serverInfo.serverName,
         version: serverInfo.version,
         productVersion: serverInfo.productVersion,
-        majorVersion: parseInt(serverInfo.majorVersion),
+        majorVersion,
         edition: serverInfo.edition,
-        engineEdition: serverInfo.engineEdition
+        engineEdition,
+        platform,
+        // Azure engines report a fixed major version, so they get their own packs
+        queryPackVersion: platform === 'sql-server' ? majorVersion : platform,
+        encrypted: String(serverInfo.encryptOption).toUpperCase() === 'TRUE',
+        // What was asked for, plus what the server reports for this session
+        connection: {
+          ...this.getEndpoint(),
+          tcpPort: serverInfo.tcpPort,
+          updateability: serverInfo.updateability
+        }
       };
 
     } catch (error) {
@@ -88,14 +285,46 @@ class ConnectionManager {
     }
   }
 
+  async getUserDatabases() {
+    if (!this.isConnected) {
+      throw new Error('Not connected to SQL Server');
+    }
+
+    try {
+      const result = await this.pool.request().query(`
+        SELECT name, database_id AS databaseId, state_desc AS state, HAS_DBACCESS(name) AS hasAccess
+        FROM sys.databases WITH (NOLOCK)
+        ORDER BY name
+      `);
+
+      return result.recordset.filter(ConnectionManager.isUserDatabase).map(row => row.name);
+
+    } catch (error) {
+      this.logger.error('Failed to list user databases', error);
+      throw new Error(`Failed to list user databases: ${error.message}`);
+    }
+  }
+
+  /**
+   * What `databases: 'all'` runs in: online user databases the login can
+   * open. Filtered here rather than in SQL so the rule can be tested.
+   */
+  static isUserDatabase(row) {
+    return row.databaseId > 4 &&
+      !SYSTEM_DATABASES.includes(String(row.name).toLowerCase()) &&
+      row.state === 'ONLINE' &&
+      row.hasAccess === 1;
+  }
+
   async executeQuery(query, timeout = null) {
     if (!this.isConnected) {
       throw new Error('Not connected to SQL Server');
     }
 
+    const request = this.pool.request();
+    this.activeRequests.add(request);
+
     try {
-      const request = this.pool.request();
-      
       if (timeout) {
         request.timeout = timeout;
       }
@@ -106,14 +335,31 @@ class ConnectionManager {
     } catch (error) {
       this.logger.error('Query execution failed', { query: query.substring(0, 100), error: error.message });
       throw error;
+    } finally {
+      this.activeRequests.delete(request);
     }
   }
 
+  cancelActiveRequests() {
+    for (const request of this.activeRequests) {
+      try {
+        request.cancel();
+      } catch (error) {
+        this.logger.warn('Failed to cancel request', { error: error.message });
+      }
+    }
+
+    this.logger.info(`Cancelled ${this.activeRequests.size} in-flight requests`);
+  }
+
   async disconnect() {
     if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      this.isConnected = false;
+
       try {
-        await this.pool.close();
-        this.isConnected = false;
+        await pool.close();
         this.logger.info('Disconnected from SQL Server');
       } catch (error) {
         this.logger.error('Error during disconnect', error);
@@ -126,4 +372,7 @@ class ConnectionManager {
   }
 }
 
+ConnectionManager.ENCRYPTION_MODES = Object.keys(ENCRYPTION_MODES);
+ConnectionManager.AZURE_PLATFORMS = AZURE_PLATFORMS;
+
 module.exports = ConnectionManager;
@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const PACK_EXTENSIONS = ['.sql', '.yaml', '.yml', '.json'];
+
+// "-- @name: Replication latency" in a SQL pack's query header
+const HEADER_TAG = /^--\s*@(\w+)\s*:?\s*(.*)$/;
+
+const QUERY_FIELDS = ['id', 'name', 'section', 'description', 'minVersion', 'timeout', 'scope', 'query'];
+
+/**
+ * In-house query packs kept in `<dataDir>/custom-packs`, run alongside
+ * Glenn Berry's pack. A pack's id is its file name without the extension.
+ *
+ * SQL packs separate queries with a `------` line, like Glenn's packs, and
+ * describe each one in a comment header:
+ *
+ *   -- @name: Replication latency
+ *   -- @section: Replication
+ *   -- @description: Undistributed commands per subscription
+ *   -- @minVersion: 2016
+ *   -- @timeout: 60000
+ *   -- @scope: instance
+ *   SELECT ...
+ *
+ * YAML and JSON packs hold `{ name, description, queries: [...] }` with the
+ * same fields per query. Only `name` and `query` are required.
+ */
+class CustomQueryPacks {
+  constructor(logger, directory) {
+    this.logger = logger;
+    this.directory = directory;
+  }
+
+  /**
+   * Every pack in the directory, with its queries or the reason it could
+   * not be read.
+   */
+  async list() {
+    if (!this.directory || !(await fs.pathExists(this.directory))) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.directory))
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    const packs = [];
+    for (const file of files) {
+      const id = CustomQueryPacks.packId(file);
+
+      try {
+        const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+        packs.push(this.parse(id, file, content));
+      } catch (error) {
+        this.logger.warn(`Skipping custom query pack ${file}: ${error.message}`);
+        packs.push({ id, file, name: id, queries: [], error: error.message });
+      }
+    }
+
+    return packs;
+  }
+
+  /**
+   * Queries from the selected packs (all packs when `selection` is not an
+   * array) that support the given SQL Server version.
+   */
+  async loadQueries(sqlServerVersion, selection = null) {
+    if (Array.isArray(selection) && selection.length === 0) {
+      return [];
+    }
+
+    const packs = (await this.list()).filter(pack =>
+      !pack.error && (!Array.isArray(selection) || selection.includes(pack.id)));
+
+    const queries = [];
+    for (const pack of packs) {
+      const supported = pack.queries.filter(query => CustomQueryPacks.supportsVersion(query.minVersion, sqlServerVersion));
+      queries.push(...supported);
+
+      this.logger.info(`Loaded ${supported.length} of ${pack.queries.length} queries from custom pack ${pack.file}`);
+    }
+
+    if (Array.isArray(selection)) {
+      for (const id of selection.filter(id => !packs.some(pack => pack.id === id))) {
+        this.logger.warn(`Custom query pack '${id}' not found in ${this.directory}`);
+      }
+    }
+
+    return queries;
+  }
+
+  parse(id, file, content) {
+    const extension = path.extname(file).toLowerCase();
+    const pack = extension === '.sql'
+      ? { name: id, queries: this.parseSqlPack(content) }
+      : CustomQueryPacks.readStructuredPack(extension === '.json' ? JSON.parse(content) : yaml.load(content));
+
+    const usedIds = new Set();
+    const queries = pack.queries.map((fields, index) => {
+      const query = CustomQueryPacks.toQuery(id, fields, index);
+      if (usedIds.has(query.id)) {
+        throw new Error(`Duplicate query id '${query.id}'`);
+      }
+      usedIds.add(query.id);
+      return query;
+    });
+
+    return {
+      id,
+      file,
+      name: pack.name || id,
+      description: pack.description || null,
+      format: extension === '.sql' ? 'sql' : extension.slice(1).replace('yml', 'yaml'),
+      queries
+    };
+  }
+
+  /**
+   * Splits a SQL pack on `------` lines; `@tag` comments before the SQL set
+   * the query's fields.
+   */
+  parseSqlPack(content) {
+    const queries = [];
+
+    for (const block of content.split(/^------\s*$/m)) {
+      const fields = {};
+      const sqlLines = [];
+
+      for (const line of block.split('\n')) {
+        const tag = sqlLines.length === 0 ? HEADER_TAG.exec(line.trim()) : null;
+
+        if (tag) {
+          fields[tag[1]] = tag[2].trim();
+        } else if (sqlLines.length > 0 || (line.trim() && !line.trim().startsWith('--'))) {
+          sqlLines.push(line);
+        }
+      }
+
+      const query = sqlLines.join('\n').trim();
+      if (Object.keys(fields).length === 0 && !query) {
+        continue;
+      }
+
+      queries.push({ ...fields, query });
+    }
+
+    return queries;
+  }
+
+  static readStructuredPack(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.queries)) {
+      throw new Error('Pack must contain a "queries" list');
+    }
+    return data;
+  }
+
+  /**
+   * Normalizes one query definition to the shape QueryParser produces, so
+   * custom results are selected, run and reported like built-in ones.
+   */
+  static toQuery(packId, fields, index) {
+    const position = `Query ${index + 1}`;
+
+    if (!fields || typeof fields !== 'object') {
+      throw new Error(`${position} is not an object`);
+    }
+
+    const unknown = Object.keys(fields).filter(field => !QUERY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${position} has unknown fields: ${unknown.join(', ')}`);
+    }
+
+    if (!fields.name || !String(fields.name).trim()) {
+      throw new Error(`${position} needs a name`);
+    }
+
+    if (!fields.query || !String(fields.query).trim()) {
+      throw new Error(`${position} (${fields.name}) needs a query`);
+    }
+
+    if (fields.scope && !['instance', 'database'].includes(fields.scope)) {
+      throw new Error(`${position} (${fields.name}): scope must be instance or database`);
+    }
+
+    const timeout = fields.timeout !== undefined && fields.timeout !== '' ? parseInt(fields.timeout) : null;
+    if (timeout !== null && !(timeout >= 1000)) {
+      throw new Error(`${position} (${fields.name}): timeout must be at least 1000ms`);
+    }
+
+    const slug = CustomQueryPacks.slugify(fields.id || fields.name);
+    const name = String(fields.name).trim();
+
+    return {
+      id: `custom-${packId}-${slug}`,
+      key: `custom-${packId}-${slug}`,
+      name,
+      section: fields.section ? String(fields.section).trim() : 'Custom Queries',
+      description: fields.description ? String(fields.description).trim() : name,
+      query: String(fields.query).trim(),
+      scope: fields.scope || 'instance',
+      timeout: timeout || undefined,
+      minVersion: fields.minVersion !== undefined && fields.minVersion !== '' ? fields.minVersion : null,
+      pack: packId
+    };
+  }
+
+  /**
+   * Minimum versions are SQL Server years (2016) or major versions (13).
+   * Azure platforms always run the latest engine, so every query applies.
+   */
+  static supportsVersion(minVersion, sqlServerVersion) {
+    if (minVersion === null || minVersion === undefined || String(sqlServerVersion).startsWith('azure-')) {
+      return true;
+    }
+
+    return CustomQueryPacks.toReleaseYear(sqlServerVersion) >= CustomQueryPacks.toReleaseYear(minVersion);
+  }
+
+  static toReleaseYear(version) {
+    const number = parseInt(version);
+    if (number >= 2000) {
+      return number;
+    }
+
+    const years = { 9: 2005, 10: 2008, 11: 2012, 12: 2014, 13: 2016, 14: 2017, 15: 2019, 16: 2022, 17: 2025 };
+    return years[number] || 0;
+  }
+
+  static packId(file) {
+    return CustomQueryPacks.slugify(path.basename(file, path.extname(file)));
+  }
+
+  static slugify(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'query';
+  }
+}
+
+module.exports = CustomQueryPacks;
@@ -0,0 +1,427 @@
+const ConnectionManager = require('./ConnectionManager');
+const QueryParser = require('./QueryParser');
+const ExecutionEngine = require('./ExecutionEngine');
+const HealthChecker = require('./HealthChecker');
+const PreflightChecker = require('./PreflightChecker');
+const QueryGuard = require('./QueryGuard');
+const AIAnalyzer = require('../ai/AIAnalyzer');
+const ReportGenerator = require('../reports/ReportGenerator');
+
+// Exit codes for headless runs so pipelines can tell failures apart
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  queryFailures: 2,
+  healthChecks: 3,
+  cancelled: 130
+};
+
+/**
+ * Runs a complete diagnostic pipeline (connect, load queries, execute,
+ * analyze, report) independently of how progress is presented, so the
+ * web UI and the headless CLI share the same flow.
+ */
+class DiagnosticRunner {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.id = `run-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    this.startedAt = null;
+    this.server = null;
+    this.inventory = null;
+    this.stage = 'pending';
+    this.cancelReason = null;
+    this.executionEngine = null;
+  }
+
+  /**
+   * Stops the run: aborts in-flight queries and skips the rest. If queries
+   * have started, the run still finishes with a partial report marked as
+   * cancelled; before that point it fails with a cancellation error.
+   */
+  cancel(reason = 'Cancelled by user') {
+    if (this.cancelReason) {
+      return;
+    }
+
+    this.cancelReason = reason;
+    this.logger.warn(`Cancelling diagnostic run ${this.id}: ${reason}`);
+
+    if (this.executionEngine) {
+      this.executionEngine.cancel();
+    }
+  }
+
+  isCancelled() {
+    return this.cancelReason !== null;
+  }
+
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      const error = new Error(`Diagnostic run cancelled: ${this.cancelReason}`);
+      error.code = 'ECANCELLED';
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      runId: this.id,
+      server: this.server,
+      inventory: this.inventory,
+      stage: this.stage,
+      startedAt: this.startedAt,
+      cancelled: this.isCancelled()
+    };
+  }
+
+  /**
+   * `inventory` is the saved server entry's reference, when the run targets one.
+   */
+  async run({ connectionConfig, aiConfig, queryOptions, inventory }, progressCallback = null) {
+    const emit = (progress) => {
+      this.stage = progress.stage;
+      if (progressCallback) {
+        progressCallback({ runId: this.id, ...progress });
+      }
+    };
+
+    this.startedAt = new Date().toISOString();
+    this.server = connectionConfig.server;
+    this.inventory = inventory || null;
+
+    // Encryption is the operator's policy, never the caller's choice
+    const connectionManager = new ConnectionManager({
+      ...connectionConfig,
+      requestTimeout: queryOptions?.timeout,
+      encryption: this.config.encryption
+    }, this.logger);
+
+    try {
+      // Test connection
+      emit({
+        stage: 'connecting',
+        message: 'Connecting to SQL Server...'
+      });
+
+      await connectionManager.connect();
+      const serverInfo = await connectionManager.getServerInfo();
+      this.throwIfCancelled();
+
+      emit({
+        stage: 'connected',
+        message: `Connected to ${serverInfo.serverName} (${serverInfo.version})`,
+        serverInfo
+      });
+
+      // Load queries
+      emit({
+        stage: 'loading-queries',
+        message: 'Loading diagnostic queries...'
+      });
+
+      const queryParser = new QueryParser(this.logger, null, QueryParser.optionsFromConfig(this.config));
+      const allQueries = await queryParser.loadQueries(serverInfo.queryPackVersion, {
+        customPacks: queryOptions?.customPacks
+      });
+      const selectedQueries = queryParser.filterQueries(allQueries, {
+        include: queryOptions?.include,
+        exclude: queryOptions?.exclude
+      });
+
+      this.throwIfCancelled();
+
+      if (selectedQueries.length === 0) {
+        throw new Error('No diagnostic queries match the selected sections, query ids or name patterns');
+      }
+
+      // Database-level queries run once per target database
+      const databases = await this.resolveDatabases(connectionManager, queryOptions?.databases, selectedQueries, serverInfo);
+      const queries = databases
+        ? queryParser.expandDatabaseQueries(selectedQueries, databases, connectionConfig.database || 'master')
+        : selectedQueries;
+
+      emit({
+        stage: 'queries-loaded',
+        message: (selectedQueries.length === allQueries.length
+          ? `Loaded ${allQueries.length} diagnostic queries`
+          : `Selected ${selectedQueries.length} of ${allQueries.length} diagnostic queries`) +
+          (databases ? `, ${queries.length} executions across ${databases.length} databases` : ''),
+        queryCount: queries.length,
+        availableCount: allQueries.length,
+        databases
+      });
+
+      // Read-only guard. Its settings come from the server's own config, never
+      // from the run's query options, so a client can't switch it off.
+      const guardOptions = this.config.queries || {};
+      const guard = guardOptions.readOnlyGuard !== 'off'
+        ? new QueryGuard(guardOptions, this.logger).check(selectedQueries)
+        : null;
+
+      if (guard) {
+        emit({
+          stage: 'read-only-guard',
+          message: `Read-only guard: ${QueryGuard.describe(guard)}`,
+          guard
+        });
+      }
+
+      // Pre-flight permission check
+      let preflight = null;
+      let runnableQueries = queries;
+      const preflightMode = queryOptions?.preflight || 'skip';
+
+      if (preflightMode !== 'off') {
+        emit({
+          stage: 'preflight',
+          message: 'Checking permissions and capabilities...'
+        });
+
+        preflight = await this.runPreflight(connectionManager, queries, preflightMode);
+
+        if (preflight) {
+          if (preflightMode === 'skip') {
+            runnableQueries = PreflightChecker.skipPredicted(queries, preflight.predictions);
+          }
+
+          emit({
+            stage: 'preflight-complete',
+            message: `Pre-flight: ${PreflightChecker.describe(preflight)}` +
+              (preflight.predictions.length > 0 ? (preflightMode === 'skip' ? ' (skipping)' : ' (running anyway)') : ''),
+            preflight
+          });
+        }
+      }
+
+      if (guard) {
+        const blocked = new Map(guard.findings
+          .filter(finding => finding.action === 'blocked')
+          .map(finding => [finding.id, finding.reasons.join('; ')]));
+
+        runnableQueries = runnableQueries.map(query => blocked.has(query.id)
+          ? { ...query, blockReason: blocked.get(query.id) }
+          : query);
+      }
+
+      if (guardOptions.rollbackTransaction) {
+        runnableQueries = runnableQueries.map(query => ({ ...query, query: QueryGuard.wrapInRollback(query.query) }));
+      }
+
+      this.throwIfCancelled();
+
+      // Execute queries
+      emit({
+        stage: 'executing',
+        message: 'Executing diagnostic queries...'
+      });
+
+      this.executionEngine = new ExecutionEngine(connectionManager, queryOptions || {}, this.logger);
+      if (this.isCancelled()) {
+        this.executionEngine.cancel();
+      }
+
+      const results = await this.executionEngine.executeQueries(runnableQueries, (progress) => {
+        emit({
+          stage: 'executing',
+          message: `Executing queries... (${progress.completed}/${progress.total})`,
+          currentQuery: progress.currentQuery,
+          running: progress.running,
+          progress: {
+            completed: progress.completed,
+            total: progress.total,
+            percentage: Math.round((progress.completed / progress.total) * 100)
+          }
+        });
+      });
+
+      // Health checks
+      const healthChecker = new HealthChecker(this.config.health?.checks, this.logger);
+      const healthFindings = healthChecker.evaluate(results.data);
+
+      // AI Analysis (if enabled)
+      let aiInsights = null;
+      if (aiConfig && aiConfig.provider !== 'none' && !results.cancelled && !results.aborted) {
+        emit({
+          stage: 'ai-analysis',
+          message: 'Analyzing results with AI...'
+        });
+
+        const aiAnalyzer = new AIAnalyzer(aiConfig, this.logger);
+        aiInsights = await aiAnalyzer.analyzeResults(results.data, serverInfo);
+      }
+
+      // Generate Report
+      emit({
+        stage: 'generating-report',
+        message: results.cancelled
+          ? 'Run cancelled, saving partial report...'
+          : results.aborted
+            ? 'Run stopped after a failed query, saving partial report...'
+            : 'Generating diagnostic report...'
+      });
+
+      const executionSummary = {
+        totalQueries: queries.length,
+        successful: results.successful,
+        failed: results.failed,
+        skipped: results.skipped,
+        blocked: results.blocked,
+        rolledBack: Boolean(guardOptions.rollbackTransaction),
+        cancelled: results.cancelled,
+        cancelReason: results.cancelled ? this.cancelReason : undefined,
+        aborted: results.aborted,
+        abortReason: results.aborted ? results.abortReason : undefined,
+        executionTime: results.executionTime
+      };
+
+      const reportGenerator = new ReportGenerator(this.config, this.logger);
+      const reportInfo = await reportGenerator.generateReport({
+        serverInfo,
+        inventory: this.inventory,
+        queryResults: results.data,
+        aiInsights,
+        healthFindings,
+        preflight,
+        guard,
+        executionSummary,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        reportInfo,
+        serverInfo,
+        inventory: this.inventory,
+        results: results.data,
+        aiInsights,
+        healthFindings,
+        preflight,
+        guard,
+        executionSummary
+      };
+
+    } finally {
+      await connectionManager.disconnect();
+    }
+  }
+
+  /**
+   * Works out which databases database-level queries should run in:
+   * 'current' (the default) keeps them in the connection's database,
+   * 'all' means every online user database, or an explicit list of names.
+   * Returns null when no per-database expansion is needed.
+   */
+  async resolveDatabases(connectionManager, selection, queries, serverInfo) {
+    if (!selection || selection === 'current' || !queries.some(q => q.scope === 'database')) {
+      return null;
+    }
+
+    // Azure SQL Database connections are bound to one database; USE can't switch
+    if (serverInfo.platform === 'azure-sql-database') {
+      this.logger.warn('Azure SQL Database cannot switch databases, running database queries in the connected database');
+      return null;
+    }
+
+    if (selection === 'all') {
+      const databases = await connectionManager.getUserDatabases();
+      if (databases.length === 0) {
+        this.logger.warn('No accessible online user databases found, running database queries in the current database');
+        return null;
+      }
+      return databases;
+    }
+
+    // Names are compared case-insensitively, as SQL Server usually does
+    const names = Array.isArray(selection) ? selection : String(selection).split(',');
+    const databases = [];
+    for (const name of names.map(entry => String(entry).trim()).filter(Boolean)) {
+      if (!databases.some(database => database.toLowerCase() === name.toLowerCase())) {
+        databases.push(name);
+      }
+    }
+
+    return databases.length > 0 ? databases : null;
+  }
+
+  async runPreflight(connectionManager, queries, mode) {
+    try {
+      const checker = new PreflightChecker(connectionManager, this.logger);
+      const preflight = await checker.check(queries);
+      return { mode, ...preflight };
+    } catch (error) {
+      // A failed pre-flight shouldn't block the run; queries just fail as before
+      this.logger.warn(`Pre-flight check failed, running all queries: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Compact, machine-readable view of a run for pipelines to gate on.
+   */
+  summarize(outcome, topFindings = 10) {
+    const health = this.config.health || {};
+    const failedQueries = outcome.results
+      .filter(r => !r.success && !r.cancelled && !r.skipped)
+      .map(r => ({ id: r.id, name: r.name, error: r.error }));
+    const blockedQueries = outcome.results
+      .filter(r => r.blocked)
+      .map(r => ({ id: r.id, name: r.name, database: r.database, reason: r.error }));
+
+    // A run stopped by continueOnError is a failure whatever the allowance
+    const queryFailuresBreached = Boolean(outcome.executionSummary.aborted) ||
+      failedQueries.length > (health.maxFailedQueries || 0);
+    const healthBreached = HealthChecker.breachesThreshold(outcome.healthFindings, health.failOn);
+
+    let status = queryFailuresBreached || healthBreached ? 'failed' : 'passed';
+    if (outcome.executionSummary.cancelled) {
+      status = 'cancelled';
+    }
+
+    return {
+      status,
+      server: outcome.serverInfo.serverName,
+      inventory: outcome.inventory || undefined,
+      version: outcome.serverInfo.productVersion,
+      edition: outcome.serverInfo.edition,
+      reportId: outcome.reportInfo.id,
+      counts: {
+        total: outcome.executionSummary.totalQueries,
+        successful: outcome.executionSummary.successful,
+        failed: outcome.executionSummary.failed,
+        skipped: outcome.executionSummary.skipped,
+        blocked: outcome.executionSummary.blocked,
+        findings: outcome.healthFindings.length
+      },
+      executionTime: outcome.executionSummary.executionTime,
+      aborted: outcome.executionSummary.aborted || undefined,
+      failedQueries,
+      blockedQueries,
+      findings: outcome.healthFindings.slice(0, topFindings),
+      breaches: {
+        queryFailures: queryFailuresBreached,
+        healthChecks: healthBreached
+      }
+    };
+  }
+
+  /**
+   * Exit code for a run's summary. A cancellation wins over any breach,
+   * and failed queries over health check findings.
+   */
+  static exitCode(summary) {
+    if (summary.status === 'cancelled') {
+      return EXIT_CODES.cancelled;
+    }
+    if (summary.breaches.queryFailures) {
+      return EXIT_CODES.queryFailures;
+    }
+    if (summary.breaches.healthChecks) {
+      return EXIT_CODES.healthChecks;
+    }
+    return EXIT_CODES.success;
+  }
+}
+
+DiagnosticRunner.EXIT_CODES = EXIT_CODES;
+
+module.exports = DiagnosticRunner;
@@ -1,132 +1,380 @@
-const moment = require('moment');
+const SqlErrorClassifier = require('./SqlErrorClassifier');
+
+// Upper bound for parallel queries, matching the ConnectionManager pool size
+const MAX_CONCURRENCY = 10;
 
 class ExecutionEngine {
   constructor(connectionManager, config, logger) {
     this.connectionManager = connectionManager;
     this.config = config;
     this.logger = logger;
+    this.cancelled = false;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.connectionManager.cancelActiveRequests();
   }
 
   async executeQueries(queries, progressCallback = null) {
     const startTime = Date.now();
     const results = {
-      data: [],
+      data: new Array(queries.length),
       successful: 0,
       failed: 0,
+      skipped: 0,
+      blocked: 0,
+      cancelled: false,
+      aborted: false,
       executionTime: 0
     };
 
-    this.logger.info(`Starting execution of ${queries.length} queries`);
+    const concurrency = this.getConcurrency();
+    const running = new Set();
+    let completed = 0;
+    let abortError = null;
+    let abortedBy = null;
 
-    for (let i = 0; i < queries.length; i++) {
-      const query = queries[i];
-      
-      try {
-        // Update progress
-        if (progressCallback) {
-          progressCallback({
-            completed: i,
-            total: queries.length,
-            currentQuery: query.name
-          });
+    const reportProgress = (currentQuery) => {
+      if (progressCallback) {
+        progressCallback({
+          completed,
+          total: queries.length,
+          currentQuery,
+          running: Array.from(running, position => queries[position].name)
+        });
+      }
+    };
+
+    const runAt = async (index) => {
+      const query = queries[index];
+
+      // Blocked by the read-only guard or predicted to fail by the pre-flight
+      // check, so don't run it at all
+      if (query.blockReason || query.skipReason) {
+        results.data[index] = this.buildSkippedResult(query);
+        results.skipped++;
+        if (query.blockReason) {
+          results.blocked++;
+        }
+        completed++;
+        return;
+      }
+
+      running.add(index);
+      reportProgress(query.name);
+
+      // Results are stored by position so output order never depends on timing
+      const { result, error } = await this.executeQueryForResult(query);
+      results.data[index] = result;
+      running.delete(index);
+      completed++;
+
+      if (this.cancelled && !result.success) {
+        // Aborted mid-flight by a cancellation rather than a real failure
+        result.cancelled = true;
+        result.error = 'Cancelled';
+      } else if (result.success) {
+        results.successful++;
+      } else {
+        results.failed++;
+
+        // Continue on error if configured to do so
+        if (!this.config.continueOnError && !abortError) {
+          abortError = error;
+          abortedBy = query.name;
+        }
+      }
+
+      if (concurrency > 1) {
+        reportProgress(query.name);
+      }
+    };
+
+    this.logger.info(`Starting execution of ${queries.length} queries` +
+      (concurrency > 1 ? ` with concurrency ${concurrency}` : ''));
+
+    for (const phase of this.planPhases(queries, concurrency)) {
+      let next = 0;
+      const worker = async () => {
+        while (!abortError && !this.cancelled && next < phase.length) {
+          await runAt(phase[next++]);
+        }
+      };
+
+      const workerCount = Math.min(concurrency, phase.length);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      if (abortError || this.cancelled) {
+        break;
+      }
+    }
+
+    if (abortError) {
+      // Keep what already ran so the caller can still write a partial report
+      results.data = results.data.filter(Boolean);
+      results.skipped = queries.length - results.successful - results.failed;
+      results.aborted = true;
+      results.abortReason = `${abortedBy} failed: ${abortError.message}`;
+      results.executionTime = Date.now() - startTime;
+
+      this.logger.warn(`Query execution stopped after a failed query (continueOnError is off): ${results.successful} successful, ${results.failed} failed, ${results.skipped} skipped`);
+
+      return results;
+    }
+
+    if (this.cancelled) {
+      // Keep only queries that started; the rest were skipped
+      results.data = results.data.filter(Boolean);
+      results.skipped = queries.length - results.successful - results.failed;
+      results.cancelled = true;
+      results.executionTime = Date.now() - startTime;
+
+      this.logger.warn(`Query execution cancelled: ${results.successful} successful, ${results.failed} failed, ${results.skipped} skipped`);
+
+      return results;
+    }
+
+    // Final progress update
+    if (progressCallback) {
+      progressCallback({
+        completed: queries.length,
+        total: queries.length,
+        currentQuery: 'Complete'
+      });
+    }
+
+    results.executionTime = Date.now() - startTime;
+    
+    this.logger.info(`Query execution completed: ${results.successful} successful, ${results.failed} failed, ${results.executionTime}ms total`);
+    
+    return results;
+  }
+
+  getConcurrency() {
+    const concurrency = parseInt(this.config.concurrency) || 1;
+    return Math.min(Math.max(concurrency, 1), MAX_CONCURRENCY);
+  }
+
+  /**
+   * Splits the queries into phases of positions that may run together.
+   * "Run alone" queries get a phase of their own so they never overlap
+   * with other work; everything else between them shares the pool.
+   */
+  planPhases(queries, concurrency) {
+    if (concurrency === 1) {
+      return [queries.map((query, index) => index)];
+    }
+
+    const phases = [];
+    let current = [];
+
+    queries.forEach((query, index) => {
+      if (this.shouldRunAlone(query)) {
+        if (current.length > 0) {
+          phases.push(current);
+          current = [];
         }
+        phases.push([index]);
+      } else {
+        current.push(index);
+      }
+    });
+
+    if (current.length > 0) {
+      phases.push(current);
+    }
+
+    return phases;
+  }
+
+  shouldRunAlone(query) {
+    const runAlone = this.config.runAlone || [];
+    if (runAlone.includes(query.id) || (query.key && runAlone.includes(query.key))) {
+      return true;
+    }
+
+    const threshold = this.config.runAloneThreshold;
+    return Boolean(threshold) && query.estimatedDuration >= threshold;
+  }
+
+  async executeQueryForResult(query) {
+    const retryHistory = [];
+
+    try {
+      this.logger.debug(`Executing query: ${query.name}`);
+
+      const queryStartTime = Date.now();
+      const queryResult = await this.executeQuery(query, retryHistory);
+      const queryEndTime = Date.now();
 
-        this.logger.debug(`Executing query: ${query.name}`);
-        
-        const queryStartTime = Date.now();
-        const queryResult = await this.executeQuery(query);
-        const queryEndTime = Date.now();
+      // Handle different types of query results
+      const rowCount = queryResult && Array.isArray(queryResult) ? queryResult.length :
+                      queryResult && queryResult.recordset ? queryResult.recordset.length : 0;
+      const resultData = queryResult && Array.isArray(queryResult) ? queryResult :
+                        queryResult && queryResult.recordset ? queryResult.recordset : [];
 
-        // Handle different types of query results
-        const rowCount = queryResult && Array.isArray(queryResult) ? queryResult.length :
-                        queryResult && queryResult.recordset ? queryResult.recordset.length : 0;
-        const resultData = queryResult && Array.isArray(queryResult) ? queryResult :
-                          queryResult && queryResult.recordset ? queryResult.recordset : [];
+      this.logger.debug(`Query completed: ${query.name} (${rowCount} rows)`);
 
-        results.data.push({
+      return {
+        result: {
           id: query.id,
+          key: query.key,
           name: query.name,
           section: query.section,
+          database: query.database,
           description: query.description,
+          guidance: query.guidance,
           success: true,
           executionTime: queryEndTime - queryStartTime,
+          timeout: this.getQueryTimeout(query),
           rowCount: rowCount,
           data: resultData,
+          retries: retryHistory.length,
+          retryHistory,
           timestamp: new Date().toISOString()
-        });
+        }
+      };
 
-        results.successful++;
-        this.logger.debug(`Query completed: ${query.name} (${rowCount} rows)`);
+    } catch (error) {
+      this.logger.error(`Query failed: ${query.name}`, error);
 
-      } catch (error) {
-        this.logger.error(`Query failed: ${query.name}`, error);
-        
-        results.data.push({
+      return {
+        error,
+        result: {
           id: query.id,
+          key: query.key,
           name: query.name,
           section: query.section,
+          database: query.database,
           description: query.description,
+          guidance: query.guidance,
           success: false,
           error: error.message,
+          errorNumber: SqlErrorClassifier.getErrorNumber(error),
+          errorCategory: SqlErrorClassifier.classify(error).category,
           executionTime: 0,
+          timeout: this.getQueryTimeout(query),
           rowCount: 0,
           data: [],
+          // The final failed attempt is not a retry
+          retries: Math.max(retryHistory.length - 1, 0),
+          retryHistory,
           timestamp: new Date().toISOString()
-        });
+        }
+      };
+    }
+  }
 
-        results.failed++;
+  buildSkippedResult(query) {
+    return {
+      id: query.id,
+      key: query.key,
+      name: query.name,
+      section: query.section,
+      database: query.database,
+      description: query.description,
+      guidance: query.guidance,
+      success: false,
+      skipped: true,
+      blocked: query.blockReason ? true : undefined,
+      error: query.blockReason ? `Blocked by the read-only guard: ${query.blockReason}` : `Skipped: ${query.skipReason}`,
+      executionTime: 0,
+      rowCount: 0,
+      data: [],
+      timestamp: new Date().toISOString()
+    };
+  }
 
-        // Continue on error if configured to do so
-        if (!this.config.continueOnError) {
-          throw error;
-        }
-      }
+  /**
+   * Resolves the timeout for one query: an explicit override by id or key
+   * wins, then the query's own budget (unless adaptive timeouts are
+   * disabled), then the global timeout.
+   */
+  getQueryTimeout(query) {
+    const overrides = this.config.timeoutOverrides || {};
+    const override = overrides[query.id] || (query.key && overrides[query.key]);
+    if (override) {
+      return override;
     }
 
-    // Final progress update
-    if (progressCallback) {
-      progressCallback({
-        completed: queries.length,
-        total: queries.length,
-        currentQuery: 'Complete'
-      });
+    if (this.config.adaptiveTimeouts !== false && query.timeout) {
+      return query.timeout;
     }
 
-    results.executionTime = Date.now() - startTime;
-    
-    this.logger.info(`Query execution completed: ${results.successful} successful, ${results.failed} failed, ${results.executionTime}ms total`);
-    
-    return results;
+    return this.config.timeout || 30000;
   }
 
-  async executeQuery(query) {
-    const timeout = this.config.timeout || 30000;
-    let retries = 0;
-    const maxRetries = this.config.maxRetries || 3;
-    const retryDelay = this.config.retryDelay || 1000;
+  /**
+   * Runs a query, retrying only errors classified as transient (deadlocks,
+   * timeouts, connection resets, throttling) with exponential backoff and
+   * jitter. Every failed attempt is appended to `retryHistory`.
+   *
+   * Timeouts have their own, lower cap (`maxTimeoutRetries`): a query that
+   * used its whole budget will most likely use it again, so each retry can
+   * add a full timeout to the run.
+   */
+  async executeQuery(query, retryHistory = []) {
+    const timeout = this.getQueryTimeout(query);
+    const maxRetries = this.config.maxRetries !== undefined ? this.config.maxRetries : 3;
+    const maxTimeoutRetries = this.config.maxTimeoutRetries !== undefined ? this.config.maxTimeoutRetries : 1;
+    let attempt = 0;
+    let timeouts = 0;
+
+    while (true) {
+      attempt++;
 
-    while (retries <= maxRetries) {
       try {
         const result = await this.connectionManager.executeQuery(query.query, timeout);
         return result;
 
       } catch (error) {
-        retries++;
-        
-        if (retries > maxRetries) {
+        const classification = SqlErrorClassifier.classify(error);
+        if (classification.reason === 'timeout') {
+          timeouts++;
+        }
+
+        const willRetry = classification.category === 'transient' && attempt <= maxRetries &&
+          timeouts <= maxTimeoutRetries && !this.cancelled;
+        const delay = willRetry ? this.getRetryDelay(attempt) : 0;
+
+        retryHistory.push({
+          attempt,
+          error: error.message,
+          errorNumber: classification.number,
+          category: classification.category,
+          reason: classification.reason,
+          delay,
+          timestamp: new Date().toISOString()
+        });
+
+        if (!willRetry) {
           throw error;
         }
 
-        this.logger.warn(`Query retry ${retries}/${maxRetries} for ${query.name}: ${error.message}`);
-        
+        this.logger.warn(`Query retry ${attempt}/${maxRetries} for ${query.name} in ${delay}ms (${classification.reason}): ${error.message}`);
+
         // Wait before retry
-        if (retryDelay > 0) {
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        if (this.cancelled) {
+          throw error;
         }
       }
     }
   }
 
+  getRetryDelay(attempt) {
+    const baseDelay = this.config.retryDelay !== undefined ? this.config.retryDelay : 1000;
+    const maxDelay = this.config.maxRetryDelay || 30000;
+    const backoff = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+
+    // Equal jitter: keep half the backoff, randomise the rest
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
   async testConnection() {
     try {
       const result = await this.connectionManager.executeQuery('SELECT 1 as test', 5000);
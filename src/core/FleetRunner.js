@@ -0,0 +1,317 @@
+const DiagnosticRunner = require('./DiagnosticRunner');
+const ReportGenerator = require('../reports/ReportGenerator');
+const ConfigManager = require('../utils/ConfigManager');
+
+// Upper bound for servers diagnosed at once by one fleet job
+const MAX_SERVER_CONCURRENCY = 20;
+
+// Number of waits per server carried into the roll-up
+const TOP_WAITS = 5;
+
+// Total wait time columns and their units: sys.dm_os_wait_stats's own
+// wait_time_ms, and the seconds the packs' Top Waits query reports as
+// [Wait_Sec] (older packs, after Paul Randal's script, use [Wait_S]).
+// Names are matched whole, so averages ([AvgWait_Sec]) and counts
+// ([Wait Count], or a bare [Waits]) are never read as a total time.
+const WAIT_TIME_COLUMNS = [
+  { pattern: /^wait_?time_?ms$/i, unit: 'ms' },
+  { pattern: /^wait_?(?:time_?)?sec(?:onds)?$/i, unit: 's' },
+  { pattern: /^wait_s$/i, unit: 's' }
+];
+
+/**
+ * Runs the diagnostic pipeline against many servers in one job. Each server
+ * gets its own DiagnosticRunner (and so its own connection pool and normal
+ * report); a roll-up report compares the servers side by side at the end.
+ *
+ * A target is `{ connectionConfig, inventory }`, as produced by
+ * `ServerInventory.resolveTargets`. Query options default to the configured
+ * `queries` settings, and AI analysis only runs when an `aiConfig` is given.
+ */
+class FleetRunner {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.id = `fleet-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.stage = 'pending';
+    this.cancelReason = null;
+    this.servers = [];
+    this.runners = new Map();
+    this.reportId = null;
+  }
+
+  /**
+   * Stops the job: servers already running finish with partial reports and
+   * servers not yet started are marked cancelled.
+   */
+  cancel(reason = 'Cancelled by user') {
+    if (this.cancelReason) {
+      return;
+    }
+
+    this.cancelReason = reason;
+    this.logger.warn(`Cancelling fleet job ${this.id}: ${reason}`);
+
+    for (const runner of this.runners.values()) {
+      runner.cancel(reason);
+    }
+  }
+
+  isCancelled() {
+    return this.cancelReason !== null;
+  }
+
+  getStatus() {
+    return {
+      jobId: this.id,
+      stage: this.stage,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      cancelled: this.isCancelled(),
+      concurrency: this.getConcurrency(),
+      counts: this.countStatuses(),
+      reportId: this.reportId,
+      servers: this.servers.map(server => ({ ...server }))
+    };
+  }
+
+  async run({ targets, aiConfig, queryOptions, selection }, progressCallback = null) {
+    const emit = (progress) => {
+      if (progressCallback) {
+        progressCallback({ jobId: this.id, counts: this.countStatuses(), ...progress });
+      }
+    };
+
+    if (!targets || targets.length === 0) {
+      throw new Error('A fleet job needs at least one server');
+    }
+
+    this.startedAt = new Date().toISOString();
+    this.stage = 'running';
+    this.servers = targets.map(target => ({
+      server: target.connectionConfig.server,
+      inventory: target.inventory || null,
+      status: 'pending',
+      stage: null,
+      message: null,
+      runId: null,
+      reportId: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    }));
+
+    const comparisons = new Array(targets.length);
+    const concurrency = this.getConcurrency();
+
+    const runAt = async (index) => {
+      const status = this.servers[index];
+      const runner = new DiagnosticRunner(this.config, this.logger);
+
+      this.runners.set(index, runner);
+      Object.assign(status, { status: 'running', runId: runner.id, startedAt: new Date().toISOString() });
+      emit({ index, server: status });
+
+      try {
+        const connectionConfig = ConfigManager.applyConnectionString(targets[index].connectionConfig);
+        ConfigManager.validateAuthentication(connectionConfig.authentication);
+
+        const outcome = await runner.run({
+          connectionConfig,
+          aiConfig,
+          queryOptions: { ...this.config.queries, ...queryOptions },
+          inventory: status.inventory
+        }, (progress) => {
+          // Only stage changes are forwarded; per-query ticks stay on the status
+          const stageChanged = progress.stage !== status.stage;
+          Object.assign(status, { stage: progress.stage, message: progress.message });
+          if (progress.progress) {
+            status.progress = progress.progress;
+          }
+          if (stageChanged) {
+            emit({ index, server: status });
+          }
+        });
+
+        const summary = runner.summarize(outcome);
+        comparisons[index] = FleetRunner.compareOutcome(outcome, summary);
+        Object.assign(status, {
+          status: outcome.executionSummary.cancelled ? 'cancelled' : 'completed',
+          reportId: outcome.reportInfo.id,
+          summary
+        });
+
+      } catch (error) {
+        status.status = error.code === 'ECANCELLED' ? 'cancelled' : 'failed';
+        status.error = error.message;
+        this.logger.warn(`Fleet job ${this.id}: ${status.inventory?.name || status.server} ${status.status}: ${error.message}`);
+
+      } finally {
+        this.runners.delete(index);
+        status.finishedAt = new Date().toISOString();
+        emit({ index, server: status });
+      }
+    };
+
+    this.logger.info(`Starting fleet job ${this.id} across ${targets.length} servers with concurrency ${concurrency}`);
+
+    let next = 0;
+    const worker = async () => {
+      while (!this.isCancelled() && next < targets.length) {
+        await runAt(next++);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+
+    for (const status of this.servers) {
+      if (status.status === 'pending') {
+        status.status = 'cancelled';
+        status.error = this.cancelReason;
+      }
+    }
+
+    this.stage = 'generating-report';
+    emit({ message: 'Generating fleet roll-up report...' });
+
+    const counts = this.countStatuses();
+    const reportGenerator = new ReportGenerator(this.config, this.logger);
+
+    // A job that fails here still gets a finish time, so it can be pruned
+    let reportInfo;
+    try {
+      reportInfo = await reportGenerator.generateReport({
+        type: 'fleet',
+        jobId: this.id,
+        selection: selection || null,
+        servers: this.servers.map((status, index) => FleetRunner.buildRollupEntry(status, comparisons[index])),
+        executionSummary: {
+          totalServers: targets.length,
+          completed: counts.completed,
+          failed: counts.failed,
+          cancelled: counts.cancelled,
+          cancelReason: this.cancelReason || undefined,
+          concurrency,
+          executionTime: Date.now() - new Date(this.startedAt).getTime()
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.stage = 'failed';
+      this.finishedAt = new Date().toISOString();
+      throw error;
+    }
+
+    this.reportId = reportInfo.id;
+    this.finishedAt = new Date().toISOString();
+    this.stage = this.isCancelled() ? 'cancelled' : 'complete';
+
+    this.logger.info(`Fleet job ${this.id} finished: ${counts.completed} completed, ${counts.failed} failed, ${counts.cancelled} cancelled`);
+
+    return {
+      jobId: this.id,
+      reportInfo,
+      servers: this.getStatus().servers,
+      counts,
+      cancelled: this.isCancelled()
+    };
+  }
+
+  getConcurrency() {
+    const concurrency = parseInt(this.config.fleet?.concurrency) || 1;
+    return Math.min(Math.max(concurrency, 1), MAX_SERVER_CONCURRENCY);
+  }
+
+  countStatuses() {
+    const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const server of this.servers) {
+      counts[server.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * The facts about one server's run that the roll-up compares.
+   */
+  static compareOutcome(outcome, summary) {
+    const { serverInfo } = outcome;
+
+    return {
+      serverName: serverInfo.serverName,
+      version: serverInfo.productVersion,
+      majorVersion: serverInfo.majorVersion,
+      edition: serverInfo.edition,
+      platform: serverInfo.platform,
+      result: summary.status,
+      counts: summary.counts,
+      failedQueries: summary.failedQueries,
+      findings: outcome.healthFindings.map(finding => ({
+        check: finding.check,
+        severity: finding.severity,
+        message: finding.message,
+        matches: finding.matches
+      })),
+      topWaits: FleetRunner.extractTopWaits(outcome.results),
+      executionTime: summary.executionTime
+    };
+  }
+
+  static buildRollupEntry(status, comparison) {
+    return {
+      name: status.inventory?.name || status.server,
+      server: status.server,
+      inventory: status.inventory,
+      status: status.status,
+      error: status.error || undefined,
+      reportId: status.reportId,
+      ...comparison
+    };
+  }
+
+  /**
+   * Finds the wait statistics result (a wait type column next to a wait time
+   * or percentage column) and returns its leading rows. The packs already
+   * order waits by time, so the first rows are the top waits.
+   */
+  static extractTopWaits(results, limit = TOP_WAITS) {
+    const normalize = (column) => column.toLowerCase().replace(/[\s_]/g, '');
+
+    for (const result of results) {
+      if (!result.success || !result.data || result.data.length === 0) {
+        continue;
+      }
+
+      const columns = Object.keys(result.data[0]);
+      const typeColumn = columns.find(column => normalize(column) === 'waittype');
+      const percentColumn = columns.find(column => normalize(column).includes('percent'));
+      let timeColumn = null;
+      let timeUnit;
+      for (const { pattern, unit } of WAIT_TIME_COLUMNS) {
+        timeColumn = columns.find(column => pattern.test(column.trim()));
+        if (timeColumn) {
+          timeUnit = unit;
+          break;
+        }
+      }
+
+      if (!typeColumn || (!percentColumn && !timeColumn)) {
+        continue;
+      }
+
+      return result.data.slice(0, limit).map(row => ({
+        waitType: row[typeColumn],
+        percentage: percentColumn ? Number(row[percentColumn]) : undefined,
+        waitTime: timeColumn ? Number(row[timeColumn]) : undefined,
+        waitTimeUnit: timeUnit
+      }));
+    }
+
+    return [];
+  }
+}
+
+FleetRunner.MAX_SERVER_CONCURRENCY = MAX_SERVER_CONCURRENCY;
+
+module.exports = FleetRunner;
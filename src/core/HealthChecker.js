@@ -0,0 +1,106 @@
+// Severity levels in ascending order of importance
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
+const OPERATORS = {
+  '>': (actual, expected) => Number(actual) > Number(expected),
+  '>=': (actual, expected) => Number(actual) >= Number(expected),
+  '<': (actual, expected) => Number(actual) < Number(expected),
+  '<=': (actual, expected) => Number(actual) <= Number(expected),
+  '==': (actual, expected) => String(actual) === String(expected),
+  '!=': (actual, expected) => String(actual) !== String(expected),
+  contains: (actual, expected) => actual !== null && actual !== undefined &&
+    String(actual).toLowerCase().includes(String(expected).toLowerCase()),
+  isNull: (actual) => actual === null || actual === undefined
+};
+
+/**
+ * Evaluates configured health checks against query results.
+ *
+ * A check targets one query (by id, key or name) and either a column, in which
+ * case every row is tested, or the query's row count when no column is set:
+ *
+ *   { name, query, column, operator, value, severity, message }
+ */
+class HealthChecker {
+  constructor(checks, logger) {
+    this.checks = Array.isArray(checks) ? checks : [];
+    this.logger = logger;
+  }
+
+  evaluate(queryResults) {
+    const findings = [];
+
+    for (const check of this.checks) {
+      const compare = OPERATORS[check.operator || '>'];
+      if (!compare) {
+        this.logger.warn(`Unknown operator '${check.operator}' in health check ${check.name}`);
+        continue;
+      }
+
+      // Database-level queries produce one result per database
+      const matchingResults = queryResults.filter(r =>
+        r.id === check.query || r.key === check.query || r.name === check.query);
+
+      for (const result of matchingResults) {
+        // Checks against queries that did not run or failed cannot be judged
+        if (!result.success) {
+          continue;
+        }
+
+        let matches;
+        let sample;
+
+        if (check.column) {
+          const matchingRows = (result.data || []).filter(row => compare(row[check.column], check.value));
+          matches = matchingRows.length;
+          sample = matches > 0 ? matchingRows[0][check.column] : undefined;
+        } else {
+          matches = compare(result.rowCount, check.value) ? 1 : 0;
+          sample = result.rowCount;
+        }
+
+        if (matches > 0) {
+          findings.push({
+            check: check.name,
+            severity: HealthChecker.normalizeSeverity(check.severity),
+            queryId: result.id,
+            queryKey: result.key,
+            queryName: result.name,
+            database: result.database,
+            message: check.message || `${check.name}: ${check.column || 'row count'} ${check.operator || '>'} ${check.value}`,
+            matches,
+            sample
+          });
+        }
+      }
+    }
+
+    // Most severe first so callers can take the top of the list
+    findings.sort((a, b) => HealthChecker.severityRank(b.severity) - HealthChecker.severityRank(a.severity));
+
+    this.logger.info(`Health checks evaluated: ${this.checks.length} checks, ${findings.length} findings`);
+    return findings;
+  }
+
+  static normalizeSeverity(severity) {
+    const normalized = String(severity || 'warning').toLowerCase();
+    return SEVERITY_LEVELS.includes(normalized) ? normalized : 'warning';
+  }
+
+  static severityRank(severity) {
+    return SEVERITY_LEVELS.indexOf(severity);
+  }
+
+  static breachesThreshold(findings, threshold) {
+    if (!threshold || threshold === 'none') {
+      return false;
+    }
+
+    const minimum = HealthChecker.severityRank(HealthChecker.normalizeSeverity(threshold));
+    return findings.some(f => HealthChecker.severityRank(f.severity) >= minimum);
+  }
+}
+
+HealthChecker.SEVERITY_LEVELS = SEVERITY_LEVELS;
+
+module.exports = HealthChecker;
@@ -0,0 +1,218 @@
+const ENGINE_EDITIONS = {
+  1: 'Personal or Desktop Engine',
+  2: 'Standard',
+  3: 'Enterprise',
+  4: 'Express',
+  5: 'Azure SQL Database',
+  6: 'Azure Synapse Analytics',
+  8: 'Azure SQL Managed Instance',
+  9: 'Azure SQL Edge',
+  11: 'Azure Synapse serverless SQL pool'
+};
+
+const AZURE_SQL_DATABASE = 5;
+
+// What a query needs, inferred from the objects it references
+const REQUIREMENT_RULES = [
+  { pattern: /\bmsdb\./i, requirement: 'msdb' },
+  { pattern: /\bsys\.dm_(?!db_)\w+/i, requirement: 'VIEW SERVER STATE' },
+  { pattern: /\bsys\.dm_db_\w+/i, requirement: 'VIEW DATABASE STATE' },
+  { pattern: /\bsys\.(master_files|server_principals|sql_logins|credentials|endpoints)\b/i, requirement: 'VIEW ANY DEFINITION' },
+  { pattern: /\b(xp_readerrorlog|sp_readerrorlog|xp_instance_regread|xp_fixeddrives)\b/i, requirement: 'sysadmin' },
+  // Most DBCC commands the packs use (SQLPERF, MEMORYSTATUS, INPUTBUFFER)
+  // only need VIEW SERVER STATE; these are the ones that need sysadmin
+  { pattern: /\bdbcc\s+(sqlperf|memorystatus|inputbuffer)\b/i, requirement: 'VIEW SERVER STATE' },
+  { pattern: /\bdbcc\s+(loginfo|dbinfo|page|ind|outputbuffer|traceon|traceoff|writepage)\b/i, requirement: 'sysadmin' }
+];
+
+/**
+ * Checks the login's effective permissions and the engine edition before a
+ * pack runs, and predicts which queries will fail so they can be skipped
+ * (or flagged) up front instead of failing one by one.
+ */
+class PreflightChecker {
+  constructor(connectionManager, logger) {
+    this.connectionManager = connectionManager;
+    this.logger = logger;
+  }
+
+  async check(queries) {
+    const capabilities = await this.getCapabilities();
+    capabilities.databases = await this.getDatabaseCapabilities(queries);
+    const predictions = [];
+
+    for (const query of queries) {
+      const reasons = this.predictFailureReasons(query, capabilities);
+      if (reasons.length > 0) {
+        predictions.push({
+          id: query.id,
+          name: query.name,
+          database: query.database || null,
+          reasons
+        });
+      }
+    }
+
+    this.logger.info(`Pre-flight check complete: ${predictions.length} of ${queries.length} queries predicted to fail`);
+
+    return {
+      capabilities,
+      predictions
+    };
+  }
+
+  async getCapabilities() {
+    const rows = await this.connectionManager.executeQuery(`
+      SELECT
+        IS_SRVROLEMEMBER('sysadmin') AS isSysadmin,
+        HAS_PERMS_BY_NAME(NULL, NULL, 'VIEW SERVER STATE') AS viewServerState,
+        HAS_PERMS_BY_NAME(NULL, NULL, 'VIEW ANY DEFINITION') AS viewAnyDefinition,
+        HAS_PERMS_BY_NAME(DB_NAME(), 'DATABASE', 'VIEW DATABASE STATE') AS viewDatabaseState,
+        HAS_DBACCESS('msdb') AS msdbAccess,
+        CAST(SERVERPROPERTY('EngineEdition') AS int) AS engineEdition,
+        SUSER_SNAME() AS loginName
+    `, 10000);
+
+    const row = rows[0] || {};
+    const engineEdition = parseInt(row.engineEdition);
+
+    return {
+      loginName: row.loginName,
+      isSysadmin: row.isSysadmin === 1,
+      viewServerState: row.viewServerState === 1,
+      viewAnyDefinition: row.viewAnyDefinition === 1,
+      viewDatabaseState: row.viewDatabaseState === 1,
+      msdbAccess: row.msdbAccess === 1,
+      engineEdition,
+      engineEditionName: ENGINE_EDITIONS[engineEdition] || `Engine edition ${engineEdition}`
+    };
+  }
+
+  /**
+   * VIEW DATABASE STATE is granted per database, so it is checked in every
+   * database the queries were expanded to, not just the current one.
+   */
+  async getDatabaseCapabilities(queries) {
+    const names = new Set(queries.filter(query => query.database).map(query => query.database));
+    if (names.size === 0) {
+      return {};
+    }
+
+    // Filtered here rather than in SQL so database names never reach the query text
+    const rows = await this.connectionManager.executeQuery(`
+      SELECT
+        name,
+        HAS_DBACCESS(name) AS hasAccess,
+        HAS_PERMS_BY_NAME(name, 'DATABASE', 'VIEW DATABASE STATE') AS viewDatabaseState
+      FROM sys.databases
+    `, 10000);
+
+    const databases = {};
+    for (const name of names) {
+      // Database names are usually case-insensitive, so a selection typed
+      // in another case still finds its row
+      const row = rows.find(candidate => String(candidate.name).toLowerCase() === name.toLowerCase()) || {};
+      databases[name] = {
+        hasAccess: row.hasAccess === 1,
+        viewDatabaseState: row.viewDatabaseState === 1
+      };
+    }
+
+    return databases;
+  }
+
+  getRequirements(query) {
+    const requirements = new Set();
+
+    for (const rule of REQUIREMENT_RULES) {
+      if (rule.pattern.test(query.query)) {
+        requirements.add(rule.requirement);
+      }
+    }
+
+    return Array.from(requirements);
+  }
+
+  predictFailureReasons(query, capabilities) {
+    const isAzureSqlDatabase = capabilities.engineEdition === AZURE_SQL_DATABASE;
+    const database = query.database && capabilities.databases ? capabilities.databases[query.database] : null;
+    const reasons = [];
+
+    if (database && !database.hasAccess && !capabilities.isSysadmin) {
+      reasons.push(`cannot access database ${query.database}`);
+    }
+
+    for (const requirement of this.getRequirements(query)) {
+      switch (requirement) {
+        case 'msdb':
+          if (isAzureSqlDatabase) {
+            reasons.push('msdb is not available on Azure SQL Database');
+          } else if (!capabilities.msdbAccess && !capabilities.isSysadmin) {
+            reasons.push('requires access to msdb');
+          }
+          break;
+        case 'sysadmin':
+          if (isAzureSqlDatabase) {
+            reasons.push('requires sysadmin, which is not available on Azure SQL Database');
+          } else if (!capabilities.isSysadmin) {
+            reasons.push('requires sysadmin');
+          }
+          break;
+        case 'VIEW DATABASE STATE': {
+          const viewDatabaseState = database ? database.viewDatabaseState : capabilities.viewDatabaseState;
+          if (!viewDatabaseState && !capabilities.viewServerState && !capabilities.isSysadmin) {
+            reasons.push(database ? `requires VIEW DATABASE STATE in ${query.database}` : 'requires VIEW DATABASE STATE');
+          }
+          break;
+        }
+        case 'VIEW SERVER STATE':
+          if (!capabilities.viewServerState && !capabilities.isSysadmin) {
+            reasons.push('requires VIEW SERVER STATE');
+          }
+          break;
+        case 'VIEW ANY DEFINITION':
+          if (!capabilities.viewAnyDefinition && !capabilities.isSysadmin) {
+            reasons.push('requires VIEW ANY DEFINITION');
+          }
+          break;
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Copy of `queries` with a `skipReason` on each one predicted to fail.
+   * Per-database copies of a query share its id, so predictions are matched
+   * on id and database: a missing permission in one database doesn't skip
+   * the query in the others.
+   */
+  static skipPredicted(queries, predictions) {
+    const key = entry => `${entry.id}\u0000${entry.database || ''}`;
+    const reasons = new Map(predictions.map(prediction => [key(prediction), prediction.reasons.join('; ')]));
+
+    return queries.map(query => reasons.has(key(query))
+      ? { ...query, skipReason: reasons.get(key(query)) }
+      : query);
+  }
+
+  /**
+   * One-line description of what is missing, for progress messages.
+   */
+  static describe(preflight) {
+    const missing = new Set();
+    for (const prediction of preflight.predictions) {
+      prediction.reasons.forEach(reason => missing.add(reason));
+    }
+
+    if (missing.size === 0) {
+      return `${preflight.capabilities.loginName} has the permissions every query needs`;
+    }
+
+    return `${preflight.predictions.length} queries predicted to fail: ${Array.from(missing).join('; ')}`;
+  }
+}
+
+PreflightChecker.ENGINE_EDITIONS = ENGINE_EDITIONS;
+
+module.exports = PreflightChecker;
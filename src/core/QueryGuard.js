@@ -0,0 +1,296 @@
+// System procedures the packs call that only read (error log, registry,
+// drives, server health)
+const READ_ONLY_PROCEDURES = [
+  'xp_readerrorlog',
+  'sp_readerrorlog',
+  'xp_instance_regread',
+  'xp_regread',
+  'xp_fixeddrives',
+  'xp_msver',
+  'xp_loginconfig',
+  'sp_server_diagnostics',
+  'sp_helpdb',
+  'sp_helpfile',
+  'sp_helpindex',
+  'sp_helpstats',
+  'sp_spaceused',
+  'sp_who',
+  'sp_who2',
+  'sp_lock'
+];
+
+// DBCC commands that report without changing anything. SQLPERF ... CLEAR
+// and the CHECK commands' REPAIR options are caught separately.
+const READ_ONLY_DBCC = [
+  'tracestatus',
+  'sqlperf',
+  'loginfo',
+  'show_statistics',
+  'opentran',
+  'inputbuffer',
+  'outputbuffer',
+  'useroptions',
+  'memorystatus',
+  'proccache',
+  'showcontig',
+  'showfilestats',
+  'checkdb',
+  'checktable',
+  'checkalloc',
+  'checkcatalog',
+  'checkfilegroup',
+  'checkconstraints'
+];
+
+// A table name; a leading # or @ is a temp table or table variable
+const TARGET = '([#@]?[\\w.]+)';
+const TOP_CLAUSE = '(?:TOP\\s*\\([^)]*\\)\\s*(?:PERCENT\\s+)?)?';
+
+// Each rule returns why a match changes state, or null when it doesn't.
+// DML keywords count on their own; the table after them, when there is
+// one, only decides whether the write is to a session-scoped object, so
+// hints, aliases and unusual clause orders can't hide a write.
+const MUTATING_RULES = [
+  { pattern: new RegExp(`\\bINTO\\s+${TARGET}`, 'gi'), reason: match => QueryGuard.writeReason(match[1]) },
+  {
+    pattern: new RegExp(`\\b(INSERT|UPDATE(?!\\s+STATISTICS\\b)|DELETE|MERGE(?!\\s+JOIN\\b))\\b\\s*${TOP_CLAUSE}(?:(?:INTO|FROM)\\s+)?${TARGET}?`, 'gi'),
+    reason: match => match[2] ? QueryGuard.writeReason(match[2]) : `runs ${match[1].toUpperCase()}`
+  },
+  { pattern: new RegExp(`\\bTRUNCATE\\s+TABLE\\s+${TARGET}`, 'gi'), reason: match => QueryGuard.writeReason(match[1]) },
+  { pattern: /\bUPDATE\s+STATISTICS\b/gi, reason: () => 'updates statistics' },
+  {
+    pattern: /\b(CREATE|ALTER|DROP)\s+(?:(?:UNIQUE|CLUSTERED|NONCLUSTERED|OR\s+ALTER)\s+)*(\w+)(?:\s+(?:IF\s+EXISTS\s+)?([#@]?[\w.]+))?/gi,
+    reason: match => match[2].toUpperCase() === 'TABLE' && QueryGuard.isSessionObject(match[3])
+      ? null
+      : `${match[1].toUpperCase()} ${match[2].toUpperCase()}${match[3] ? ` ${QueryGuard.displayName(match[3])}` : ''}`
+  },
+  {
+    pattern: /\b(ENABLE|DISABLE)\s+TRIGGER\b(?:\s+([#@]?[\w.]+))?/gi,
+    reason: match => `${match[1].toUpperCase()} TRIGGER${match[2] ? ` ${QueryGuard.displayName(match[2])}` : ''}`
+  },
+  { pattern: /\b(GRANT|REVOKE|DENY)\s+\w+/gi, reason: match => `changes permissions (${match[1].toUpperCase()})` },
+  { pattern: /\bBACKUP\s+(DATABASE|LOG|CERTIFICATE|(?:SERVICE\s+)?MASTER\s+KEY)\b/gi, reason: () => 'takes a backup' },
+  { pattern: /\bRESTORE\s+(DATABASE|LOG)\b/gi, reason: () => 'restores a database' },
+  { pattern: /\bKILL\s+[\d@]/gi, reason: () => 'kills a session' },
+  { pattern: /\b(SHUTDOWN|RECONFIGURE|CHECKPOINT)\b/gi, reason: match => `runs ${match[1].toUpperCase()}` },
+  {
+    pattern: /\b(BEGIN\s+(?:DISTRIBUTED\s+)?TRAN(?:SACTION)?|COMMIT|ROLLBACK|SAVE\s+TRAN(?:SACTION)?)\b/gi,
+    reason: () => 'controls transactions'
+  },
+  { pattern: /\b(OPENQUERY|OPENROWSET|OPENDATASOURCE)\s*\(/gi, reason: match => `runs pass-through SQL (${match[1].toUpperCase()})` }
+];
+
+const EXEC_PATTERN = /\bEXEC(?:UTE)?\b\s*(?:@\w+\s*=\s*)?(\(|''|[\w.#@]+)([^;\n]*)/gi;
+
+// A system procedure called without EXEC, which T-SQL allows as the first
+// statement of a batch
+const BARE_PROCEDURE_PATTERN = /(?:^|;)\s*((?:\w+\.){0,3}_?[sx]p_\w+)([^;\n]*)/gi;
+const DBCC_PATTERN = /\bDBCC\s+(\w+)([^;\n]*)/gi;
+
+/**
+ * Static read-only check of the SQL a run is about to execute. Each query
+ * is classified as `select-only`, `dbcc-read-only` (it also runs read-only
+ * DBCC commands or system procedures such as xp_readerrorlog) or
+ * `mutating`: writes to permanent tables, DDL, permission changes, EXEC of
+ * other procedures or dynamic SQL, `sp_configure` with a value, RECONFIGURE
+ * and the like.
+ *
+ * Mutating queries are blocked unless their id or key is allowlisted
+ * (`queries.allowMutating`); `queries.readOnlyGuard: 'warn'` runs them and
+ * reports them instead.
+ *
+ * This is a pattern check on the SQL text, not a parser. After comments and
+ * string literals are stripped, DML and DDL keywords count wherever they
+ * appear, and dynamic SQL and unknown procedures count as mutating, so it
+ * may block a harmless query (an UPDATE of a temp table through an alias).
+ * It can't see what a called function or allowlisted procedure does, so it
+ * is no substitute for a login without write permissions.
+ */
+class QueryGuard {
+  constructor(options = {}, logger) {
+    this.mode = options.readOnlyGuard || 'block';
+    this.allowMutating = options.allowMutating || [];
+    this.logger = logger;
+  }
+
+  check(queries) {
+    const counts = { 'select-only': 0, 'dbcc-read-only': 0, mutating: 0 };
+    const findings = [];
+
+    for (const query of queries) {
+      const analysis = QueryGuard.classify(query.query);
+      counts[analysis.classification]++;
+
+      if (analysis.classification !== 'mutating') {
+        continue;
+      }
+
+      const allowed = this.allowMutating.includes(query.id) || (query.key && this.allowMutating.includes(query.key));
+      findings.push({
+        id: query.id,
+        key: query.key,
+        name: query.name,
+        reasons: analysis.reasons,
+        action: allowed ? 'allowed' : this.mode === 'block' ? 'blocked' : 'warned'
+      });
+    }
+
+    for (const finding of findings) {
+      const message = `Read-only guard ${finding.action} ${finding.name}: ${finding.reasons.join('; ')}`;
+      if (finding.action === 'allowed') {
+        this.logger.info(message);
+      } else {
+        this.logger.warn(message);
+      }
+    }
+
+    return { mode: this.mode, counts, findings };
+  }
+
+  /**
+   * Classifies one query's SQL, with the reasons it counts as mutating and
+   * the read-only commands it runs.
+   */
+  static classify(sql) {
+    const text = QueryGuard.normalize(sql);
+    const reasons = [];
+    const commands = [];
+
+    for (const rule of MUTATING_RULES) {
+      for (const match of text.matchAll(rule.pattern)) {
+        const reason = rule.reason(match);
+        if (reason) {
+          reasons.push(reason);
+        }
+      }
+    }
+
+    for (const match of text.matchAll(DBCC_PATTERN)) {
+      const command = match[1].toLowerCase();
+      const readOnly = READ_ONLY_DBCC.includes(command) &&
+        !/\bREPAIR_\w+/i.test(match[2]) &&
+        !(command === 'sqlperf' && /\bCLEAR\b/i.test(match[2]));
+
+      if (readOnly) {
+        commands.push(`DBCC ${command.toUpperCase()}`);
+      } else {
+        reasons.push(`runs DBCC ${command.toUpperCase()}`);
+      }
+    }
+
+    for (const match of [...text.matchAll(EXEC_PATTERN), ...text.matchAll(BARE_PROCEDURE_PATTERN)]) {
+      const procedure = QueryGuard.procedureName(match[1]);
+      const args = match[2].split(',').filter(arg => arg.trim());
+
+      if (match[1] === '(' || match[1] === "''" || match[1].startsWith('@') || procedure === 'sp_executesql') {
+        reasons.push('runs dynamic SQL, which cannot be checked');
+      } else if (procedure === 'as') {
+        reasons.push('switches the execution context (EXECUTE AS)');
+      } else if (procedure === 'sp_configure' && args.length > 1) {
+        // Listing settings only reads; passing a value changes one
+        reasons.push('changes server configuration (sp_configure)');
+      } else if (procedure === 'sp_configure') {
+        commands.push(procedure);
+      } else if (READ_ONLY_PROCEDURES.includes(procedure)) {
+        commands.push(procedure);
+      } else {
+        reasons.push(`runs stored procedure ${QueryGuard.displayName(match[1])}`);
+      }
+    }
+
+    const classification = reasons.length > 0 ? 'mutating' : commands.length > 0 ? 'dbcc-read-only' : 'select-only';
+    return {
+      classification,
+      reasons: Array.from(new Set(reasons)),
+      commands: Array.from(new Set(commands))
+    };
+  }
+
+  /**
+   * Strips comments, empties string literals and marks quoted identifiers
+   * with a leading underscore, so only the statements themselves are
+   * matched: `[Update]` or `'DROP'` is a name or a value, not a statement.
+   */
+  static normalize(sql) {
+    let text = '';
+    let i = 0;
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (char === '-' && next === '-') {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end;
+        text += ' ';
+      } else if (char === '/' && next === '*') {
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 2;
+        text += ' ';
+      } else if (char === "'") {
+        let end = i + 1;
+        while (end < sql.length && !(sql[end] === "'" && sql[end + 1] !== "'")) {
+          end += sql[end] === "'" ? 2 : 1;
+        }
+        i = end + 1;
+        text += "''";
+      } else if (char === '[' || char === '"') {
+        const close = char === '[' ? ']' : '"';
+        const end = sql.indexOf(close, i + 1);
+        const name = sql.slice(i + 1, end === -1 ? sql.length : end);
+        i = end === -1 ? sql.length : end + 1;
+        text += '_' + name.replace(/\W/g, '_');
+      } else {
+        text += char;
+        i++;
+      }
+    }
+
+    return text;
+  }
+
+  static procedureName(reference) {
+    return QueryGuard.displayName(reference.split('.').pop()).toLowerCase();
+  }
+
+  static writeReason(target) {
+    return QueryGuard.isSessionObject(target) ? null : `writes to ${QueryGuard.displayName(target)}`;
+  }
+
+  /**
+   * Temp tables and table variables only live for the session.
+   */
+  static isSessionObject(name) {
+    return Boolean(name) && (name.startsWith('#') || name.startsWith('@'));
+  }
+
+  /**
+   * A normalized name without the quoted-identifier markers.
+   */
+  static displayName(name) {
+    return name.replace(/(^|\.)_/g, '$1');
+  }
+
+  /**
+   * Wraps a query in a transaction that is always rolled back. XACT_ABORT
+   * also rolls it back when a statement fails or the query times out.
+   */
+  static wrapInRollback(sql) {
+    return `SET XACT_ABORT ON;\nBEGIN TRANSACTION;\n${sql}\n;\nIF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;`;
+  }
+
+  /**
+   * One-line description of the outcome, for progress messages.
+   */
+  static describe(guard) {
+    const counts = `${guard.counts['select-only']} select-only, ${guard.counts['dbcc-read-only']} DBCC/read-only commands, ${guard.counts.mutating} mutating`;
+    const actions = ['blocked', 'warned', 'allowed']
+      .map(action => [action, guard.findings.filter(finding => finding.action === action).length])
+      .filter(([, count]) => count > 0)
+      .map(([action, count]) => `${count} ${action === 'warned' ? 'running anyway' : action}`);
+
+    return actions.length > 0 ? `${counts} (${actions.join(', ')})` : counts;
+  }
+}
+
+module.exports = QueryGuard;
@@ -0,0 +1,208 @@
+const QueryParser = require('./QueryParser');
+
+// Unchanged lines kept around each change in a SQL diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Compares two Glenn Berry packs, both parsed with
+ * `QueryParser.parseGlenBerryQueries`, so a new monthly pack can be
+ * reviewed before it's rolled out. Comparing a saved extraction with the
+ * same pack parsed now shows what a parser change did.
+ *
+ * Queries are matched by key (see query-map.json), then by query number
+ * for the ones left over, which catches renames. A matched query is
+ * `modified` when its SQL, name, section or description (the comment line
+ * above its SQL) changed, and `renumbered` when only its query number did.
+ */
+class QueryPackDiff {
+  constructor(logger, queryParser = null) {
+    this.logger = logger;
+    this.queryParser = queryParser || new QueryParser(logger);
+  }
+
+  /**
+   * `from` and `to` are `{ label, version, content }`, or a snapshot of an
+   * earlier extraction, `{ label, version, queries }`, which is compared
+   * as it was parsed then.
+   */
+  async compare(from, to) {
+    const fromQueries = await this.extract(from);
+    const toQueries = await this.extract(to);
+
+    const diff = QueryPackDiff.compareQueries(fromQueries, toQueries);
+    this.logger.info(`Compared query packs ${from.label} and ${to.label}: ` +
+      `${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.modified} modified`);
+
+    return {
+      from: { label: from.label, version: from.version, queryCount: fromQueries.length },
+      to: { label: to.label, version: to.version, queryCount: toQueries.length },
+      ...diff
+    };
+  }
+
+  async extract(pack) {
+    if (Array.isArray(pack.queries)) {
+      return pack.queries;
+    }
+
+    const queries = this.queryParser.parseGlenBerryQueries(pack.content, pack.version);
+    return this.queryParser.assignQueryKeys(queries, await this.queryParser.loadQueryMap());
+  }
+
+  static compareQueries(fromQueries, toQueries) {
+    const pairs = [];
+    const unmatchedFrom = [...fromQueries];
+    const unmatchedTo = [...toQueries];
+
+    const pairBy = (field) => {
+      for (const query of [...unmatchedFrom]) {
+        const index = query[field] ? unmatchedTo.findIndex(other => other[field] === query[field]) : -1;
+        if (index !== -1) {
+          pairs.push([query, unmatchedTo[index]]);
+          unmatchedFrom.splice(unmatchedFrom.indexOf(query), 1);
+          unmatchedTo.splice(index, 1);
+        }
+      }
+    };
+
+    pairBy('key');
+    pairBy('queryNumber');
+
+    const modified = [];
+    const renumbered = [];
+
+    for (const [before, after] of pairs) {
+      const changes = QueryPackDiff.findChanges(before, after);
+
+      if (changes.length === 0) {
+        continue;
+      }
+
+      if (changes.length === 1 && changes[0] === 'queryNumber') {
+        renumbered.push({ key: after.key, name: after.name, from: QueryPackDiff.describe(before), to: QueryPackDiff.describe(after) });
+        continue;
+      }
+
+      modified.push({
+        key: after.key,
+        name: after.name,
+        changes,
+        from: QueryPackDiff.describe(before),
+        to: QueryPackDiff.describe(after),
+        sqlDiff: changes.includes('sql') ? QueryPackDiff.diffText(before.query, after.query) : null
+      });
+    }
+
+    return {
+      summary: {
+        added: unmatchedTo.length,
+        removed: unmatchedFrom.length,
+        modified: modified.length,
+        renumbered: renumbered.length,
+        unchanged: pairs.length - modified.length - renumbered.length
+      },
+      added: unmatchedTo.map(query => QueryPackDiff.describe(query)),
+      removed: unmatchedFrom.map(query => QueryPackDiff.describe(query)),
+      modified,
+      renumbered
+    };
+  }
+
+  static findChanges(before, after) {
+    const changes = [];
+
+    if (QueryPackDiff.normalizeSql(before.query) !== QueryPackDiff.normalizeSql(after.query)) {
+      changes.push('sql');
+    }
+
+    const [from, to] = [QueryPackDiff.describe(before), QueryPackDiff.describe(after)];
+    for (const field of ['name', 'section', 'description', 'queryNumber']) {
+      if (from[field] !== to[field]) {
+        changes.push(field);
+      }
+    }
+
+    return changes;
+  }
+
+  static describe(query) {
+    return {
+      id: query.id,
+      key: query.key,
+      queryNumber: query.queryNumber,
+      name: query.name,
+      section: query.section,
+      // The parser's description repeats the name; the header says more
+      description: (query.guidance && query.guidance.summary) || query.description
+    };
+  }
+
+  /**
+   * Whitespace at line ends and line-ending style don't count as changes.
+   */
+  static normalizeSql(sql) {
+    return sql.split(/\r?\n/).map(line => line.trimEnd()).join('\n').trim();
+  }
+
+  /**
+   * Unified diff of two SQL texts (`-` removed, `+` added lines), with
+   * `@@` hunk headers and a few lines of context around each change.
+   */
+  static diffText(before, after) {
+    const a = QueryPackDiff.normalizeSql(before).split('\n');
+    const b = QueryPackDiff.normalizeSql(after).split('\n');
+
+    // Longest common subsequence of lines, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ type: ' ', text: a[i], oldLine: ++i, newLine: ++j });
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        lines.push({ type: '-', text: a[i], oldLine: ++i, newLine: j });
+      } else {
+        lines.push({ type: '+', text: b[j], oldLine: i, newLine: ++j });
+      }
+    }
+
+    return QueryPackDiff.formatHunks(lines);
+  }
+
+  static formatHunks(lines) {
+    const hunks = [];
+    let current = null;
+
+    lines.forEach((line, index) => {
+      const nearChange = lines
+        .slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1)
+        .some(other => other.type !== ' ');
+
+      if (!nearChange) {
+        current = null;
+        return;
+      }
+
+      if (!current) {
+        current = { oldStart: line.type === '+' ? line.oldLine + 1 : line.oldLine, newStart: line.type === '-' ? line.newLine + 1 : line.newLine, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(line);
+    });
+
+    return hunks.map(hunk => {
+      const oldCount = hunk.lines.filter(line => line.type !== '+').length;
+      const newCount = hunk.lines.filter(line => line.type !== '-').length;
+      return [`@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`, ...hunk.lines.map(line => line.type + line.text)].join('\n');
+    }).join('\n');
+  }
+}
+
+module.exports = QueryPackDiff;
@@ -0,0 +1,367 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const QueryParser = require('./QueryParser');
+
+// Uploaded packs wait here, outside the packs directory, until activated
+const UPLOADS_DIR = 'pack-uploads';
+const UPLOAD_ID = /^upload-\d+-[a-z0-9]+$/;
+
+// Packs replaced by an upload or a download are kept here, inside the packs
+// directory, as <pack name>-<first 12 hex digits of the SHA-256>.sql
+const HISTORY_DIR = 'history';
+
+// "2019", "2019~1" (the revision before the current one) or "2019@3f2a9c"
+// (the revision whose SHA-256 starts with 3f2a9c)
+const PACK_REF = /^(.+?)(?:~(\d+)|@([0-9a-f]{4,64}))?$/i;
+
+// "-- SQL Server 2019 Diagnostic Information Queries" at the top of a pack
+const PACK_TITLE = /SQL Server (\d{4}(?:\s*R2)?)(?:\s*SP(\d))?\s+Diagnostic Information Queries/i;
+const AZURE_TITLE = /Azure SQL (Database|Managed Instance)\s+Diagnostic Information Queries/i;
+
+/**
+ * Installs query packs uploaded through the web UI, for air-gapped sites
+ * that can't run `npm run download-queries`. An upload is parsed and staged
+ * for preview, then activated for a SQL Server version, which writes it to
+ * the packs directory and records it, with its SHA-256, in `manifest.json`.
+ *
+ * The pack it replaces is archived under `history/` and listed in the
+ * manifest entry's `history`, oldest first, so revisions can be compared.
+ */
+class QueryPackStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.queryParser = new QueryParser(logger, null, QueryParser.optionsFromConfig(config));
+    this.directory = this.queryParser.queryPacksDir;
+    this.uploadsDir = path.join(config.dataDir || './data', UPLOADS_DIR);
+  }
+
+  /**
+   * Installed packs per version, with their manifest entries and checksum
+   * status, uploads waiting to be activated, the versions a pack can be
+   * activated for and the verification settings.
+   */
+  async list() {
+    const manifest = await this.readManifest();
+    const installed = [];
+
+    for (const [version, filename] of Object.entries(this.queryParser.queryPackFiles)) {
+      const filePath = path.join(this.directory, filename);
+      if (!(await fs.pathExists(filePath))) {
+        continue;
+      }
+
+      const stats = await fs.stat(filePath);
+      const entry = manifest.packs[version] || null;
+
+      installed.push({
+        version,
+        filename,
+        size: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+        manifest: entry,
+        integrity: QueryParser.checkIntegrity(entry, await fs.readFile(filePath))
+      });
+    }
+
+    const queries = this.config.queries || {};
+    return {
+      installed,
+      uploads: await this.listUploads(),
+      versions: Object.keys(this.queryParser.queryPackFiles),
+      settings: {
+        packIntegrity: queries.packIntegrity || 'enforce',
+        onlineFallback: queries.onlineFallback !== false
+      }
+    };
+  }
+
+  /**
+   * Parses an uploaded pack and keeps it for activation. Returns a preview
+   * of the queries and sections it contains.
+   */
+  async stage(content, originalName) {
+    const queries = this.queryParser.parseGlenBerryQueries(content, null);
+    if (queries.length === 0) {
+      throw new Error('No queries found: the file is not a Glenn Berry style query pack');
+    }
+
+    const upload = {
+      uploadId: `upload-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      originalName,
+      size: Buffer.byteLength(content, 'utf8'),
+      sha256: QueryParser.hashContent(content),
+      uploadedAt: new Date().toISOString(),
+      detectedVersion: QueryPackStore.detectVersion(content)
+    };
+
+    await fs.ensureDir(this.uploadsDir);
+    await fs.writeFile(path.join(this.uploadsDir, `${upload.uploadId}.sql`), content, 'utf8');
+    await fs.writeJson(path.join(this.uploadsDir, `${upload.uploadId}.json`), upload, { spaces: 2 });
+
+    this.logger.info(`Staged query pack upload ${originalName} as ${upload.uploadId} (${queries.length} queries)`);
+    return { ...upload, ...QueryPackStore.preview(queries) };
+  }
+
+  async getUpload(uploadId) {
+    const paths = this.uploadPaths(uploadId);
+    if (!(await fs.pathExists(paths.sql))) {
+      return null;
+    }
+
+    const content = await fs.readFile(paths.sql, 'utf8');
+    const upload = await fs.readJson(paths.meta);
+    return { ...upload, ...QueryPackStore.preview(this.queryParser.parseGlenBerryQueries(content, null)) };
+  }
+
+  /**
+   * Installs a staged upload as the pack for `version`, replacing any pack
+   * already installed for it.
+   */
+  async activate(uploadId, version) {
+    const filename = this.getFilename(version);
+    const paths = this.uploadPaths(uploadId);
+
+    if (!(await fs.pathExists(paths.sql))) {
+      throw new Error(`Upload ${uploadId} not found`);
+    }
+
+    const upload = await fs.readJson(paths.meta);
+    const data = await fs.readFile(paths.sql);
+    if (upload.sha256 && QueryParser.hashContent(data) !== upload.sha256) {
+      throw new Error(`Upload ${uploadId} changed after it was previewed; upload it again`);
+    }
+
+    const target = path.join(this.directory, filename);
+    const replaced = await fs.pathExists(target);
+    const manifest = await this.readManifest();
+    const history = replaced ? await this.archive(version, manifest.packs[version]) : [];
+
+    await fs.ensureDir(this.directory);
+    await fs.move(paths.sql, target, { overwrite: true });
+    await fs.remove(paths.meta);
+
+    const entry = {
+      filename,
+      size: data.length,
+      sha256: upload.sha256 || QueryParser.hashContent(data),
+      source: 'upload',
+      originalName: upload.originalName,
+      uploadedAt: upload.uploadedAt,
+      activatedAt: new Date().toISOString(),
+      history
+    };
+    await this.updateManifest(manifest => { manifest.packs[version] = entry; });
+
+    this.logger.info(`${replaced ? 'Replaced' : 'Installed'} the SQL Server ${version} query pack from ${upload.originalName}`);
+    return { version, replaced, ...entry };
+  }
+
+  async remove(version) {
+    const filePath = path.join(this.directory, this.getFilename(version));
+    if (!(await fs.pathExists(filePath))) {
+      return false;
+    }
+
+    const entry = (await this.readManifest()).packs[version];
+    for (const revision of (entry && entry.history) || []) {
+      const revisionPath = this.historyPath(revision.file);
+      if (revisionPath) {
+        await fs.remove(revisionPath);
+      }
+    }
+
+    await fs.remove(filePath);
+    await this.updateManifest(manifest => { delete manifest.packs[version]; });
+
+    this.logger.info(`Removed the SQL Server ${version} query pack`);
+    return true;
+  }
+
+  /**
+   * Copies the installed pack for `version` to the history directory and
+   * returns the entry's history with it added. A file that no longer
+   * matches its manifest entry is recorded from its own bytes.
+   */
+  async archive(version, entry) {
+    const filename = this.getFilename(version);
+    const data = await fs.readFile(path.join(this.directory, filename));
+    const sha256 = QueryParser.hashContent(data);
+    const file = path.posix.join(HISTORY_DIR, QueryPackStore.archiveName(filename, sha256));
+
+    await fs.ensureDir(path.join(this.directory, HISTORY_DIR));
+    await fs.copy(path.join(this.directory, filename), path.join(this.directory, file));
+
+    const { history = [], ...previous } = entry || {};
+    const recorded = previous.sha256 === sha256 ? previous : { filename };
+    return [...history, { ...recorded, size: data.length, sha256, file, archivedAt: new Date().toISOString() }];
+  }
+
+  /**
+   * Reads the pack a reference points to, for comparing packs: an upload
+   * id, a version (the installed pack), `<version>~<n>` (n revisions back)
+   * or `<version>@<sha256 prefix>`. Returns `{ label, version, content }`,
+   * or null when there is no such pack.
+   */
+  async resolve(ref) {
+    if (UPLOAD_ID.test(ref)) {
+      const paths = this.uploadPaths(ref);
+      if (!(await fs.pathExists(paths.sql))) {
+        return null;
+      }
+
+      const upload = await fs.readJson(paths.meta);
+      return {
+        label: `upload ${upload.originalName}`,
+        version: upload.detectedVersion,
+        content: await fs.readFile(paths.sql, 'utf8')
+      };
+    }
+
+    const [, version, back, sha] = PACK_REF.exec(String(ref));
+    const filename = this.getFilename(version);
+    const entry = (await this.readManifest()).packs[version] || {};
+    const history = entry.history || [];
+
+    let filePath = null;
+    if (sha) {
+      const current = entry.sha256 && entry.sha256.startsWith(sha.toLowerCase());
+      const revision = history.slice().reverse().find(item => item.sha256 && item.sha256.startsWith(sha.toLowerCase()));
+      filePath = current ? path.join(this.directory, filename) : revision && this.historyPath(revision.file);
+    } else if (back && parseInt(back) > 0) {
+      const revision = history[history.length - parseInt(back)];
+      filePath = revision && this.historyPath(revision.file);
+    } else {
+      filePath = path.join(this.directory, filename);
+    }
+
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    return { label: ref, version, content: await fs.readFile(filePath, 'utf8') };
+  }
+
+  async discard(uploadId) {
+    const paths = this.uploadPaths(uploadId);
+    if (!(await fs.pathExists(paths.sql))) {
+      return false;
+    }
+
+    await fs.remove(paths.sql);
+    await fs.remove(paths.meta);
+    return true;
+  }
+
+  async listUploads() {
+    if (!(await fs.pathExists(this.uploadsDir))) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.uploadsDir)).filter(file => file.endsWith('.json'));
+    return Promise.all(files.sort().map(file => fs.readJson(path.join(this.uploadsDir, file))));
+  }
+
+  getFilename(version) {
+    const filename = this.queryParser.queryPackFiles[version];
+    if (!filename) {
+      throw new Error(`Unknown query pack version '${version}'; expected one of: ${Object.keys(this.queryParser.queryPackFiles).join(', ')}`);
+    }
+    return filename;
+  }
+
+  /**
+   * Full path of an archived revision recorded in the manifest, or null
+   * when the recorded name points outside the history directory. The
+   * manifest is a plain file, so its paths are never trusted as they are.
+   */
+  historyPath(file) {
+    const historyDir = path.resolve(this.directory, HISTORY_DIR);
+    const filePath = path.resolve(this.directory, String(file || ''));
+
+    if (path.dirname(filePath) !== historyDir) {
+      this.logger.warn(`Ignoring query pack revision '${file}': it is not in ${historyDir}`);
+      return null;
+    }
+    return filePath;
+  }
+
+  uploadPaths(uploadId) {
+    // Upload ids become file names, so nothing else gets near the filesystem
+    if (!UPLOAD_ID.test(uploadId)) {
+      throw new Error(`Invalid upload id '${uploadId}'`);
+    }
+
+    return {
+      sql: path.join(this.uploadsDir, `${uploadId}.sql`),
+      meta: path.join(this.uploadsDir, `${uploadId}.json`)
+    };
+  }
+
+  async readManifest() {
+    const manifest = await this.queryParser.getQueryPackManifest() || {};
+    return { ...manifest, packs: manifest.packs || {} };
+  }
+
+  async updateManifest(change) {
+    const manifest = await this.readManifest();
+    change(manifest);
+
+    manifest.totalPacks = Object.keys(manifest.packs).length;
+    manifest.updatedAt = new Date().toISOString();
+
+    await fs.ensureDir(this.directory);
+    await fs.writeJson(path.join(this.directory, 'manifest.json'), manifest, { spaces: 2 });
+    return manifest;
+  }
+
+  /**
+   * The queries and sections an upload would provide.
+   */
+  static preview(queries) {
+    const sections = new Map();
+    for (const query of queries) {
+      sections.set(query.section, (sections.get(query.section) || 0) + 1);
+    }
+
+    return {
+      queryCount: queries.length,
+      sections: Array.from(sections, ([name, queryCount]) => ({ name, queryCount })),
+      queries: queries.map(query => ({
+        id: query.id,
+        queryNumber: query.queryNumber,
+        name: query.name,
+        section: query.section,
+        scope: query.scope
+      }))
+    };
+  }
+
+  static archiveName(filename, sha256) {
+    return `${path.basename(filename, '.sql')}-${sha256.slice(0, 12)}.sql`;
+  }
+
+  /**
+   * Guesses the pack's version key from its title line, e.g. `2019`,
+   * `2016SP2` or `azure-sql-database`.
+   */
+  static detectVersion(content) {
+    const head = content.slice(0, 2000);
+
+    const azure = AZURE_TITLE.exec(head);
+    if (azure) {
+      return azure[1].toLowerCase() === 'database' ? 'azure-sql-database' : 'azure-sql-managed-instance';
+    }
+
+    const match = PACK_TITLE.exec(head);
+    if (!match) {
+      return null;
+    }
+
+    const year = match[1].replace(/\s+/g, '');
+    return match[2] === '2' && year === '2016' ? '2016SP2' : year;
+  }
+}
+
+module.exports = QueryPackStore;
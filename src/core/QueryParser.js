@@ -1,13 +1,56 @@
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
-const cheerio = require('cheerio');
+
+const CustomQueryPacks = require('./CustomQueryPacks');
+
+// DMVs whose cost grows with instance size; they get a long timeout budget
+const HEAVY_DMVS = [
+  'sys.dm_db_index_physical_stats',
+  'sys.dm_exec_query_stats',
+  'sys.dm_exec_procedure_stats',
+  'sys.dm_os_buffer_descriptors',
+  'sys.dm_db_missing_index_group_stats'
+];
+const HEAVY_QUERY_TIMEOUT = 120000;
+const MIN_QUERY_TIMEOUT = 5000;
+
+// Glenn Berry's packs switch from instance-level to database-specific
+// queries at a "USE YourDatabaseName" statement
+const DATABASE_SECTION_MARKER = /Database specific queries|Switch to user database|^\s*USE\s+\[?YourDatabaseName\]?/im;
+
+// Renames and renumbering across pack versions, kept next to the packs
+const QUERY_MAP_FILE = 'query-map.json';
+
+// User-editable section assignments, in the user's data directory
+const SECTION_MAP_FILE = 'section-map.json';
+
+// Error code for a pack refused by checksum verification
+const INTEGRITY_ERROR = 'EPACKINTEGRITY';
+
+const QUERY_HEADER = /\(Query\s+\d+\)/i;
+const SECTION_HEADING = /\*{5,}/;
+const SECTION_HEADING_LINE = /^--\s*(.*?)\s*\*{5,}\s*$/gm;
+const URL_PATTERN = /https?:\/\/[^\s)>\]]+/g;
+
+// "Fill factor should usually be 100", "... should be less than 10%"
+const SHOULD_BE_PATTERN = /^(.*?)\s+should\s+(?:(?:usually|normally|generally|always|ideally|probably)\s+)?be\s+(.+?)\.?$/i;
 
 class QueryParser {
-  constructor(logger, dataDir = null) {
+  /**
+   * `dataDir` holds the bundled query packs; `options.userDataDir` is the
+   * configured data directory, where user-editable files such as the
+   * section map live. `options.packIntegrity` and `options.onlineFallback`
+   * control checksum verification and runtime downloads.
+   */
+  constructor(logger, dataDir = null, options = {}) {
     this.logger = logger;
     this.queries = [];
     this.sections = new Map();
+    this.userDataDir = options.userDataDir || null;
+    this.packIntegrity = options.packIntegrity || 'enforce';
+    this.onlineFallback = options.onlineFallback !== false;
 
     // Set up paths for pre-downloaded query packs
     this.dataDir = dataDir || path.join(__dirname, '..', '..', 'data');
@@ -26,7 +69,15 @@ class QueryParser {
       2008: 'sql-server-2008-queries.sql',
       '2008R2': 'sql-server-2008R2-queries.sql',
       '2008STD': 'sql-server-2008STD-queries.sql',
-      2005: 'sql-server-2005-queries.sql'
+      2005: 'sql-server-2005-queries.sql',
+      'azure-sql-database': 'azure-sql-database-queries.sql',
+      'azure-sql-managed-instance': 'azure-sql-managed-instance-queries.sql'
+    };
+
+    // Closest on-premises pack when an Azure pack isn't available. Azure SQL
+    // Database has none: its instance-level DMVs differ too much.
+    this.azureFallbackVersions = {
+      'azure-sql-managed-instance': 2022
     };
 
     // Fallback URLs for online download if local files don't exist
@@ -46,12 +97,18 @@ class QueryParser {
     };
   }
 
-  async loadQueries(sqlServerVersion) {
+  /**
+   * Loads the pack for a SQL Server version plus the custom packs in the
+   * user's data directory: all of them, or only the ids in
+   * `options.customPacks` (an empty list runs none).
+   */
+  async loadQueries(sqlServerVersion, options = {}) {
     try {
       // Try to load Glen Berry's actual queries first
       const queries = await this.loadGlenBerryQueries(sqlServerVersion);
 
       if (queries.length > 0) {
+        this.assignQueryKeys(queries, await this.loadQueryMap());
         this.queries = queries;
       } else {
         // Fallback to sample queries if Glen Berry queries can't be loaded
@@ -59,6 +116,23 @@ class QueryParser {
         this.queries = this.getSampleQueries(sqlServerVersion);
       }
 
+      if (this.userDataDir) {
+        const customPacks = new CustomQueryPacks(this.logger, path.join(this.userDataDir, 'custom-packs'));
+        this.queries = [...this.queries, ...await customPacks.loadQueries(sqlServerVersion, options.customPacks)];
+      }
+
+      this.queries = this.applySectionMap(this.queries, await this.loadSectionMap());
+
+      // Attach a timeout budget to any query whose pack didn't set one
+      for (const query of this.queries) {
+        query.key = query.key || query.id;
+        query.estimatedDuration = query.estimatedDuration || this.estimateQueryDuration(query.query);
+
+        if (!query.timeout) {
+          query.timeout = this.estimateQueryTimeout(query.query, query.estimatedDuration);
+        }
+      }
+
       this.organizeSections();
 
       this.logger.info(`Loaded ${this.queries.length} queries for SQL Server ${sqlServerVersion}`);
@@ -85,6 +159,11 @@ class QueryParser {
       return await this.downloadAndParseQueries(sqlServerVersion);
 
     } catch (error) {
+      // A pack that fails verification must not fall back to sample queries
+      if (error.code === INTEGRITY_ERROR) {
+        throw error;
+      }
+
       this.logger.error('Failed to load Glen Berry queries', error);
       return [];
     }
@@ -108,51 +187,126 @@ class QueryParser {
         return null;
       }
 
-      // Read the SQL content
-      const sqlContent = await fs.readFile(filePath, 'utf8');
+      // Read the SQL content; the checksum covers the file's exact bytes
+      const data = await fs.readFile(filePath);
+      await this.verifyQueryPack(versionKey, data, filename);
+
+      const sqlContent = data.toString('utf8');
       this.logger.debug(`Loaded ${Math.round(sqlContent.length / 1024)}KB from ${filename}`);
 
       return sqlContent;
 
     } catch (error) {
+      if (error.code === INTEGRITY_ERROR) {
+        throw error;
+      }
+
       this.logger.warn(`Failed to load local query pack for SQL Server ${sqlServerVersion}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * Checks a pack's SHA-256 against its manifest.json entry. Depending on
+   * `packIntegrity`, a mismatch or a missing checksum is refused with an
+   * EPACKINTEGRITY error or only logged. A pack downloaded at run time has
+   * never been reviewed, so `enforce` refuses it without a checksum too.
+   *
+   * The manifest sits next to the packs, so this catches corrupted or
+   * half-written files, not someone who can write to the packs directory:
+   * they can update the checksum along with the pack.
+   */
+  async verifyQueryPack(versionKey, data, source, downloaded = false) {
+    if (this.packIntegrity === 'off') {
+      return { status: 'unchecked' };
+    }
+
+    const manifest = await this.getQueryPackManifest();
+    const result = QueryParser.checkIntegrity(manifest?.packs?.[versionKey], data);
+
+    if (result.status === 'verified') {
+      this.logger.debug(`Verified ${source} against manifest.json (sha256 ${result.actual})`);
+      return result;
+    }
+
+    const problem = result.status === 'mismatch'
+      ? `${source} does not match manifest.json: expected sha256 ${result.expected}, got ${result.actual}`
+      : `${source} has no checksum in manifest.json, so it cannot be verified`;
+
+    const refuse = this.packIntegrity === 'strict' ||
+      (this.packIntegrity === 'enforce' && (result.status === 'mismatch' || downloaded));
+    if (refuse) {
+      const error = new Error(`Refusing to run the SQL Server ${versionKey} query pack: ${problem}`);
+      error.code = INTEGRITY_ERROR;
+      throw error;
+    }
+
+    this.logger.warn(`Query pack integrity: ${problem}`);
+    return result;
+  }
+
   async downloadAndParseQueries(sqlServerVersion) {
     try {
       const versionKey = this.mapVersionToKey(sqlServerVersion);
       const url = this.fallbackUrls[versionKey];
 
+      if (!url && QueryParser.isAzureVersion(versionKey)) {
+        const fallbackVersion = this.azureFallbackVersions[versionKey];
+        if (!fallbackVersion) {
+          this.logger.warn(`No query pack available for ${versionKey}; add ${this.queryPackFiles[versionKey]} to ${this.queryPacksDir}`);
+          return [];
+        }
+
+        this.logger.warn(`No query pack available for ${versionKey}, using the SQL Server ${fallbackVersion} pack`);
+        return await this.loadGlenBerryQueries(fallbackVersion);
+      }
+
       if (!url) {
         this.logger.warn(`No fallback URL available for SQL Server ${sqlServerVersion}, using version 2019`);
         return await this.loadGlenBerryQueries(2019);
       }
 
+      if (!this.onlineFallback) {
+        this.logger.warn(`Online query pack download is disabled; add ${this.queryPackFiles[versionKey]} to ${this.queryPacksDir} to use the SQL Server ${versionKey} pack`);
+        return await this.loadClosestAvailableVersion(sqlServerVersion);
+      }
+
       this.logger.info(`Downloading Glenn Berry queries from: ${url}`);
 
       const response = await axios.get(url, {
         timeout: 30000,
+        responseType: 'arraybuffer',
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
         }
       });
 
-      return this.parseGlenBerryQueries(response.data, sqlServerVersion);
+      const data = Buffer.from(response.data);
+      await this.verifyQueryPack(versionKey, data, `The downloaded SQL Server ${versionKey} pack`, true);
 
-    } catch (error) {
-      this.logger.error('Failed to download Glenn Berry queries online', error);
+      return this.parseGlenBerryQueries(data.toString('utf8'), sqlServerVersion);
 
-      // Try to use closest available local version as last resort
-      const fallbackVersion = this.getClosestAvailableVersion(sqlServerVersion);
-      if (fallbackVersion && fallbackVersion !== sqlServerVersion) {
-        this.logger.warn(`Using closest available version: ${fallbackVersion}`);
-        return await this.loadGlenBerryQueries(fallbackVersion);
+    } catch (error) {
+      if (error.code === INTEGRITY_ERROR) {
+        throw error;
       }
 
-      return [];
+      this.logger.error('Failed to download Glenn Berry queries online', error);
+      return await this.loadClosestAvailableVersion(sqlServerVersion);
+    }
+  }
+
+  /**
+   * Last resort when a version's pack can't be found or downloaded.
+   */
+  async loadClosestAvailableVersion(sqlServerVersion) {
+    const fallbackVersion = this.getClosestAvailableVersion(sqlServerVersion);
+    if (fallbackVersion && fallbackVersion !== sqlServerVersion) {
+      this.logger.warn(`Using closest available version: ${fallbackVersion}`);
+      return await this.loadGlenBerryQueries(fallbackVersion);
     }
+
+    return [];
   }
 
   async getAvailableVersions() {
@@ -168,9 +322,9 @@ class QueryParser {
       }
 
       return localVersions.sort((a, b) => {
-        // Handle string versions (like '2016SP2')
-        const aNum = parseInt(a);
-        const bNum = parseInt(b);
+        // Handle string versions (like '2016SP2'); Azure packs go last
+        const aNum = parseInt(a) || 0;
+        const bNum = parseInt(b) || 0;
         return bNum - aNum; // Sort descending
       });
 
@@ -183,6 +337,7 @@ class QueryParser {
   getClosestAvailableVersion(targetVersion) {
     try {
       const availableVersions = Object.keys(this.queryPackFiles)
+        .filter(key => !QueryParser.isAzureVersion(key))
         .filter(key => {
           const filePath = path.join(this.queryPacksDir, this.queryPackFiles[key]);
           try {
@@ -228,6 +383,10 @@ class QueryParser {
   }
 
   mapVersionToKey(version) {
+    if (QueryParser.isAzureVersion(version)) {
+      return version;
+    }
+
     const versionNum = parseInt(version);
 
     // Handle direct year input (e.g., 2022, 2019, etc.)
@@ -249,6 +408,12 @@ class QueryParser {
     return 2019; // Default fallback
   }
 
+  /**
+   * Splits a pack into queries. Ids come from the pack's own "(Query N)"
+   * number and a slug of the query's name, e.g. `glen-berry-37-top-waits`,
+   * so they match Glenn's documentation and don't shift when a block is
+   * skipped. Blocks without a number fall back to their position.
+   */
   parseGlenBerryQueries(sqlContent, version) {
     const queries = [];
 
@@ -256,28 +421,62 @@ class QueryParser {
       // Split the content by the query separator (------)
       const queryBlocks = sqlContent.split(/^------$/gm);
 
-      let queryNumber = 1;
+      const usedIds = new Set();
+      let position = 1;
+      let scope = 'instance';
+      let packSection = null;
 
       for (let i = 0; i < queryBlocks.length - 1; i++) {
         const block = queryBlocks[i].trim();
 
         if (!block || block.length < 50) continue; // Skip very short blocks
 
+        if (DATABASE_SECTION_MARKER.test(block)) {
+          scope = 'database';
+        }
+
+        // A "-- Instance level queries *****" heading starts a pack section
+        const headings = Array.from(block.matchAll(SECTION_HEADING_LINE), match => match[1]).filter(Boolean);
+        if (headings.length > 0) {
+          packSection = QueryParser.formatHeading(headings[headings.length - 1]);
+        }
+
         // Extract query information using regex patterns
-        const queryInfo = this.extractQueryInfo(block, queryNumber);
+        const queryInfo = this.extractQueryInfo(block, position);
 
         if (queryInfo && queryInfo.query) {
+          const slug = QueryParser.slugify(queryInfo.name);
+          const baseId = queryInfo.queryNumber
+            ? `glen-berry-${queryInfo.queryNumber}-${slug}`
+            : `glen-berry-unnumbered-${position}`;
+
+          // The odd pack repeats a query number; later copies get a suffix
+          let id = baseId;
+          for (let copy = 2; usedIds.has(id); copy++) {
+            id = `${baseId}-${copy}`;
+          }
+          usedIds.add(id);
+
+          // Glenn's notes on a query follow it, at the top of the next block
+          const guidance = this.extractGuidance(queryInfo.summary, queryBlocks[i + 1]);
+
           queries.push({
-            id: `glen-berry-${queryNumber}`,
+            id,
+            slug,
             name: queryInfo.name,
-            section: queryInfo.section,
+            // Keyword categorization only covers packs without headings
+            section: packSection || queryInfo.section,
+            packSection,
             description: queryInfo.description,
             query: queryInfo.query,
+            guidance,
+            scope,
             estimatedDuration: this.estimateQueryDuration(queryInfo.query),
-            queryNumber: queryNumber
+            queryNumber: queryInfo.queryNumber,
+            packVersion: version
           });
 
-          queryNumber++;
+          position++;
         }
       }
 
@@ -299,8 +498,12 @@ class QueryParser {
       let name = `Query ${queryNumber}`;
       let section = 'General';
       let description = 'SQL Server diagnostic query';
+      let packNumber = null;
+      let summary = null;
 
       if (match) {
+        packNumber = parseInt(match[1]);
+        summary = match[0].replace(/^--\s*/, '').replace(/\s*\(Query\s+\d+\).*$/i, '') || null;
         description = match[2].trim();
         name = description;
         section = this.categorizeQuery(description, block);
@@ -319,6 +522,11 @@ class QueryParser {
           continue;
         }
 
+        // The pack's own database switch is replaced by per-database execution
+        if (/^USE\s+\S+/i.test(trimmedLine) || /^GO$/i.test(trimmedLine)) {
+          continue;
+        }
+
         // Start collecting SQL when we hit the first non-comment line
         if (!inQuery && trimmedLine.length > 0) {
           inQuery = true;
@@ -340,7 +548,9 @@ class QueryParser {
         name,
         section,
         description,
-        query
+        query,
+        queryNumber: packNumber,
+        summary
       };
 
     } catch (error) {
@@ -349,6 +559,215 @@ class QueryParser {
     }
   }
 
+  /**
+   * Structures the commentary around a query: the explanation in its header
+   * line, and the notes that follow it up to the next query's header or a
+   * section heading.
+   *
+   *   { summary, notes: [...], links: [{ url, title }], shouldBe: [{ subject, value, text }] }
+   *
+   * A line on its own above a bare URL becomes that link's title.
+   */
+  extractGuidance(summary, followingBlock = '') {
+    const collected = [];
+
+    for (const line of (followingBlock || '').split('\n')) {
+      const trimmedLine = line.trim();
+
+      if (QUERY_HEADER.test(trimmedLine) || SECTION_HEADING.test(trimmedLine)) {
+        // Comments directly above a query header introduce that query
+        while (collected.length > 0 && collected[collected.length - 1] !== '') {
+          collected.pop();
+        }
+        break;
+      }
+
+      if (trimmedLine !== '' && !trimmedLine.startsWith('--')) {
+        break;
+      }
+
+      collected.push(trimmedLine.replace(/^--+\s*/, '').trim());
+    }
+
+    const entries = collected.filter(line => line !== '').map(line => ({
+      urls: line.match(URL_PATTERN) || [],
+      text: line.replace(URL_PATTERN, '').replace(/\s{2,}/g, ' ').replace(/[\s:(-]+$/, '').trim()
+    }));
+    const titlesLink = (entry) => entry && entry.text && entry.urls.length === 0;
+    const notes = [];
+    const links = [];
+    const shouldBe = [];
+
+    entries.forEach((entry, index) => {
+      const { urls, text } = entry;
+
+      if (!text) {
+        const previous = entries[index - 1];
+        urls.forEach(url => links.push({ url, title: titlesLink(previous) ? previous.text : null }));
+        return;
+      }
+
+      urls.forEach(url => links.push({ url, title: text }));
+
+      const next = entries[index + 1];
+      if (titlesLink(entry) && next && !next.text) {
+        return;
+      }
+
+      notes.push(text);
+
+      const should = SHOULD_BE_PATTERN.exec(text);
+      if (should) {
+        shouldBe.push({ subject: should[1].trim(), value: should[2].trim(), text });
+      }
+    });
+
+    if (!summary && notes.length === 0 && links.length === 0) {
+      return null;
+    }
+
+    return { summary: summary || null, notes, links, shouldBe };
+  }
+
+  /**
+   * Reads the user's section map, which regroups queries without editing
+   * the packs:
+   *
+   *   {
+   *     "headings": { "<pack heading>": "<section>" },
+   *     "queries": { "<query key or id>": "<section>" },
+   *     "order": ["<section>", ...]
+   *   }
+   */
+  async loadSectionMap() {
+    const empty = { headings: {}, queries: {}, order: [] };
+    if (!this.userDataDir) {
+      return empty;
+    }
+
+    const mapPath = path.join(this.userDataDir, SECTION_MAP_FILE);
+
+    try {
+      if (await fs.pathExists(mapPath)) {
+        const map = await fs.readJson(mapPath);
+        return {
+          headings: map.headings || {},
+          queries: map.queries || {},
+          order: Array.isArray(map.order) ? map.order : []
+        };
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to read section map ${mapPath}: ${error.message}`);
+    }
+
+    return empty;
+  }
+
+  /**
+   * Assigns sections from the section map: a query's own entry (by id, then
+   * key) wins over its renamed pack heading. Sections listed in `order` come
+   * first, in that order; the rest keep the pack's order.
+   */
+  applySectionMap(queries, sectionMap) {
+    for (const query of queries) {
+      const mapped = sectionMap.queries[query.id] || sectionMap.queries[query.key] ||
+        (query.packSection && sectionMap.headings[query.packSection]);
+      if (mapped) {
+        query.section = mapped;
+      }
+    }
+
+    if (sectionMap.order.length === 0) {
+      return queries;
+    }
+
+    const rank = (query) => {
+      const index = sectionMap.order.indexOf(query.section);
+      return index === -1 ? sectionMap.order.length : index;
+    };
+
+    // Array.prototype.sort is stable, so queries keep their pack order within a section
+    return [...queries].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Reads the query map: logical keys for queries Glenn renamed or
+   * renumbered between pack versions.
+   *
+   *   {
+   *     "aliases": { "<name slug>": "<key>" },
+   *     "versions": { "<pack version>": { "<query number>": "<key>" } }
+   *   }
+   */
+  async loadQueryMap() {
+    const mapPath = path.join(this.queryPacksDir, QUERY_MAP_FILE);
+
+    try {
+      if (await fs.pathExists(mapPath)) {
+        const map = await fs.readJson(mapPath);
+        return { aliases: map.aliases || {}, versions: map.versions || {} };
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to read query map ${mapPath}: ${error.message}`);
+    }
+
+    return { aliases: {}, versions: {} };
+  }
+
+  /**
+   * Gives each parsed query a `key` that stays the same across pack
+   * versions: the query map's entry for its version and number, then its
+   * alias, then its name slug. Health checks, timeout overrides and
+   * selections accept keys as well as ids.
+   */
+  assignQueryKeys(queries, queryMap) {
+    for (const query of queries) {
+      const versionMap = queryMap.versions[this.mapVersionToKey(query.packVersion)] || {};
+      const slug = query.slug || QueryParser.slugify(query.name);
+
+      query.key = (query.queryNumber && versionMap[query.queryNumber]) || queryMap.aliases[slug] || slug;
+    }
+    return queries;
+  }
+
+  /**
+   * The mapping table across every locally available pack: one row per
+   * logical query key, with that query's number, id and name in each pack.
+   */
+  async buildQueryIdMap() {
+    const queryMap = await this.loadQueryMap();
+    const versions = (await this.getAvailableVersions()).filter(version => !QueryParser.isAzureVersion(version));
+    const rows = new Map();
+
+    for (const version of versions) {
+      let sqlContent;
+      try {
+        sqlContent = await this.loadLocalQueryPack(version);
+      } catch (error) {
+        this.logger.warn(`Leaving SQL Server ${version} out of the query id map: ${error.message}`);
+        continue;
+      }
+
+      if (!sqlContent) {
+        continue;
+      }
+
+      const queries = this.assignQueryKeys(this.parseGlenBerryQueries(sqlContent, version), queryMap);
+      for (const query of queries) {
+        if (!rows.has(query.key)) {
+          rows.set(query.key, { key: query.key, versions: {} });
+        }
+        rows.get(query.key).versions[version] = {
+          queryNumber: query.queryNumber,
+          id: query.id,
+          name: query.name
+        };
+      }
+    }
+
+    return { versions, queries: Array.from(rows.values()) };
+  }
+
   categorizeQuery(description, block) {
     const desc = description.toLowerCase();
     const content = block.toLowerCase();
@@ -430,6 +849,22 @@ class QueryParser {
     return 3000; // Default estimate
   }
 
+  /**
+   * Suggests a timeout for a query: heavy DMVs get a long budget and
+   * everything else ten times its estimated duration, so cheap queries
+   * fail fast on a blocked server instead of waiting out a global limit.
+   */
+  estimateQueryTimeout(query, estimatedDuration = null) {
+    const queryLower = query.toLowerCase();
+
+    if (HEAVY_DMVS.some(dmv => queryLower.includes(dmv))) {
+      return HEAVY_QUERY_TIMEOUT;
+    }
+
+    const estimate = estimatedDuration || this.estimateQueryDuration(query);
+    return Math.max(estimate * 10, MIN_QUERY_TIMEOUT);
+  }
+
   getSampleQueries(version) {
     // Sample diagnostic queries based on Glen Berry's structure
     return [
@@ -439,6 +874,7 @@ class QueryParser {
         section: 'Instance Information',
         description: 'Get SQL Server and OS version information',
         query: `SELECT @@SERVERNAME AS [Server Name], @@VERSION AS [SQL Server and OS Version Info];`,
+        scope: 'instance',
         estimatedDuration: 1000
       },
       {
@@ -456,6 +892,7 @@ class QueryParser {
           SERVERPROPERTY('ProductVersion') AS [ProductVersion],
           SERVERPROPERTY('Collation') AS [Collation];
         `,
+        scope: 'instance',
         estimatedDuration: 1000
       },
       {
@@ -468,6 +905,7 @@ class QueryParser {
           FROM sys.configurations WITH (NOLOCK)
           ORDER BY name;
         `,
+        scope: 'instance',
         estimatedDuration: 2000
       },
       {
@@ -486,6 +924,7 @@ class QueryParser {
           virtual_machine_type_desc AS [Virtual Machine Type]
           FROM sys.dm_os_sys_info WITH (NOLOCK);
         `,
+        scope: 'instance',
         estimatedDuration: 1000
       },
       {
@@ -502,6 +941,7 @@ class QueryParser {
           system_memory_state_desc AS [System Memory State]
           FROM sys.dm_os_sys_memory WITH (NOLOCK);
         `,
+        scope: 'instance',
         estimatedDuration: 1000
       },
       {
@@ -518,6 +958,7 @@ class QueryParser {
           FROM sys.master_files WITH (NOLOCK)
           ORDER BY DB_NAME([database_id]), [file_id];
         `,
+        scope: 'instance',
         estimatedDuration: 2000
       },
       {
@@ -557,6 +998,7 @@ class QueryParser {
           )
           ORDER BY wait_time_ms DESC;
         `,
+        scope: 'instance',
         estimatedDuration: 3000
       },
       {
@@ -579,11 +1021,87 @@ class QueryParser {
           GROUP BY ISNULL(d.[name], bs.[database_name]), d.recovery_model_desc, d.log_reuse_wait_desc, d.[name] 
           ORDER BY d.recovery_model_desc, d.[name];
         `,
+        scope: 'instance',
         estimatedDuration: 2000
       }
     ];
   }
 
+  /**
+   * Narrows a query list to a selection of sections, query ids and name
+   * patterns. Queries must match at least one include criterion (when any
+   * are given) and no exclude criterion. Name patterns are case-insensitive
+   * and support `*` wildcards; patterns without one match substrings.
+   */
+  filterQueries(queries, { include = {}, exclude = {} } = {}) {
+    const hasInclude = ['sections', 'queryIds', 'names'].some(key => include[key] && include[key].length > 0);
+
+    const filtered = queries.filter(query => {
+      if (hasInclude && !this.matchesSelection(query, include)) {
+        return false;
+      }
+      return !this.matchesSelection(query, exclude);
+    });
+
+    if (filtered.length !== queries.length) {
+      this.logger.info(`Selected ${filtered.length} of ${queries.length} queries`);
+    }
+
+    return filtered;
+  }
+
+  matchesSelection(query, selection) {
+    const sections = (selection.sections || []).map(section => section.toLowerCase());
+    if (query.section && sections.includes(query.section.toLowerCase())) {
+      return true;
+    }
+
+    const queryIds = selection.queryIds || [];
+    if (queryIds.includes(query.id) || (query.key && queryIds.includes(query.key))) {
+      return true;
+    }
+
+    return (selection.names || []).some(pattern => this.namePatternToRegex(pattern).test(query.name));
+  }
+
+  namePatternToRegex(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+    if (!pattern.includes('*')) {
+      return new RegExp(escaped, 'i');
+    }
+
+    return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`, 'i');
+  }
+
+  /**
+   * Repeats database-level queries once per database, each prefixed with a
+   * USE statement. Instance-level queries are pinned to the connection's
+   * database since pooled connections keep whatever context they last had.
+   */
+  expandDatabaseQueries(queries, databases, defaultDatabase = 'master') {
+    const instanceQueries = queries
+      .filter(query => query.scope !== 'database')
+      .map(query => ({ ...query, query: this.withDatabaseContext(query.query, defaultDatabase) }));
+
+    const databaseQueries = [];
+    for (const database of databases) {
+      for (const query of queries.filter(q => q.scope === 'database')) {
+        databaseQueries.push({
+          ...query,
+          database,
+          query: this.withDatabaseContext(query.query, database)
+        });
+      }
+    }
+
+    return [...instanceQueries, ...databaseQueries];
+  }
+
+  withDatabaseContext(query, database) {
+    return `USE [${database.replace(/]/g, ']]')}];\n${query}`;
+  }
+
   organizeSections() {
     this.sections.clear();
     
@@ -615,6 +1133,66 @@ class QueryParser {
   getSectionCount() {
     return this.sections.size;
   }
+
+  /**
+   * Normalizes a query name for use in ids: "Top Waits (SQL 2019)" becomes
+   * `top-waits-sql-2019`.
+   */
+  static slugify(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'query';
+  }
+
+  /**
+   * "Instance level queries" -> "Instance Level Queries"
+   */
+  static formatHeading(heading) {
+    return heading
+      .replace(/[-*=\s]+$/, '')
+      .trim()
+      .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+  }
+
+  /**
+   * Compares a pack's bytes with its manifest entry: `verified`,
+   * `mismatch` or `unrecorded` (no entry or no checksum).
+   */
+  static checkIntegrity(entry, data) {
+    const actual = QueryParser.hashContent(data);
+
+    if (!entry || !entry.sha256) {
+      return { status: 'unrecorded', actual };
+    }
+
+    return {
+      status: entry.sha256.toLowerCase() === actual ? 'verified' : 'mismatch',
+      expected: entry.sha256,
+      actual
+    };
+  }
+
+  static hashContent(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Constructor options for a QueryParser that follows the `queries`
+   * settings of a headless or web config.
+   */
+  static optionsFromConfig(config) {
+    return {
+      userDataDir: config.dataDir || './data',
+      packIntegrity: config.queries?.packIntegrity,
+      onlineFallback: config.queries?.onlineFallback
+    };
+  }
+
+  static isAzureVersion(version) {
+    return String(version).startsWith('azure-');
+  }
 }
 
 module.exports = QueryParser;
@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const ConfigManager = require('../utils/ConfigManager');
+const SecretStore = require('../utils/SecretStore');
+
+// Connection settings an inventory entry may carry
+const CONNECTION_FIELDS = [
+  'server',
+  'database',
+  'connectionString',
+  'port',
+  'instanceName',
+  'applicationName',
+  'applicationIntent',
+  'multiSubnetFailover',
+  'authentication'
+];
+
+/**
+ * Saved servers, persisted as `servers.json` under the data directory:
+ *
+ *   { id, name, environment, owner, group, connection, createdAt, updatedAt }
+ *
+ * `connection` holds the same fields as a run's connection config. Secrets
+ * are stored encrypted, or as `env:`/`secret:` references (see SecretStore).
+ * References can only be written into the file by hand; entries saved
+ * through `create` and `update` may keep them but not add them.
+ */
+class ServerInventory {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.filePath = path.join(config.dataDir || './data', 'servers.json');
+    this.writeQueue = Promise.resolve();
+    this.secretStore = new SecretStore(config, logger);
+  }
+
+  async list(filter = {}) {
+    const servers = await this.load();
+
+    return servers.filter(entry =>
+      (!filter.group || entry.group === filter.group) &&
+      (!filter.environment || entry.environment === filter.environment));
+  }
+
+  /**
+   * Finds an entry by id, or by name (case-insensitive).
+   */
+  async get(idOrName) {
+    const servers = await this.load();
+    const name = String(idOrName).toLowerCase();
+    return servers.find(entry => entry.id === idOrName) ||
+      servers.find(entry => entry.name.toLowerCase() === name) ||
+      null;
+  }
+
+  /**
+   * Swaps a `{ serverId }` connection config for the saved entry's
+   * connection; any other config is returned unchanged.
+   */
+  async resolve(connectionConfig) {
+    if (!connectionConfig?.serverId) {
+      return { connectionConfig, entry: null };
+    }
+
+    const entry = await this.get(connectionConfig.serverId);
+    if (!entry) {
+      throw new Error(`Saved server '${connectionConfig.serverId}' not found`);
+    }
+
+    return { connectionConfig: await this.toConnectionConfig(entry), entry };
+  }
+
+  /**
+   * Turns a fleet selection into run targets: either a list of entry ids or
+   * names, or every entry in a group and/or environment.
+   */
+  async resolveTargets({ serverIds, group, environment } = {}) {
+    let entries;
+
+    if (Array.isArray(serverIds) && serverIds.length > 0) {
+      entries = [];
+      for (const idOrName of serverIds) {
+        const entry = await this.get(idOrName);
+        if (!entry) {
+          throw new Error(`Saved server '${idOrName}' not found`);
+        }
+        if (!entries.some(existing => existing.id === entry.id)) {
+          entries.push(entry);
+        }
+      }
+    } else if (group || environment) {
+      entries = await this.list({ group, environment });
+    } else {
+      throw new Error('Select saved servers, a group or an environment to run against');
+    }
+
+    if (entries.length === 0) {
+      throw new Error('No saved servers match the selection');
+    }
+
+    return Promise.all(entries.map(async entry => ({
+      connectionConfig: await this.toConnectionConfig(entry),
+      inventory: ServerInventory.toReference(entry)
+    })));
+  }
+
+  /**
+   * The entry's connection, with secret references looked up, ready to hand
+   * to a ConnectionManager.
+   */
+  async toConnectionConfig(entry) {
+    const connection = await this.secretStore.resolve(entry.connection);
+    return ConfigManager.applyConnectionString({ database: 'master', ...connection });
+  }
+
+  async create(fields) {
+    return this.modify((servers) => {
+      const now = new Date().toISOString();
+      const entry = {
+        id: `srv-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+        ...ServerInventory.pickEntryFields(fields),
+        connection: ServerInventory.pickConnectionFields(fields.connection || {}),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      SecretStore.rejectNewReferences(entry.connection, null);
+      this.validate(entry, servers);
+      servers.push(entry);
+
+      this.logger.info(`Added ${entry.name} to the server inventory`);
+      return entry;
+    });
+  }
+
+  /**
+   * Applies changes to an entry. Secrets sent back masked keep their stored
+   * value, so an entry read from the API can be edited and saved as is.
+   */
+  async update(id, changes) {
+    return this.modify((servers) => {
+      const index = servers.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const existing = servers[index];
+      const connection = SecretStore.restoreMasked({
+        ...existing.connection,
+        ...ServerInventory.pickConnectionFields(changes.connection || {})
+      }, existing.connection);
+
+      const entry = {
+        ...existing,
+        ...ServerInventory.pickEntryFields(changes),
+        connection,
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+
+      SecretStore.rejectNewReferences(connection, existing.connection);
+      this.validate(entry, servers.filter((_, i) => i !== index));
+      servers[index] = entry;
+
+      this.logger.info(`Updated ${entry.name} in the server inventory`);
+      return entry;
+    });
+  }
+
+  async remove(id) {
+    return this.modify((servers) => {
+      const index = servers.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      const [entry] = servers.splice(index, 1);
+      this.logger.info(`Removed ${entry.name} from the server inventory`);
+      return true;
+    });
+  }
+
+  validate(entry, otherServers) {
+    if (!entry.name || !String(entry.name).trim()) {
+      throw new Error('Server name is required');
+    }
+
+    if (otherServers.some(other => other.name.toLowerCase() === entry.name.toLowerCase())) {
+      throw new Error(`A server named '${entry.name}' already exists`);
+    }
+
+    const connection = ConfigManager.applyConnectionString(entry.connection);
+    if (!connection.server) {
+      throw new Error('A server or connection string is required');
+    }
+
+    ConfigManager.validateAuthentication(connection.authentication);
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+
+    const data = await fs.readJson(this.filePath);
+    return Array.isArray(data.servers) ? this.secretStore.decryptAll(data.servers) : [];
+  }
+
+  /**
+   * Read-modify-write, one at a time so concurrent requests don't drop changes.
+   */
+  async modify(change) {
+    const result = this.writeQueue.then(async () => {
+      const servers = await this.load();
+      const outcome = change(servers);
+
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(this.filePath, { servers: await this.secretStore.protect(servers) }, { spaces: 2 });
+
+      return outcome;
+    });
+
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  static pickEntryFields(fields) {
+    const picked = {};
+    for (const field of ['name', 'environment', 'owner', 'group']) {
+      if (fields[field] !== undefined) {
+        picked[field] = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+      }
+    }
+    return picked;
+  }
+
+  static pickConnectionFields(connection) {
+    return Object.fromEntries(CONNECTION_FIELDS
+      .filter(field => connection[field] !== undefined)
+      .map(field => [field, connection[field]]));
+  }
+
+  /**
+   * What a report records about the entry it was run against.
+   */
+  static toReference(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      environment: entry.environment,
+      owner: entry.owner,
+      group: entry.group
+    };
+  }
+
+  /**
+   * Copy of the entry that is safe to send to a browser.
+   */
+  static mask(entry) {
+    return { ...entry, connection: SecretStore.mask(entry.connection) };
+  }
+}
+
+module.exports = ServerInventory;
@@ -0,0 +1,96 @@
+// SQL Server error numbers that are worth retrying
+const TRANSIENT_ERRORS = {
+  1205: 'deadlock victim',
+  1222: 'lock request timeout',
+  '-2': 'timeout',
+  233: 'connection reset',
+  64: 'connection reset',
+  10053: 'connection reset',
+  10054: 'connection reset',
+  10060: 'connection reset',
+  40197: 'service error',
+  40501: 'throttled',
+  40613: 'database unavailable',
+  49918: 'throttled',
+  49919: 'throttled',
+  49920: 'throttled',
+  10928: 'throttled',
+  10929: 'throttled',
+  8645: 'memory grant timeout'
+};
+
+// SQL Server error numbers that will fail the same way on every attempt
+const PERMANENT_ERRORS = {
+  229: 'permission denied',
+  230: 'permission denied',
+  297: 'permission denied',
+  300: 'permission denied',
+  916: 'permission denied',
+  15151: 'permission denied',
+  18456: 'login failed',
+  208: 'invalid object',
+  207: 'invalid column',
+  2812: 'invalid object',
+  4121: 'invalid object',
+  195: 'invalid object',
+  102: 'syntax error',
+  156: 'syntax error',
+  111: 'syntax error',
+  911: 'database not found',
+  40515: 'unsupported on this platform'
+};
+
+// Driver-level error codes (tedious / mssql)
+const TRANSIENT_CODES = {
+  ETIMEOUT: 'timeout',
+  ECONNRESET: 'connection reset',
+  ECONNCLOSED: 'connection reset',
+  ESOCKET: 'connection reset'
+};
+
+/**
+ * Classifies query errors as transient (retry with backoff), permanent
+ * (never retry) or unknown (treated as permanent).
+ */
+class SqlErrorClassifier {
+  static classify(error) {
+    const number = SqlErrorClassifier.getErrorNumber(error);
+    const code = error && (error.code || (error.originalError && error.originalError.code));
+
+    if (code === 'ECANCEL') {
+      return { category: 'permanent', reason: 'cancelled', number };
+    }
+
+    if (number !== null && TRANSIENT_ERRORS[number]) {
+      return { category: 'transient', reason: TRANSIENT_ERRORS[number], number };
+    }
+
+    if (number !== null && PERMANENT_ERRORS[number]) {
+      return { category: 'permanent', reason: PERMANENT_ERRORS[number], number };
+    }
+
+    if (code && TRANSIENT_CODES[code]) {
+      return { category: 'transient', reason: TRANSIENT_CODES[code], number };
+    }
+
+    return { category: 'unknown', reason: 'unclassified error', number };
+  }
+
+  static isTransient(error) {
+    return SqlErrorClassifier.classify(error).category === 'transient';
+  }
+
+  static getErrorNumber(error) {
+    if (!error) {
+      return null;
+    }
+
+    const number = error.number !== undefined ? error.number
+      : error.originalError && error.originalError.info ? error.originalError.info.number
+        : undefined;
+
+    return number !== undefined && number !== null ? Number(number) : null;
+  }
+}
+
+module.exports = SqlErrorClassifier;
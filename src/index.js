@@ -6,17 +6,23 @@ const path = require('path');
 const fs = require('fs-extra');
 
 const WebServer = require('./web/WebServer');
+const DiagnosticRunner = require('./core/DiagnosticRunner');
+const QueryPackDiff = require('./core/QueryPackDiff');
+const QueryPackStore = require('./core/QueryPackStore');
 const Logger = require('./utils/Logger');
 const ConfigManager = require('./utils/ConfigManager');
 
 const program = new Command();
 
+const { EXIT_CODES } = DiagnosticRunner;
+
 program
   .name('sql-diagnostic-tool')
   .description('Portable SQL Server Diagnostic Tool with Web Interface')
   .version('1.0.0');
 
 program
+  .enablePositionalOptions()
   .option('-p, --port <port>', 'Web server port', '3000')
   .option('-h, --host <host>', 'Web server host', 'localhost')
   .option('--https', 'Enable HTTPS')
@@ -25,13 +31,74 @@ program
   .option('--data-dir <dir>', 'Data directory for reports and config', './data')
   .option('--no-ai', 'Disable AI features')
   .option('--verbose', 'Enable verbose logging')
-  .option('--no-browser', 'Don\'t open browser automatically');
+  .option('--no-browser', 'Don\'t open browser automatically')
+  .action((options) => main(options));
 
-program.parse();
+program
+  .command('run')
+  .description('Run a full diagnostic from the terminal without starting the web interface')
+  .option('-s, --server <server>', 'SQL Server instance to diagnose')
+  .option('-d, --database <database>', 'Database to connect to (default: the config file database, or master)')
+  .option('--connection-string <string>', 'ADO.NET or ODBC connection string (its values win over the individual options)')
+  .option('--port <port>', 'TCP port of the SQL Server instance')
+  .option('--instance <name>', 'Named instance, resolved through the SQL Browser service')
+  .option('--app-name <name>', 'Application name reported to SQL Server')
+  .option('--read-only', 'Connect with ApplicationIntent=ReadOnly to reach a readable secondary')
+  .option('--multi-subnet-failover', 'Try all IP addresses of an availability group listener in parallel')
+  .option('-u, --username <username>', 'SQL Server authentication username')
+  .option('--password <password>', 'SQL Server authentication password')
+  .option('--trusted', 'Use Windows (trusted) authentication')
+  .option('--auth-type <type>', 'Authentication: sql, ntlm, azure-ad-password, azure-ad-service-principal, azure-ad-managed-identity or azure-ad-access-token')
+  .option('--domain <domain>', 'Windows domain for NTLM authentication')
+  .option('--client-id <id>', 'Azure AD application (client) id')
+  .option('--client-secret <secret>', 'Azure AD client secret for service principal authentication')
+  .option('--tenant-id <id>', 'Azure AD tenant id')
+  .option('--access-token <token>', 'Pre-acquired Azure AD access token')
+  .option('--encrypt <mode>', 'Connection encryption: strict (TDS 8.0), mandatory or optional (default mandatory)')
+  .option('--trust-server-certificate', 'Accept the server certificate without validating it')
+  .option('--ca-file <file>', 'PEM CA bundle used to validate the server certificate')
+  .option('--pinned-cert <file>', 'PEM server certificate that is the only one trusted')
+  .option('--host-name-in-certificate <name>', 'Host name expected in the server certificate')
+  .option('--ai <provider>', 'AI provider for analysis (openai, ollama, none)')
+  .option('--api-key <key>', 'OpenAI API key')
+  .option('--ollama-url <url>', 'Ollama endpoint URL')
+  .option('--ollama-model <model>', 'Ollama model name')
+  .option('-o, --output <dir>', 'Directory the report is written to')
+  .option('--timeout <ms>', 'Query timeout in milliseconds for queries without their own budget')
+  .option('--no-adaptive-timeouts', 'Apply --timeout to every query instead of per-query budgets')
+  .option('--databases <list>', 'Databases for database-level queries: "all", "current" or a comma-separated list')
+  .option('--preflight <mode>', 'Queries predicted to fail by the permission check: skip, warn or off (default skip)')
+  .option('--concurrency <n>', 'Number of queries to run at once (1-10, default 1)')
+  .option('--sections <list>', 'Comma-separated sections to run (e.g. "Instance Level Queries")')
+  .option('--exclude-sections <list>', 'Comma-separated sections to skip')
+  .option('--queries <ids>', 'Comma-separated query ids to run')
+  .option('--exclude-queries <ids>', 'Comma-separated query ids to skip')
+  .option('--match <patterns>', 'Comma-separated query name patterns to run (* wildcards allowed)')
+  .option('--exclude-match <patterns>', 'Comma-separated query name patterns to skip')
+  .option('--custom-packs <ids>', 'Comma-separated custom query packs to run, or "none" (default: every pack in ./data/custom-packs)')
+  .option('--pack-integrity <mode>', 'Query packs not matching their manifest.json checksum: strict, enforce, warn or off (default enforce)')
+  .option('--no-online-fallback', 'Never download a missing query pack at run time')
+  .option('--read-only-guard <mode>', 'Queries that change state: block, warn or off (default block)')
+  .option('--allow-mutating <ids>', 'Comma-separated query ids or keys the read-only guard lets run')
+  .option('--rollback-transaction', 'Run each query inside a transaction that is always rolled back')
+  .option('-c, --config <file>', 'Configuration file to load before applying options')
+  .option('--fail-on <severity>', 'Exit non-zero when a health check finding reaches this severity (info, warning, critical, none)')
+  .option('--max-failed-queries <n>', 'Number of failed queries tolerated before exiting non-zero')
+  .option('--json', 'Print a machine-readable JSON summary to stdout')
+  .option('--verbose', 'Enable verbose logging')
+  .action((cmdOptions) => run(cmdOptions));
 
-const options = program.opts();
+program
+  .command('diff-packs <from> <to>')
+  .description('Compare two query packs: .sql files, saved snapshots (.json), upload ids, versions (2019), earlier revisions (2019~1) or SHA-256 prefixes (2019@3f2a9c)')
+  .option('--data-dir <dir>', 'Data directory holding the query packs', './data')
+  .option('--no-sql', 'List changed queries without their SQL diffs')
+  .option('--snapshot <file>', 'Save the queries extracted from <to>, to compare against after a parser change')
+  .option('--json', 'Print the comparison as JSON')
+  .option('--verbose', 'Enable verbose logging')
+  .action((from, to, cmdOptions) => diffPacks(from, to, cmdOptions));
 
-async function main() {
+async function main(options = program.opts()) {
   const logger = new Logger(options.verbose);
 
   try {
@@ -100,6 +167,199 @@ async function main() {
   }
 }
 
+async function run(cmdOptions) {
+  // Keep stdout for progress output; detailed logs still go to the log file
+  const logger = new Logger(cmdOptions.verbose, { console: !!cmdOptions.verbose });
+
+  // With --json, stdout carries only the summary and progress moves to stderr
+  const print = cmdOptions.json ? console.error : console.log;
+
+  try {
+    print(chalk.blue.bold('\n🔍 SQL Server Diagnostic Tool'));
+    print(chalk.gray('Headless diagnostic run\n'));
+
+    const config = await ConfigManager.load(cmdOptions.config, cmdOptions);
+
+    const runner = new DiagnosticRunner(config, logger);
+
+    // Ctrl+C stops the run but still saves a partial report
+    process.once('SIGINT', () => {
+      print(chalk.yellow('\n🛑 Cancelling diagnostic run...'));
+      runner.cancel('Interrupted');
+    });
+
+    const outcome = await runner.run({
+      connectionConfig: config,
+      aiConfig: config.ai,
+      queryOptions: config.queries
+    }, (progress) => {
+      if (progress.stage === 'executing' && progress.progress) {
+        const { completed, total } = progress.progress;
+        const current = completed < total ? ` ${chalk.gray(progress.currentQuery)}` : '';
+        print(chalk.cyan(`  [${completed}/${total}]`) + current);
+      } else {
+        print(chalk.cyan(`▶ ${progress.message}`));
+      }
+    });
+
+    const summary = runner.summarize(outcome);
+    const { executionSummary } = outcome;
+
+    if (executionSummary.cancelled) {
+      print(chalk.yellow.bold(`\n⏹️  Diagnostic cancelled, ${executionSummary.skipped} queries skipped`));
+    } else if (executionSummary.aborted) {
+      print(chalk.red.bold(`\n⛔ Diagnostic stopped (${executionSummary.abortReason}), ${executionSummary.skipped} queries skipped`));
+    } else {
+      print(chalk.green.bold('\n✅ Diagnostic completed'));
+    }
+    print(chalk.gray(`   Server: ${outcome.serverInfo.serverName}`));
+    print(chalk.gray(`   Queries: ${executionSummary.successful} successful, ${executionSummary.failed} failed, ${executionSummary.skipped} skipped`));
+    print(chalk.gray(`   Health findings: ${outcome.healthFindings.length}`));
+    print(chalk.gray(`   Execution time: ${Math.round(executionSummary.executionTime / 1000)}s`));
+    print(chalk.cyan(`📄 HTML report: ${outcome.reportInfo.htmlPath}`));
+    print(chalk.cyan(`📋 JSON report: ${outcome.reportInfo.jsonPath}`));
+
+    for (const query of summary.failedQueries) {
+      print(chalk.red(`   ✗ ${query.name}: ${query.error}`));
+    }
+
+    for (const query of summary.blockedQueries) {
+      print(chalk.magenta(`   🛡 ${query.name}${query.database ? ` (${query.database})` : ''}: ${query.reason}`));
+    }
+
+    for (const finding of summary.findings) {
+      print(chalk.yellow(`   ⚠ [${finding.severity}] ${finding.message}`));
+    }
+
+    if (cmdOptions.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    }
+
+    const exitCode = DiagnosticRunner.exitCode(summary);
+
+    // A stop was already reported above, and the allowance doesn't apply to it
+    if (exitCode === EXIT_CODES.queryFailures && !executionSummary.aborted) {
+      print(chalk.red.bold(`\n❌ ${summary.failedQueries.length} queries failed (allowed: ${config.health.maxFailedQueries})`));
+    } else if (exitCode === EXIT_CODES.healthChecks) {
+      print(chalk.red.bold(`\n❌ Health check findings reached the '${config.health.failOn}' threshold`));
+    }
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    console.error(chalk.red.bold('\n❌ Error:'), error.message);
+
+    if (cmdOptions.verbose) {
+      console.error(chalk.gray('\nStack trace:'));
+      console.error(error.stack);
+    }
+
+    if (cmdOptions.json) {
+      console.log(JSON.stringify({ status: 'error', error: error.message }, null, 2));
+    }
+
+    logger.error('Diagnostic run failed', error);
+    process.exit(error.code === 'ECANCELLED' ? EXIT_CODES.cancelled : EXIT_CODES.error);
+  }
+}
+
+async function diffPacks(fromRef, toRef, cmdOptions) {
+  const logger = new Logger(cmdOptions.verbose, { console: !!cmdOptions.verbose });
+
+  try {
+    const store = new QueryPackStore({ dataDir: cmdOptions.dataDir }, logger);
+
+    // A path to a file wins over a pack reference of the same name
+    const load = async (ref) => {
+      if (await fs.pathExists(ref) && (await fs.stat(ref)).isFile()) {
+        if (path.extname(ref).toLowerCase() === '.json') {
+          const snapshot = await fs.readJson(ref);
+          if (!Array.isArray(snapshot.queries)) {
+            throw new Error(`${ref} is not a query pack snapshot`);
+          }
+          return { ...snapshot, label: `${ref} (${snapshot.label}, saved ${snapshot.savedAt})` };
+        }
+
+        const content = await fs.readFile(ref, 'utf8');
+        return { label: ref, version: QueryPackStore.detectVersion(content), content };
+      }
+
+      const pack = await store.resolve(ref);
+      if (!pack) {
+        throw new Error(`Query pack '${ref}' not found`);
+      }
+      return pack;
+    };
+
+    const queryPackDiff = new QueryPackDiff(logger, store.queryParser);
+    const [from, to] = [await load(fromRef), await load(toRef)];
+    const diff = await queryPackDiff.compare(from, to);
+
+    if (cmdOptions.snapshot) {
+      const queries = await queryPackDiff.extract(to);
+      await fs.writeJson(cmdOptions.snapshot, { label: to.label, version: to.version, savedAt: new Date().toISOString(), queries }, { spaces: 2 });
+      console.error(chalk.gray(`💾 Saved ${queries.length} queries from ${to.label} to ${cmdOptions.snapshot}`));
+    }
+
+    if (cmdOptions.json) {
+      console.log(JSON.stringify(diff, null, 2));
+      process.exit(EXIT_CODES.success);
+    }
+
+    const { summary } = diff;
+    const describe = (query) => `${query.queryNumber ? `Q${query.queryNumber} ` : ''}${query.name}`;
+    console.log(chalk.blue.bold(`\n📦 ${diff.from.label} (${diff.from.queryCount} queries) → ${diff.to.label} (${diff.to.queryCount} queries)`));
+    console.log(chalk.gray(`   ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.renumbered} renumbered, ${summary.unchanged} unchanged\n`));
+
+    for (const query of diff.added) {
+      console.log(chalk.green(`+ ${describe(query)} [${query.section}]`));
+    }
+
+    for (const query of diff.removed) {
+      console.log(chalk.red(`- ${describe(query)} [${query.section}]`));
+    }
+
+    for (const query of diff.renumbered) {
+      console.log(chalk.gray(`  Q${query.from.queryNumber} → Q${query.to.queryNumber} ${query.name}`));
+    }
+
+    for (const query of diff.modified) {
+      console.log(chalk.yellow(`~ ${describe(query.to)} (${query.changes.join(', ')})`));
+
+      if (query.changes.includes('name')) {
+        console.log(chalk.gray(`    name: ${query.from.name} → ${query.to.name}`));
+      }
+      if (query.changes.includes('section')) {
+        console.log(chalk.gray(`    section: ${query.from.section} → ${query.to.section}`));
+      }
+      if (query.changes.includes('description')) {
+        console.log(chalk.gray(`    description: ${query.from.description}`));
+        console.log(chalk.gray(`               → ${query.to.description}`));
+      }
+
+      if (cmdOptions.sql && query.sqlDiff) {
+        for (const line of query.sqlDiff.split('\n')) {
+          const color = line.startsWith('@@') ? chalk.cyan : line.startsWith('+') ? chalk.green : line.startsWith('-') ? chalk.red : chalk.gray;
+          console.log(color(`    ${line}`));
+        }
+      }
+    }
+
+    process.exit(EXIT_CODES.success);
+
+  } catch (error) {
+    console.error(chalk.red.bold('\n❌ Error:'), error.message);
+
+    if (cmdOptions.verbose) {
+      console.error(chalk.gray('\nStack trace:'));
+      console.error(error.stack);
+    }
+
+    logger.error('Query pack comparison failed', error);
+    process.exit(EXIT_CODES.error);
+  }
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
@@ -114,7 +374,7 @@ process.on('uncaughtException', (error) => {
 
 // Run the application
 if (require.main === module) {
-  main();
+  program.parse();
 }
 
-module.exports = { main };
+module.exports = { main, run, diffPacks, program, EXIT_CODES };
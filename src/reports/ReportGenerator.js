@@ -10,8 +10,8 @@ class ReportGenerator {
 
   async generateReport(reportData) {
     try {
-      const reportId = this.generateReportId();
-      const reportsDir = path.join(this.config.dataDir || './data', 'reports');
+      const reportId = this.generateReportId(reportData.type === 'fleet' ? 'fleet' : 'diagnostic');
+      const reportsDir = this.getReportsDir();
       
       // Ensure reports directory exists
       await fs.ensureDir(reportsDir);
@@ -47,8 +47,16 @@ class ReportGenerator {
     }
   }
 
-  generateReportId() {
-    return `diagnostic-${moment().format('YYYYMMDD-HHmmss')}-${Math.random().toString(36).substr(2, 6)}`;
+  getReportsDir() {
+    // Headless runs write to their configured output directory
+    if (this.config.output && this.config.output.directory) {
+      return this.config.output.directory;
+    }
+    return path.join(this.config.dataDir || './data', 'reports');
+  }
+
+  generateReportId(prefix = 'diagnostic') {
+    return `${prefix}-${moment().format('YYYYMMDD-HHmmss')}-${Math.random().toString(36).substr(2, 6)}`;
   }
 
   // Helper methods to load static assets as base64
@@ -111,7 +119,7 @@ class ReportGenerator {
   }
 
   async generateHTML(report) {
-    const reportsDir = path.join(this.config.dataDir || './data', 'reports');
+    const reportsDir = this.getReportsDir();
     const htmlPath = path.join(reportsDir, `${report.id}.html`);
 
     const html = this.buildHTMLReport(report);
@@ -120,17 +128,39 @@ class ReportGenerator {
     return htmlPath;
   }
 
-  buildHTMLReport(report) {
-    const { serverInfo, queryResults, aiInsights, executionSummary } = report;
+  buildHTMLReport(report, options = {}) {
+    if (report.type === 'fleet') {
+      return this.buildFleetHTMLReport(report, options);
+    }
+
+    const { serverInfo, queryResults, aiInsights, executionSummary, inventory } = report;
+    const healthFindings = report.healthFindings || [];
+    const preflight = report.preflight;
+    const guard = report.guard;
     
-    // Group results by section
+    // Group results by section, and by database for database-level queries
     const sections = new Map();
     for (const result of queryResults) {
-      if (!sections.has(result.section)) {
-        sections.set(result.section, []);
+      const sectionKey = result.database ? `${result.section} (${result.database})` : result.section;
+      if (!sections.has(sectionKey)) {
+        sections.set(sectionKey, []);
       }
-      sections.get(result.section).push(result);
+      sections.get(sectionKey).push(result);
     }
+    const platformLabel = {
+      'azure-sql-database': 'Azure SQL Database',
+      'azure-sql-managed-instance': 'Azure SQL Managed Instance'
+    }[serverInfo.platform] || `SQL Server ${serverInfo.majorVersion}`;
+    const connection = serverInfo.connection;
+    // Typed into the connection form or a saved inventory entry
+    const connectionLabel = connection
+      ? `${connection.server}${connection.port ? `,${connection.port}` : connection.instanceName ? `\\${connection.instanceName}` : ''}` +
+        ` · ${connection.database} · ${connection.applicationIntent}${connection.updateability ? ` (${connection.updateability})` : ''}` +
+        `${connection.multiSubnetFailover ? ' · MultiSubnetFailover' : ''}`
+      : null;
+    const sectionAnchor = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    // Query names, sections and descriptions can come from uploaded and custom packs
+    const escape = ReportGenerator.escapeHtml;
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -216,6 +246,17 @@ class ReportGenerator {
         .success { color: #28a745; }
         .error { color: #dc3545; }
 
+        .guidance {
+            background: #fffbea;
+            border: 1px solid #f5e6a8;
+            border-radius: 4px;
+            padding: 0.5rem 1rem;
+            margin-bottom: 1rem;
+            font-size: 0.9rem;
+        }
+        .guidance summary { cursor: pointer; font-weight: 600; color: #8a6d00; }
+        .guidance ul { margin: 0.5rem 0 0; padding-left: 1.25rem; }
+
         .ai-section {
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             color: white;
@@ -270,13 +311,29 @@ class ReportGenerator {
             <nav class="nav-pills">
                 <ul class="nav nav-pills justify-content-center">
                     <li class="nav-item"><a class="nav-link" href="#overview">Overview</a></li>
+                    ${guard && guard.findings.length > 0 ? '<li class="nav-item"><a class="nav-link" href="#read-only-guard">Read-only Guard</a></li>' : ''}
+                    ${healthFindings.length > 0 ? '<li class="nav-item"><a class="nav-link" href="#health-checks">Health Checks</a></li>' : ''}
                     ${Array.from(sections.keys()).map(section =>
-                        `<li class="nav-item"><a class="nav-link" href="#${section.toLowerCase().replace(/\s+/g, '-')}">${section}</a></li>`
+                        `<li class="nav-item"><a class="nav-link" href="#${sectionAnchor(section)}">${escape(section)}</a></li>`
                     ).join('')}
                     ${aiInsights ? '<li class="nav-item"><a class="nav-link" href="#ai-analysis">🤖 AI Analysis</a></li>' : ''}
                 </ul>
             </nav>
 
+            ${executionSummary.cancelled ? `
+                <div class="alert alert-warning">
+                    <strong>Partial report:</strong> this diagnostic run was cancelled (${executionSummary.cancelReason || 'cancelled'}).
+                    ${executionSummary.skipped} of ${executionSummary.totalQueries} queries were not run.
+                </div>
+            ` : ''}
+
+            ${executionSummary.aborted ? `
+                <div class="alert alert-danger">
+                    <strong>Partial report:</strong> this diagnostic run stopped at the first failed query because continueOnError is off (${ReportGenerator.escapeHtml(executionSummary.abortReason)}).
+                    ${executionSummary.skipped} of ${executionSummary.totalQueries} queries were not run.
+                </div>
+            ` : ''}
+
             <!-- Server Information Card - Full Width -->
             <div id="overview" class="row mb-4">
                 <div class="col-12">
@@ -286,6 +343,8 @@ class ReportGenerator {
                                 <div class="col-12 text-center mb-3">
                                     <h5 class="card-title">Server Instance</h5>
                                     <div class="value">${serverInfo.serverName}</div>
+                                    ${connectionLabel ? `<div class="label">${ReportGenerator.escapeHtml(connectionLabel)}</div>` : ''}
+                                    ${inventory ? `<div class="label">Saved server: ${[inventory.name, inventory.environment, inventory.group, inventory.owner].filter(Boolean).map(ReportGenerator.escapeHtml).join(' · ')}</div>` : ''}
                                 </div>
                             </div>
                             <div class="row">
@@ -308,7 +367,7 @@ class ReportGenerator {
                         <div class="card-body text-center">
                             <h5 class="card-title">Queries Executed</h5>
                             <div class="value">${executionSummary.totalQueries}</div>
-                            <div class="label">${executionSummary.successful} successful, ${executionSummary.failed} failed</div>
+                            <div class="label">${executionSummary.successful} successful, ${executionSummary.failed} failed${executionSummary.skipped ? `, ${executionSummary.skipped} skipped` : ''}${executionSummary.blocked ? ` (${executionSummary.blocked} blocked)` : ''}</div>
                         </div>
                     </div>
                 </div>
@@ -326,39 +385,108 @@ class ReportGenerator {
                         <div class="card-body text-center">
                             <h5 class="card-title">Edition</h5>
                             <div class="value">${serverInfo.edition}</div>
-                            <div class="label">SQL Server ${serverInfo.majorVersion}</div>
+                            <div class="label">${platformLabel}${serverInfo.encrypted === false ? ' · unencrypted connection' : ''}</div>
                         </div>
                     </div>
                 </div>
             </div>
 
+            ${preflight ? `
+                <div id="preflight" class="section-card">
+                    <div class="section-header">
+                        <h2>Pre-flight Check</h2>
+                    </div>
+                    <div class="p-3">
+                        <p class="meta">
+                            Login: ${preflight.capabilities.loginName} |
+                            ${preflight.capabilities.engineEditionName} |
+                            sysadmin: ${preflight.capabilities.isSysadmin ? 'yes' : 'no'} |
+                            VIEW SERVER STATE: ${preflight.capabilities.viewServerState ? 'yes' : 'no'} |
+                            VIEW ANY DEFINITION: ${preflight.capabilities.viewAnyDefinition ? 'yes' : 'no'} |
+                            msdb access: ${preflight.capabilities.msdbAccess ? 'yes' : 'no'}
+                        </p>
+                        ${preflight.predictions.length > 0 ? `
+                            <p>${preflight.predictions.length} queries were predicted to fail and ${preflight.mode === 'skip' ? 'were skipped' : 'ran anyway'}:</p>
+                            <ul>
+                                ${preflight.predictions.map(prediction => `<li><strong>${escape(prediction.name)}</strong>${prediction.database ? ` (${escape(prediction.database)})` : ''}: ${escape(prediction.reasons.join('; '))}</li>`).join('')}
+                            </ul>
+                        ` : '<p>The login has the permissions every query needs.</p>'}
+                    </div>
+                </div>
+            ` : ''}
+
+            ${guard && guard.findings.length > 0 ? `
+                <div id="read-only-guard" class="section-card">
+                    <div class="section-header">
+                        <h2>Read-only Guard</h2>
+                    </div>
+                    <div class="p-3">
+                        <p class="meta">
+                            ${guard.counts['select-only']} select-only |
+                            ${guard.counts['dbcc-read-only']} DBCC or read-only commands |
+                            ${guard.counts.mutating} mutating${executionSummary.rolledBack ? ' | every query ran in a transaction that was rolled back' : ''}
+                        </p>
+                        <ul>
+                            ${guard.findings.map(finding => `<li><strong>${escape(finding.name)}</strong> ${finding.action === 'blocked' ? 'was blocked' : finding.action === 'allowed' ? 'ran (allowlisted)' : 'ran anyway'}: ${escape(finding.reasons.join('; '))}</li>`).join('')}
+                        </ul>
+                    </div>
+                </div>
+            ` : ''}
+
+            ${healthFindings.length > 0 ? `
+                <div id="health-checks" class="section-card">
+                    <div class="section-header">
+                        <h2>Health Checks</h2>
+                    </div>
+                    <div class="p-3">
+                        <table class="table table-striped">
+                            <thead class="table-dark">
+                                <tr><th>Severity</th><th>Check</th><th>Query</th><th>Finding</th><th>Matches</th></tr>
+                            </thead>
+                            <tbody>
+                                ${healthFindings.map(finding => `
+                                    <tr>
+                                        <td><span class="badge ${finding.severity === 'critical' ? 'bg-danger' : finding.severity === 'warning' ? 'bg-warning text-dark' : 'bg-info'}">${finding.severity}</span></td>
+                                        <td>${escape(finding.check)}</td>
+                                        <td>${escape(finding.queryName)}</td>
+                                        <td>${escape(finding.message)}</td>
+                                        <td>${finding.matches}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ` : ''}
+
             <!-- Diagnostic Sections -->
             ${Array.from(sections.entries()).map(([sectionName, sectionResults]) => `
-                <div id="${sectionName.toLowerCase().replace(/\s+/g, '-')}" class="section-card">
+                <div id="${sectionAnchor(sectionName)}" class="section-card">
                     <div class="section-header">
-                        <h2>${sectionName}</h2>
+                        <h2>${escape(sectionName)}</h2>
                     </div>
                     <div class="p-3">
                     ${sectionResults.map(result => `
                         <div class="query-result">
-                            <h4>${result.name} ${result.success ? '<span class="success">✓</span>' : '<span class="error">✗</span>'}</h4>
+                            <h4>${escape(result.name)} ${result.success ? '<span class="success">✓</span>' : result.blocked ? '<span class="error">🛡</span>' : result.skipped ? '<span class="text-muted">⤼</span>' : '<span class="error">✗</span>'}</h4>
                             <div class="meta">
-                                ${result.description} | 
-                                ${result.success ? `${result.rowCount} rows` : `Error: ${result.error}`} | 
-                                ${result.executionTime}ms
+                                ${escape(result.description)} | 
+                                ${result.success ? `${result.rowCount} rows` : `Error: ${escape(result.error)}`} | 
+                                ${result.executionTime}ms${result.retries ? ` | ${result.retries} ${result.retries === 1 ? 'retry' : 'retries'}` : ''}
                             </div>
+                            ${this.buildGuidanceHTML(result.guidance)}
                             ${result.success && result.data && result.data.length > 0 ? `
                                 <div class="table-responsive">
-                                    <table class="table table-striped table-hover diagnostic-table" data-query-id="${result.id}">
+                                    <table class="table table-striped table-hover diagnostic-table" data-query-id="${escape(result.id)}">
                                         <thead class="table-dark">
                                             <tr>
-                                                ${Object.keys(result.data[0]).map(key => `<th>${key}</th>`).join('')}
+                                                ${Object.keys(result.data[0]).map(key => `<th>${escape(key)}</th>`).join('')}
                                             </tr>
                                         </thead>
                                         <tbody>
                                             ${result.data.map(row => `
                                                 <tr>
-                                                    ${Object.values(row).map(value => `<td>${value !== null ? value : 'NULL'}</td>`).join('')}
+                                                    ${Object.values(row).map(value => `<td>${value !== null ? escape(value) : 'NULL'}</td>`).join('')}
                                                 </tr>
                                             `).join('')}
                                         </tbody>
@@ -456,16 +584,279 @@ class ReportGenerator {
 </html>`;
   }
 
+  /**
+   * Glenn Berry's notes on a query, collapsed under its results. Pack
+   * comments are plain text, so everything is escaped.
+   */
+  buildGuidanceHTML(guidance) {
+    if (!guidance || (guidance.notes.length === 0 && guidance.links.length === 0 && !guidance.summary)) {
+      return '';
+    }
+
+    const escape = ReportGenerator.escapeHtml;
+
+    return `
+        <details class="guidance">
+            <summary>💡 Guidance${guidance.shouldBe.length > 0 ? ` · ${guidance.shouldBe.map(item => `${escape(item.subject)}: ${escape(item.value)}`).join(' · ')}` : ''}</summary>
+            ${guidance.summary ? `<p class="mb-1 mt-2">${escape(guidance.summary)}</p>` : ''}
+            ${guidance.notes.length > 0 ? `<ul>${guidance.notes.map(note => `<li>${escape(note)}</li>`).join('')}</ul>` : ''}
+            ${guidance.links.length > 0 ? `<ul>${guidance.links.map(link => `<li><a href="${escape(link.url)}" target="_blank" rel="noopener">${escape(link.title || link.url)}</a></li>`).join('')}</ul>` : ''}
+        </details>`;
+  }
+
+  /**
+   * Roll-up of a fleet job: one row per server, plus the versions, editions
+   * and failed health checks seen across the fleet. `options.reportHref`
+   * builds the link to each server's own report (a sibling file by default).
+   */
+  buildFleetHTMLReport(report, options = {}) {
+    const { servers, executionSummary } = report;
+    const reportHref = options.reportHref || (id => `${id}.html`);
+    // Server names, errors and findings come from the inventory and the servers themselves
+    const escape = ReportGenerator.escapeHtml;
+    const diagnosed = servers.filter(server => server.version);
+    const severityBadge = (severity) => severity === 'critical' ? 'bg-danger' : severity === 'warning' ? 'bg-warning text-dark' : 'bg-info';
+    const statusBadge = {
+      completed: 'bg-success',
+      failed: 'bg-danger',
+      cancelled: 'bg-secondary'
+    };
+
+    // Servers grouped by the value they share, most common first
+    const groupBy = (keyOf) => {
+      const groups = new Map();
+      for (const server of diagnosed) {
+        const key = keyOf(server);
+        groups.set(key, [...(groups.get(key) || []), server.name]);
+      }
+      return Array.from(groups.entries()).sort((a, b) => b[1].length - a[1].length);
+    };
+    const versions = groupBy(server => `${server.version}${server.platform && server.platform !== 'sql-server' ? ` (${server.platform})` : ''}`);
+    const editions = groupBy(server => server.edition);
+
+    const failedChecks = new Map();
+    for (const server of diagnosed) {
+      for (const finding of server.findings || []) {
+        const entry = failedChecks.get(finding.check) || { severity: finding.severity, message: finding.message, servers: [] };
+        entry.servers.push(server.name);
+        failedChecks.set(finding.check, entry);
+      }
+    }
+
+    const formatWait = (wait) => wait.percentage !== undefined
+      ? `${escape(wait.waitType)} (${wait.percentage}%)`
+      : `${escape(wait.waitType)} (${wait.waitTime}${wait.waitTimeUnit})`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>SQL Server Fleet Report - ${servers.length} servers</title>
+
+    <!-- Bootstrap CSS -->
+    ${this.getBootstrapCSS() ? `<link href="data:text/css;base64,${this.getBootstrapCSS()}" rel="stylesheet">` : '<link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">'}
+
+    <style>
+        body { background: #f8f9fa; }
+        .report-header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 3rem 0;
+            margin-bottom: 2rem;
+            border-radius: 12px;
+        }
+        .summary-card {
+            background: white;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            border-radius: 8px;
+            margin-bottom: 1rem;
+        }
+        .summary-card .value { font-size: 2rem; font-weight: bold; color: #667eea; }
+        .summary-card .label { color: #6c757d; font-size: 0.9rem; }
+        .section-card {
+            background: white;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 2rem;
+            border-radius: 8px;
+        }
+        .section-header {
+            background: #667eea;
+            color: white;
+            padding: 1rem 1.5rem;
+            border-radius: 8px 8px 0 0;
+        }
+        .section-header h2 { font-size: 1.5rem; margin: 0; }
+        .waits { margin: 0; padding-left: 1.2rem; font-size: 0.85rem; }
+    </style>
+</head>
+<body>
+    <div class="container-fluid">
+        <div class="report-header text-center">
+            <div class="container">
+                <h1>🔍 SQL Server Fleet Report</h1>
+                <p>${servers.length} servers · Generated on ${moment(report.timestamp).format('MMMM Do YYYY, h:mm:ss a')}</p>
+            </div>
+        </div>
+
+        <div class="container-xl">
+            ${executionSummary.cancelled && executionSummary.cancelReason ? `
+                <div class="alert alert-warning">
+                    <strong>Partial report:</strong> this fleet job was cancelled (${escape(executionSummary.cancelReason)}).
+                </div>
+            ` : ''}
+
+            <div class="row mb-4">
+                <div class="col-md-4 col-sm-6">
+                    <div class="summary-card">
+                        <div class="card-body text-center">
+                            <h5 class="card-title">Servers</h5>
+                            <div class="value">${executionSummary.totalServers}</div>
+                            <div class="label">${executionSummary.completed} completed, ${executionSummary.failed} failed${executionSummary.cancelled ? `, ${executionSummary.cancelled} cancelled` : ''}</div>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-md-4 col-sm-6">
+                    <div class="summary-card">
+                        <div class="card-body text-center">
+                            <h5 class="card-title">Execution Time</h5>
+                            <div class="value">${Math.round(executionSummary.executionTime / 1000)}s</div>
+                            <div class="label">${executionSummary.concurrency} servers at a time</div>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-md-4 col-sm-6">
+                    <div class="summary-card">
+                        <div class="card-body text-center">
+                            <h5 class="card-title">Failed Checks</h5>
+                            <div class="value">${failedChecks.size}</div>
+                            <div class="label">${diagnosed.filter(server => (server.findings || []).length > 0).length} servers with findings</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <div id="servers" class="section-card">
+                <div class="section-header">
+                    <h2>Servers</h2>
+                </div>
+                <div class="p-3 table-responsive">
+                    <table class="table table-striped align-middle">
+                        <thead class="table-dark">
+                            <tr><th>Server</th><th>Status</th><th>Version</th><th>Edition</th><th>Queries</th><th>Findings</th><th>Top Waits</th><th>Report</th></tr>
+                        </thead>
+                        <tbody>
+                            ${servers.map(server => `
+                                <tr>
+                                    <td>
+                                        <strong>${escape(server.name)}</strong>
+                                        ${server.serverName && server.serverName !== server.name ? `<div class="text-muted small">${escape(server.serverName)}</div>` : ''}
+                                        ${server.inventory ? `<div class="text-muted small">${[server.inventory.environment, server.inventory.group].filter(Boolean).map(escape).join(' · ')}</div>` : ''}
+                                    </td>
+                                    <td>
+                                        <span class="badge ${statusBadge[server.status] || 'bg-secondary'}">${server.status}</span>
+                                        ${server.error ? `<div class="text-danger small">${escape(server.error)}</div>` : ''}
+                                    </td>
+                                    <td>${escape(server.version || '')}</td>
+                                    <td>${escape(server.edition || '')}</td>
+                                    <td>${server.counts ? `${server.counts.successful} ok, ${server.counts.failed} failed${server.counts.skipped ? `, ${server.counts.skipped} skipped` : ''}` : ''}</td>
+                                    <td>${(server.findings || []).map(finding => `<span class="badge ${severityBadge(finding.severity)}" title="${escape(finding.message)}">${escape(finding.check)}</span>`).join(' ')}</td>
+                                    <td>${server.topWaits && server.topWaits.length > 0 ? `<ol class="waits">${server.topWaits.map(wait => `<li>${formatWait(wait)}</li>`).join('')}</ol>` : ''}</td>
+                                    <td>${server.reportId ? `<a href="${reportHref(server.reportId)}">View</a>` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="row">
+                <div class="col-md-6">
+                    <div id="versions" class="section-card">
+                        <div class="section-header">
+                            <h2>Versions</h2>
+                        </div>
+                        <div class="p-3">
+                            <table class="table table-sm">
+                                <thead><tr><th>Version</th><th>Servers</th></tr></thead>
+                                <tbody>
+                                    ${versions.map(([version, names]) => `<tr><td>${escape(version)}</td><td>${names.length}: ${names.map(escape).join(', ')}</td></tr>`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-md-6">
+                    <div id="editions" class="section-card">
+                        <div class="section-header">
+                            <h2>Editions</h2>
+                        </div>
+                        <div class="p-3">
+                            <table class="table table-sm">
+                                <thead><tr><th>Edition</th><th>Servers</th></tr></thead>
+                                <tbody>
+                                    ${editions.map(([edition, names]) => `<tr><td>${escape(edition)}</td><td>${names.length}: ${names.map(escape).join(', ')}</td></tr>`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            ${failedChecks.size > 0 ? `
+                <div id="health-checks" class="section-card">
+                    <div class="section-header">
+                        <h2>Failed Health Checks</h2>
+                    </div>
+                    <div class="p-3">
+                        <table class="table table-striped">
+                            <thead class="table-dark">
+                                <tr><th>Severity</th><th>Check</th><th>Finding</th><th>Servers</th></tr>
+                            </thead>
+                            <tbody>
+                                ${Array.from(failedChecks.entries()).map(([check, entry]) => `
+                                    <tr>
+                                        <td><span class="badge ${severityBadge(entry.severity)}">${entry.severity}</span></td>
+                                        <td>${escape(check)}</td>
+                                        <td>${escape(entry.message)}</td>
+                                        <td>${entry.servers.length}: ${entry.servers.map(escape).join(', ')}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
   async generateCSV(report) {
     // Implementation for CSV export
-    const reportsDir = path.join(this.config.dataDir || './data', 'reports');
+    const reportsDir = this.getReportsDir();
     const csvPath = path.join(reportsDir, `${report.id}.csv`);
     
     // Simple CSV implementation - in a full version, this would be more comprehensive
-    let csv = 'Section,Query,Success,Rows,ExecutionTime,Error\n';
+    let csv = 'Section,Database,Query,Success,Rows,ExecutionTime,Error\n';
+    const field = ReportGenerator.csvField;
+
+    if (report.type === 'fleet') {
+      csv = 'Server,Environment,Group,Status,Version,Edition,Successful,Failed,Skipped,Findings,TopWait,ReportId,Error\n';
+      for (const server of report.servers) {
+        csv += `${field(server.name)},${field(server.inventory?.environment)},${field(server.inventory?.group)},${server.status},` +
+          `${field(server.version)},${field(server.edition)},${server.counts?.successful ?? ''},${server.counts?.failed ?? ''},` +
+          `${server.counts?.skipped ?? ''},${server.findings?.length ?? ''},${field(server.topWaits?.[0]?.waitType)},` +
+          `${field(server.reportId)},${field(server.error)}\n`;
+      }
+
+      await fs.writeFile(csvPath, csv, 'utf8');
+      return csvPath;
+    }
     
     for (const result of report.queryResults) {
-      csv += `"${result.section}","${result.name}",${result.success},${result.rowCount || 0},${result.executionTime},"${result.error || ''}"\n`;
+      csv += `${field(result.section)},${field(result.database)},${field(result.name)},${result.success},${result.rowCount || 0},${result.executionTime},${field(result.error)}\n`;
     }
     
     await fs.writeFile(csvPath, csv, 'utf8');
@@ -474,7 +865,7 @@ class ReportGenerator {
 
   async generateExcel(report) {
     // Placeholder for Excel export - would use a library like exceljs
-    const reportsDir = path.join(this.config.dataDir || './data', 'reports');
+    const reportsDir = this.getReportsDir();
     const excelPath = path.join(reportsDir, `${report.id}.xlsx`);
     
     // For now, just copy the CSV as a placeholder
@@ -483,6 +874,21 @@ class ReportGenerator {
     
     return excelPath;
   }
+
+  /**
+   * Quoted CSV field, with embedded quotes doubled.
+   */
+  static csvField(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+  }
+
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 }
 
 module.exports = ReportGenerator;
@@ -1,10 +1,10 @@
 #!/usr/bin/env node
 
 // This is the main entry point for the portable web server
-const { main } = require('./index');
+const { program } = require('./index');
 
 // Run the application
-main().catch(error => {
+program.parseAsync().catch(error => {
   console.error('Failed to start server:', error);
   process.exit(1);
 });
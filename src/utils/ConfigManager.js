@@ -1,5 +1,54 @@
 const fs = require('fs-extra');
 const path = require('path');
+const ConnectionStringParser = require('./ConnectionStringParser');
+const SchemaValidator = require('./SchemaValidator');
+const SecretStore = require('./SecretStore');
+
+// How strictly query packs are checked against manifest.json checksums
+const PACK_INTEGRITY_MODES = ['strict', 'enforce', 'warn', 'off'];
+
+// Fields each authentication type needs, with the names used in error messages
+const AUTHENTICATION_TYPES = {
+  sql: {
+    label: 'SQL Server',
+    required: { username: 'Username', password: 'Password' }
+  },
+  windows: {
+    label: 'Windows',
+    required: {}
+  },
+  ntlm: {
+    label: 'NTLM',
+    required: { domain: 'Domain', username: 'Username', password: 'Password' }
+  },
+  'azure-ad-password': {
+    label: 'Azure AD password',
+    required: { username: 'Username', password: 'Password', tenantId: 'Tenant id' }
+  },
+  'azure-ad-service-principal': {
+    label: 'Azure AD service principal',
+    required: { clientId: 'Client id', clientSecret: 'Client secret', tenantId: 'Tenant id' }
+  },
+  'azure-ad-managed-identity': {
+    label: 'Azure AD managed identity',
+    required: {}
+  },
+  'azure-ad-access-token': {
+    label: 'Azure AD access token',
+    required: { token: 'Access token' }
+  }
+};
+
+// Web config sections read afresh by each run, so saved changes apply
+// without restarting the server
+const LIVE_SECTIONS = ['ai', 'queries', 'health', 'fleet'];
+
+// Safety settings inside live sections that still need a restart, so a web
+// client can't relax them for the runs that follow: the read-only guard and
+// its allowlist and rollback wrapping, and where packs may come from
+const RESTART_ONLY_SETTINGS = {
+  queries: ['readOnlyGuard', 'allowMutating', 'rollbackTransaction', 'packIntegrity', 'onlineFallback']
+};
 
 class ConfigManager {
   static async load(configPath, cliOptions = {}) {
@@ -18,6 +67,10 @@ class ConfigManager {
     // Override with CLI options
     config = this.mergeConfig(config, this.mapCliOptions(cliOptions));
 
+    // Encrypted values and env:/secret: references become usable secrets
+    config = await new SecretStore(config).resolve(config);
+    config = this.applyConnectionString(config);
+
     // Validate configuration
     this.validateConfig(config);
 
@@ -26,44 +79,31 @@ class ConfigManager {
 
   static getDefaultConfig() {
     return {
-      server: null,
+      server: null, // host, host\instance or host,port
       database: 'master',
+      connectionString: null, // ADO.NET or ODBC style; its values win over the fields here
+      port: null,
+      instanceName: null,
+      applicationName: null,
+      applicationIntent: 'ReadWrite', // 'ReadOnly' routes to a readable AG secondary
+      multiSubnetFailover: false,
       authentication: {
-        type: 'sql', // 'sql' or 'windows'
+        type: 'sql', // 'sql', 'windows', 'ntlm' or one of the 'azure-ad-*' types
         username: null,
         password: null
       },
-      ai: {
-        provider: 'none', // 'openai', 'ollama', 'none'
-        openai: {
-          apiKey: null,
-          model: 'gpt-4',
-          maxTokens: 4000,
-          temperature: 0.1
-        },
-        ollama: {
-          url: 'http://localhost:11434',
-          model: 'llama2',
-          timeout: 60000
-        }
-      },
+      encryption: this.getDefaultEncryption(),
+      secrets: this.getDefaultSecrets(),
+      ai: this.getDefaultAi(),
       output: {
         directory: './reports',
         format: 'html',
         includeRawData: true,
         timestamp: true
       },
-      queries: {
-        timeout: 30000,
-        maxRetries: 3,
-        retryDelay: 1000,
-        continueOnError: true
-      },
-      logging: {
-        level: 'info',
-        file: './logs/diagnostic.log',
-        console: true
-      }
+      queries: this.getDefaultQueries(),
+      health: this.getDefaultHealth(),
+      logging: this.getDefaultLogging()
     };
   }
 
@@ -79,34 +119,95 @@ class ConfigManager {
         corsOrigins: ['http://localhost:3000'],
         showErrors: false
       },
-      ai: {
-        provider: 'none',
-        openai: {
-          apiKey: null,
-          model: 'gpt-4',
-          maxTokens: 4000,
-          temperature: 0.1
-        },
-        ollama: {
-          url: 'http://localhost:11434',
-          model: 'llama2',
-          timeout: 60000
-        }
+      encryption: this.getDefaultEncryption(),
+      secrets: this.getDefaultSecrets(),
+      ai: this.getDefaultAi(),
+      queries: this.getDefaultQueries(),
+      fleet: {
+        concurrency: 4 // servers diagnosed at once by a fleet job
       },
-      queries: {
-        timeout: 30000,
-        maxRetries: 3,
-        retryDelay: 1000,
-        continueOnError: true
+      health: this.getDefaultHealth(),
+      logging: this.getDefaultLogging()
+    };
+  }
+
+  // Sections the CLI and web configs share. Each call returns a fresh
+  // copy, so callers can change it freely.
+
+  static getDefaultEncryption() {
+    return {
+      mode: 'mandatory', // 'strict' (TDS 8.0), 'mandatory' or 'optional'
+      trustServerCertificate: false,
+      caFile: null, // PEM bundle added to the trusted roots
+      pinnedCertificate: null, // PEM certificate that is the only one trusted
+      hostNameInCertificate: null
+    };
+  }
+
+  static getDefaultSecrets() {
+    return {
+      keyFile: null, // master key file, kept outside the data directory
+      directory: null // where secret:NAME references are read; defaults to /run/secrets
+    };
+  }
+
+  static getDefaultAi() {
+    return {
+      provider: 'none', // 'openai', 'ollama', 'none'
+      openai: {
+        apiKey: null,
+        model: 'gpt-4',
+        maxTokens: 4000,
+        temperature: 0.1
       },
-      logging: {
-        level: 'info',
-        file: './logs/diagnostic.log',
-        console: true
+      ollama: {
+        url: 'http://localhost:11434',
+        model: 'llama2',
+        timeout: 60000
       }
     };
   }
 
+  static getDefaultQueries() {
+    return {
+      timeout: 30000,
+      maxRetries: 3,
+      retryDelay: 1000, // base delay, doubled on each transient retry
+      maxRetryDelay: 30000,
+      maxTimeoutRetries: 1, // retries for a query that ran out of time, within maxRetries
+      continueOnError: true,
+      concurrency: 1, // 1 runs queries one at a time
+      runAlone: [], // query ids or keys that never run alongside others
+      runAloneThreshold: 5000, // estimated ms at which a query runs alone
+      databases: 'current', // 'current', 'all' or a list of database names
+      preflight: 'skip', // 'skip', 'warn' or 'off' for queries predicted to fail
+      adaptiveTimeouts: true, // per-query budgets from estimated duration
+      timeoutOverrides: {}, // query id or key -> timeout in ms
+      customPacks: null, // custom pack ids to run; null runs every pack in <dataDir>/custom-packs
+      packIntegrity: 'enforce', // 'strict', 'enforce', 'warn' or 'off' for packs not matching manifest.json
+      onlineFallback: true, // download a missing pack at run time
+      readOnlyGuard: 'block', // 'block', 'warn' or 'off' for queries that change state
+      allowMutating: [], // query ids or keys the read-only guard lets run
+      rollbackTransaction: false // run each query in a transaction that is always rolled back
+    };
+  }
+
+  static getDefaultHealth() {
+    return {
+      failOn: 'critical', // 'info', 'warning', 'critical' or 'none'
+      maxFailedQueries: 0,
+      checks: []
+    };
+  }
+
+  static getDefaultLogging() {
+    return {
+      level: 'info',
+      file: './logs/diagnostic.log',
+      console: true
+    };
+  }
+
   static async loadWebConfig(configPath, cliOptions = {}) {
     let config = this.getDefaultWebConfig();
 
@@ -122,6 +223,7 @@ class ConfigManager {
 
     // Override with CLI options
     config = this.mergeConfig(config, this.mapWebCliOptions(cliOptions));
+    config = await new SecretStore(config).resolve(config);
 
     // Validate configuration
     this.validateWebConfig(config);
@@ -134,11 +236,72 @@ class ConfigManager {
 
     if (cliOptions.server) mapped.server = cliOptions.server;
     if (cliOptions.database) mapped.database = cliOptions.database;
+    if (cliOptions.connectionString) mapped.connectionString = cliOptions.connectionString;
+    if (cliOptions.port) mapped.port = parseInt(cliOptions.port);
+    if (cliOptions.instance) mapped.instanceName = cliOptions.instance;
+    if (cliOptions.appName) mapped.applicationName = cliOptions.appName;
+    if (cliOptions.readOnly) mapped.applicationIntent = 'ReadOnly';
+    if (cliOptions.multiSubnetFailover) mapped.multiSubnetFailover = true;
     if (cliOptions.output) mapped.output = { directory: cliOptions.output };
     if (cliOptions.timeout) mapped.queries = { timeout: parseInt(cliOptions.timeout) };
+    if (cliOptions.adaptiveTimeouts === false) mapped.queries = { ...mapped.queries, adaptiveTimeouts: false };
+    if (cliOptions.databases) {
+      const databases = ['all', 'current'].includes(cliOptions.databases)
+        ? cliOptions.databases
+        : cliOptions.databases.split(',').map(name => name.trim()).filter(Boolean);
+      mapped.queries = { ...mapped.queries, databases };
+    }
+    if (cliOptions.preflight) mapped.queries = { ...mapped.queries, preflight: cliOptions.preflight };
+    if (cliOptions.concurrency) mapped.queries = { ...mapped.queries, concurrency: parseInt(cliOptions.concurrency) };
+    if (cliOptions.packIntegrity) mapped.queries = { ...mapped.queries, packIntegrity: cliOptions.packIntegrity };
+    if (cliOptions.onlineFallback === false) mapped.queries = { ...mapped.queries, onlineFallback: false };
+    if (cliOptions.readOnlyGuard) mapped.queries = { ...mapped.queries, readOnlyGuard: cliOptions.readOnlyGuard };
+    if (cliOptions.allowMutating) {
+      const allowMutating = cliOptions.allowMutating.split(',').map(id => id.trim()).filter(Boolean);
+      mapped.queries = { ...mapped.queries, allowMutating };
+    }
+    if (cliOptions.rollbackTransaction) mapped.queries = { ...mapped.queries, rollbackTransaction: true };
+    if (cliOptions.customPacks) {
+      const customPacks = cliOptions.customPacks === 'none'
+        ? []
+        : cliOptions.customPacks.split(',').map(id => id.trim()).filter(Boolean);
+      mapped.queries = { ...mapped.queries, customPacks };
+    }
+
+    // Query selection
+    const include = this.mapSelectionOptions(cliOptions.sections, cliOptions.queries, cliOptions.match);
+    const exclude = this.mapSelectionOptions(cliOptions.excludeSections, cliOptions.excludeQueries, cliOptions.excludeMatch);
+    if (include) mapped.queries = { ...mapped.queries, include };
+    if (exclude) mapped.queries = { ...mapped.queries, exclude };
+
+    // Exit thresholds for headless runs
+    if (cliOptions.failOn) mapped.health = { failOn: cliOptions.failOn };
+    if (cliOptions.maxFailedQueries !== undefined) {
+      mapped.health = { ...mapped.health, maxFailedQueries: parseInt(cliOptions.maxFailedQueries) };
+    }
+
+    // Encryption
+    if (cliOptions.encrypt) mapped.encryption = { mode: cliOptions.encrypt };
+    if (cliOptions.trustServerCertificate) mapped.encryption = { ...mapped.encryption, trustServerCertificate: true };
+    if (cliOptions.caFile) mapped.encryption = { ...mapped.encryption, caFile: cliOptions.caFile };
+    if (cliOptions.pinnedCert) mapped.encryption = { ...mapped.encryption, pinnedCertificate: cliOptions.pinnedCert };
+    if (cliOptions.hostNameInCertificate) {
+      mapped.encryption = { ...mapped.encryption, hostNameInCertificate: cliOptions.hostNameInCertificate };
+    }
 
     // Authentication
-    if (cliOptions.trusted) {
+    if (cliOptions.authType) {
+      mapped.authentication = {
+        type: cliOptions.authType,
+        username: cliOptions.username,
+        password: cliOptions.password,
+        domain: cliOptions.domain,
+        clientId: cliOptions.clientId,
+        clientSecret: cliOptions.clientSecret,
+        tenantId: cliOptions.tenantId,
+        token: cliOptions.accessToken
+      };
+    } else if (cliOptions.trusted) {
       mapped.authentication = { type: 'windows' };
     } else if (cliOptions.username || cliOptions.password) {
       mapped.authentication = {
@@ -171,6 +334,56 @@ class ConfigManager {
     return mapped;
   }
 
+  static mapSelectionOptions(sections, queryIds, names) {
+    const splitList = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+    const selection = {
+      sections: splitList(sections),
+      queryIds: splitList(queryIds),
+      names: splitList(names)
+    };
+
+    return Object.values(selection).some(list => list.length > 0) ? selection : null;
+  }
+
+  /**
+   * Checks the query options a web client sends with a run against the
+   * `queries` schema, so a malformed payload fails the run with a message
+   * instead of a TypeError deep in the pipeline. Selection lists and
+   * database names may also be sent as comma-separated strings, as on the
+   * command line.
+   */
+  static normalizeRunOptions(queryOptions) {
+    if (queryOptions === undefined || queryOptions === null) {
+      return {};
+    }
+
+    if (typeof queryOptions !== 'object' || Array.isArray(queryOptions)) {
+      throw new Error('Invalid query options: must be an object');
+    }
+
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+    const normalized = { ...queryOptions };
+
+    for (const field of ['include', 'exclude']) {
+      const selection = normalized[field];
+      if (selection && typeof selection === 'object' && !Array.isArray(selection)) {
+        normalized[field] = Object.fromEntries(Object.entries(selection)
+          .map(([key, value]) => [key, typeof value === 'string' ? splitList(value) : value]));
+      }
+    }
+
+    if (typeof normalized.databases === 'string' && !['current', 'all'].includes(normalized.databases)) {
+      normalized.databases = splitList(normalized.databases);
+    }
+
+    const errors = SchemaValidator.validate(this.getWebConfigSchema().properties.queries, normalized, 'queries');
+    if (errors.length > 0) {
+      throw new Error(`Invalid query options: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    }
+
+    return normalized;
+  }
+
   static mapWebCliOptions(cliOptions) {
     const mapped = {};
 
@@ -201,6 +414,18 @@ class ConfigManager {
     return mapped;
   }
 
+  /**
+   * Expands `connectionString` into the discrete connection fields.
+   */
+  static applyConnectionString(config) {
+    if (!config.connectionString) {
+      return config;
+    }
+
+    const { config: parsed } = ConnectionStringParser.parse(config.connectionString);
+    return this.mergeConfig(config, parsed);
+  }
+
   static mergeConfig(base, override) {
     const result = { ...base };
 
@@ -223,29 +448,21 @@ class ConfigManager {
       throw new Error('Server configuration is required');
     }
 
-    // Authentication validation
-    if (config.authentication.type === 'sql') {
-      if (!config.authentication.username) {
-        throw new Error('Username is required for SQL Server authentication');
-      }
-      if (!config.authentication.password) {
-        throw new Error('Password is required for SQL Server authentication');
-      }
+    if (config.applicationIntent && !['ReadWrite', 'ReadOnly'].includes(config.applicationIntent)) {
+      throw new Error('Application intent must be ReadWrite or ReadOnly');
     }
 
-    // AI validation
-    if (config.ai.provider === 'openai' && !config.ai.openai.apiKey) {
-      throw new Error('OpenAI API key is required when using OpenAI provider');
+    if (config.port !== null && config.port !== undefined && !(config.port >= 1 && config.port <= 65535)) {
+      throw new Error('Port must be between 1 and 65535');
     }
 
-    // Numeric validations
-    if (config.queries.timeout < 1000) {
-      throw new Error('Query timeout must be at least 1000ms');
-    }
+    this.validateAuthentication(config.authentication);
 
-    if (config.queries.maxRetries < 0) {
-      throw new Error('Max retries cannot be negative');
-    }
+    this.validateAiConfig(config.ai);
+    this.validateQueriesSection(config.queries);
+
+    this.validateEncryptionConfig(config.encryption);
+    this.validateHealthConfig(config.health);
 
     return true;
   }
@@ -266,26 +483,370 @@ class ConfigManager {
       }
     }
 
-    // AI validation
-    if (config.ai.provider === 'openai' && !config.ai.openai.apiKey) {
+    this.validateAiConfig(config.ai);
+    this.validateQueriesSection(config.queries);
+
+    if (config.fleet && !(config.fleet.concurrency >= 1 && config.fleet.concurrency <= 20)) {
+      throw new Error('Fleet concurrency must be between 1 and 20');
+    }
+
+    this.validateEncryptionConfig(config.encryption);
+    this.validateHealthConfig(config.health);
+
+    return true;
+  }
+
+  /**
+   * JSON schema for the web `config.json`, published at /api/config/schema.
+   */
+  static getWebConfigSchema() {
+    const nullableString = { type: ['string', 'null'] };
+    const stringList = { type: 'array', items: { type: 'string' } };
+    const selection = {
+      type: 'object',
+      additionalProperties: false,
+      properties: { sections: stringList, queryIds: stringList, names: stringList }
+    };
+
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'SQL Server Diagnostic Tool web configuration',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        dataDir: { type: 'string', minLength: 1 },
+        web: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            port: { type: 'integer', minimum: 1, maximum: 65535 },
+            host: { type: 'string', minLength: 1 },
+            https: { type: 'boolean' },
+            cert: nullableString,
+            key: nullableString,
+            corsOrigins: stringList,
+            showErrors: { type: 'boolean' }
+          }
+        },
+        server: nullableString,
+        database: { type: 'string' },
+        connectionString: nullableString,
+        port: { type: ['integer', 'null'], minimum: 1, maximum: 65535 },
+        instanceName: nullableString,
+        applicationName: nullableString,
+        applicationIntent: { enum: ['ReadWrite', 'ReadOnly'] },
+        multiSubnetFailover: { type: 'boolean' },
+        authentication: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            type: { enum: Object.keys(AUTHENTICATION_TYPES) },
+            username: nullableString,
+            password: nullableString,
+            domain: nullableString,
+            clientId: nullableString,
+            clientSecret: nullableString,
+            tenantId: nullableString,
+            token: nullableString
+          }
+        },
+        encryption: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            mode: { enum: ['strict', 'mandatory', 'optional'] },
+            trustServerCertificate: { type: 'boolean' },
+            caFile: nullableString,
+            pinnedCertificate: nullableString,
+            hostNameInCertificate: nullableString
+          }
+        },
+        secrets: {
+          type: 'object',
+          additionalProperties: false,
+          properties: { keyFile: nullableString, directory: nullableString }
+        },
+        ai: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            provider: { enum: ['openai', 'ollama', 'none'] },
+            openai: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                apiKey: nullableString,
+                model: { type: 'string', minLength: 1 },
+                maxTokens: { type: 'integer', minimum: 1 },
+                temperature: { type: 'number', minimum: 0, maximum: 2 }
+              }
+            },
+            ollama: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                url: { type: 'string', minLength: 1 },
+                model: { type: 'string', minLength: 1 },
+                timeout: { type: 'integer', minimum: 1000 }
+              }
+            }
+          }
+        },
+        queries: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            timeout: { type: 'integer', minimum: 1000 },
+            maxRetries: { type: 'integer', minimum: 0 },
+            retryDelay: { type: 'integer', minimum: 0 },
+            maxRetryDelay: { type: 'integer', minimum: 0 },
+            maxTimeoutRetries: { type: 'integer', minimum: 0 },
+            continueOnError: { type: 'boolean' },
+            concurrency: { type: 'integer', minimum: 1, maximum: 10 },
+            runAlone: stringList,
+            runAloneThreshold: { type: 'integer', minimum: 0 },
+            databases: {
+              description: "'current', 'all' or a list of database names",
+              anyOf: [{ enum: ['current', 'all'] }, stringList]
+            },
+            preflight: { enum: ['skip', 'warn', 'off'] },
+            adaptiveTimeouts: { type: 'boolean' },
+            timeoutOverrides: { type: 'object', additionalProperties: { type: 'integer', minimum: 1000 } },
+            customPacks: { type: ['array', 'null'], items: { type: 'string' } },
+            packIntegrity: { enum: PACK_INTEGRITY_MODES },
+            onlineFallback: { type: 'boolean' },
+            readOnlyGuard: { enum: ['block', 'warn', 'off'] },
+            allowMutating: stringList,
+            rollbackTransaction: { type: 'boolean' },
+            include: selection,
+            exclude: selection
+          }
+        },
+        fleet: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            concurrency: { type: 'integer', minimum: 1, maximum: 20 }
+          }
+        },
+        health: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            failOn: { enum: ['none', 'info', 'warning', 'critical'] },
+            maxFailedQueries: { type: 'integer', minimum: 0 },
+            checks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'query'],
+                additionalProperties: false,
+                properties: {
+                  name: { type: 'string' },
+                  query: { type: 'string' },
+                  column: { type: 'string' },
+                  operator: { enum: ['>', '>=', '<', '<=', '==', '!=', 'contains', 'isNull'] },
+                  value: { type: ['string', 'number', 'boolean', 'null'] },
+                  severity: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        logging: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            level: { enum: ['error', 'warn', 'info', 'debug'] },
+            file: { type: 'string' },
+            console: { type: 'boolean' }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Field-level problems with a web config, as `{ path, message }`. Schema
+   * errors come first; the cross-field rules of validateWebConfig only run
+   * once the shape is right.
+   */
+  static findWebConfigErrors(config) {
+    const errors = SchemaValidator.validate(this.getWebConfigSchema(), config);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    try {
+      this.validateWebConfig(config);
+      return [];
+    } catch (error) {
+      return [{ path: '', message: error.message }];
+    }
+  }
+
+  /**
+   * Applies saved changes to the running server's config in place. Sections
+   * each run reads afresh take effect at once; the rest, and the safety
+   * settings in RESTART_ONLY_SETTINGS, wait for a restart.
+   */
+  static applyLiveSettings(liveConfig, changes) {
+    const applied = [];
+    const restartRequired = [];
+
+    for (const [section, value] of Object.entries(changes)) {
+      const current = liveConfig[section];
+      const updated = value && typeof value === 'object' && !Array.isArray(value)
+        ? this.mergeConfig(current || {}, value)
+        : value;
+
+      if (value === undefined || value === null || JSON.stringify(updated) === JSON.stringify(current)) {
+        continue;
+      }
+
+      if (!LIVE_SECTIONS.includes(section)) {
+        restartRequired.push(section);
+        continue;
+      }
+
+      for (const setting of RESTART_ONLY_SETTINGS[section] || []) {
+        if (JSON.stringify(updated[setting]) !== JSON.stringify(current?.[setting])) {
+          restartRequired.push(`${section}.${setting}`);
+          if (current && setting in current) {
+            updated[setting] = current[setting];
+          } else {
+            delete updated[setting];
+          }
+        }
+      }
+
+      if (JSON.stringify(updated) !== JSON.stringify(current)) {
+        liveConfig[section] = updated;
+        applied.push(section);
+      }
+    }
+
+    return { applied, restartRequired };
+  }
+
+  static validateAuthentication(authentication) {
+    const type = authentication?.type || 'sql';
+    const definition = AUTHENTICATION_TYPES[type];
+
+    if (!definition) {
+      throw new Error(`Authentication type must be one of: ${Object.keys(AUTHENTICATION_TYPES).join(', ')}`);
+    }
+
+    for (const [field, label] of Object.entries(definition.required)) {
+      if (!authentication[field]) {
+        throw new Error(`${label} is required for ${definition.label} authentication`);
+      }
+    }
+
+    return true;
+  }
+
+  static validateAiConfig(ai) {
+    if (ai.provider === 'openai' && !ai.openai.apiKey) {
       throw new Error('OpenAI API key is required when using OpenAI provider');
     }
 
-    // Numeric validations
-    if (config.queries.timeout < 1000) {
+    return true;
+  }
+
+  /**
+   * Rules for the `queries` section, shared by the CLI and web configs.
+   */
+  static validateQueriesSection(queries) {
+    if (queries.timeout < 1000) {
       throw new Error('Query timeout must be at least 1000ms');
     }
 
-    if (config.queries.maxRetries < 0) {
+    if (queries.maxRetries < 0) {
       throw new Error('Max retries cannot be negative');
     }
 
+    for (const [queryId, timeout] of Object.entries(queries.timeoutOverrides || {})) {
+      if (!(timeout >= 1000)) {
+        throw new Error(`Timeout override for ${queryId} must be at least 1000ms`);
+      }
+    }
+
+    if (queries.preflight && !['skip', 'warn', 'off'].includes(queries.preflight)) {
+      throw new Error('Pre-flight mode must be one of: skip, warn, off');
+    }
+
+    if (queries.packIntegrity && !PACK_INTEGRITY_MODES.includes(queries.packIntegrity)) {
+      throw new Error(`Query pack integrity mode must be one of: ${PACK_INTEGRITY_MODES.join(', ')}`);
+    }
+
+    if (queries.readOnlyGuard && !['block', 'warn', 'off'].includes(queries.readOnlyGuard)) {
+      throw new Error('Read-only guard mode must be one of: block, warn, off');
+    }
+
+    if (queries.concurrency !== undefined &&
+        !(queries.concurrency >= 1 && queries.concurrency <= 10)) {
+      throw new Error('Query concurrency must be between 1 and 10');
+    }
+
+    return true;
+  }
+
+  static validateEncryptionConfig(encryption) {
+    if (!encryption) {
+      return true;
+    }
+
+    const modes = ['strict', 'mandatory', 'optional'];
+    if (encryption.mode && !modes.includes(encryption.mode)) {
+      throw new Error(`Encryption mode must be one of: ${modes.join(', ')}`);
+    }
+
+    if (encryption.caFile && encryption.pinnedCertificate) {
+      throw new Error('Set either a CA bundle or a pinned certificate, not both');
+    }
+
+    if (encryption.mode === 'strict' && encryption.trustServerCertificate) {
+      throw new Error('Strict encryption always validates the server certificate; remove trustServerCertificate');
+    }
+
+    return true;
+  }
+
+  static validateHealthConfig(health) {
+    if (!health) {
+      return true;
+    }
+
+    const thresholds = ['none', 'info', 'warning', 'critical'];
+    if (health.failOn && !thresholds.includes(health.failOn)) {
+      throw new Error(`Health check threshold must be one of: ${thresholds.join(', ')}`);
+    }
+
+    if (isNaN(health.maxFailedQueries) || health.maxFailedQueries < 0) {
+      throw new Error('Max failed queries must be a non-negative number');
+    }
+
+    if (health.checks && !Array.isArray(health.checks)) {
+      throw new Error('Health checks must be an array');
+    }
+
+    for (const check of health.checks || []) {
+      if (!check.name || !check.query) {
+        throw new Error('Each health check requires a name and a query id or name');
+      }
+    }
+
     return true;
   }
 
   static async save(config, filePath) {
     await fs.ensureDir(path.dirname(filePath));
-    await fs.writeJson(filePath, config, { spaces: 2 });
+
+    // Secrets are written encrypted, never as plaintext
+    const secretStore = new SecretStore({ dataDir: path.dirname(filePath), ...config });
+    await fs.writeJson(filePath, await secretStore.protect(config), { spaces: 2 });
   }
 }
 
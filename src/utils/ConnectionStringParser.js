@@ -0,0 +1,232 @@
+// Connection string keywords (lower-cased, spaces removed) and the config
+// field they set. ADO.NET and ODBC spellings share one table.
+const KEYWORDS = {
+  server: 'server',
+  datasource: 'server',
+  address: 'server',
+  addr: 'server',
+  networkaddress: 'server',
+  database: 'database',
+  initialcatalog: 'database',
+  userid: 'username',
+  uid: 'username',
+  user: 'username',
+  password: 'password',
+  pwd: 'password',
+  applicationname: 'applicationName',
+  app: 'applicationName',
+  applicationintent: 'applicationIntent',
+  multisubnetfailover: 'multiSubnetFailover',
+  integratedsecurity: 'integratedSecurity',
+  trustedconnection: 'integratedSecurity',
+  authentication: 'authentication'
+};
+
+// Keywords that are recognised but not taken from the string. Encryption is
+// governed by the `encryption` config, and the driver is always tedious.
+const IGNORED_KEYWORDS = [
+  'encrypt',
+  'trustservercertificate',
+  'hostnameincertificate',
+  'driver',
+  'provider'
+];
+
+// Authentication keyword values mapped to the tool's authentication types
+const AUTHENTICATION_METHODS = {
+  sqlpassword: 'sql',
+  activedirectorypassword: 'azure-ad-password',
+  activedirectoryserviceprincipal: 'azure-ad-service-principal',
+  activedirectorymanagedidentity: 'azure-ad-managed-identity',
+  activedirectorymsi: 'azure-ad-managed-identity'
+};
+
+const TRUE_VALUES = ['true', 'yes', 'sspi'];
+
+/**
+ * Parses ADO.NET and ODBC style connection strings, and SQL Server's
+ * `[tcp:]host[\instance][,port]` server notation, into config fields.
+ */
+class ConnectionStringParser {
+  /**
+   * Returns the connection fields found in the string, plus the keywords
+   * that were recognised but ignored and any that were not recognised.
+   */
+  static parse(connectionString) {
+    const fields = {};
+    const ignored = [];
+    const unknown = [];
+
+    for (const [key, value] of ConnectionStringParser.tokenize(connectionString)) {
+      const normalizedKey = key.toLowerCase().replace(/[\s_]/g, '');
+      const field = KEYWORDS[normalizedKey];
+
+      if (field) {
+        fields[field] = value;
+      } else if (IGNORED_KEYWORDS.includes(normalizedKey)) {
+        ignored.push(key);
+      } else {
+        unknown.push(key);
+      }
+    }
+
+    const config = {};
+
+    if (fields.server) {
+      Object.assign(config, ConnectionStringParser.parseServer(fields.server));
+    }
+    if (fields.database) config.database = fields.database;
+    if (fields.applicationName) config.applicationName = fields.applicationName;
+    if (fields.applicationIntent) {
+      config.applicationIntent = fields.applicationIntent.toLowerCase() === 'readonly' ? 'ReadOnly' : 'ReadWrite';
+    }
+    if (fields.multiSubnetFailover) {
+      config.multiSubnetFailover = TRUE_VALUES.includes(fields.multiSubnetFailover.toLowerCase());
+    }
+
+    const authentication = ConnectionStringParser.parseAuthentication(fields);
+    if (authentication) {
+      config.authentication = authentication;
+    }
+
+    return { config, ignored, unknown };
+  }
+
+  /**
+   * Splits `key=value;...` pairs. Values may be wrapped in single or double
+   * quotes (ADO.NET) or braces (ODBC) to contain semicolons; a doubled
+   * closing character inside a wrapped value stands for itself.
+   */
+  static tokenize(connectionString) {
+    const pairs = [];
+    const text = String(connectionString || '');
+    let position = 0;
+
+    while (position < text.length) {
+      const equals = text.indexOf('=', position);
+      if (equals === -1) {
+        if (text.slice(position).trim()) {
+          throw new Error(`Invalid connection string near '${text.slice(position).trim()}'`);
+        }
+        break;
+      }
+
+      const key = text.slice(position, equals).trim();
+      position = equals + 1;
+
+      while (text[position] === ' ') {
+        position++;
+      }
+
+      let value = '';
+      const closing = { '{': '}', '"': '"', '\'': '\'' }[text[position]];
+
+      if (closing) {
+        position++;
+        while (position < text.length) {
+          if (text[position] === closing) {
+            if (text[position + 1] === closing) {
+              value += closing;
+              position += 2;
+              continue;
+            }
+            position++;
+            break;
+          }
+          value += text[position++];
+        }
+
+        const end = text.indexOf(';', position);
+        position = end === -1 ? text.length : end + 1;
+      } else {
+        const end = text.indexOf(';', position);
+        value = text.slice(position, end === -1 ? text.length : end).trim();
+        position = end === -1 ? text.length : end + 1;
+      }
+
+      if (!key) {
+        throw new Error('Invalid connection string: empty keyword');
+      }
+
+      pairs.push([key, value]);
+    }
+
+    return pairs;
+  }
+
+  /**
+   * `tcp:sql01\\SALES,14330` -> { server: 'sql01', instanceName: 'SALES', port: 14330 }
+   */
+  static parseServer(server) {
+    let host = String(server).trim().replace(/^tcp:/i, '');
+    const result = {};
+
+    if (/^(np|lpc|admin):/i.test(host)) {
+      throw new Error(`Unsupported protocol in server '${server}': only TCP connections are supported`);
+    }
+
+    const comma = host.lastIndexOf(',');
+    if (comma !== -1) {
+      const port = parseInt(host.slice(comma + 1).trim());
+      if (!(port > 0 && port <= 65535)) {
+        throw new Error(`Invalid port in server '${server}'`);
+      }
+      result.port = port;
+      host = host.slice(0, comma).trim();
+    }
+
+    const backslash = host.indexOf('\\');
+    if (backslash !== -1) {
+      result.instanceName = host.slice(backslash + 1);
+      host = host.slice(0, backslash);
+    }
+
+    result.server = ['.', '(local)', '(localdb)'].includes(host.toLowerCase()) ? 'localhost' : host;
+    return result;
+  }
+
+  static parseAuthentication(fields) {
+    const method = fields.authentication && fields.authentication.toLowerCase().replace(/[\s_]/g, '');
+
+    if (method && !AUTHENTICATION_METHODS[method]) {
+      throw new Error(`Unsupported authentication method '${fields.authentication}' in connection string`);
+    }
+
+    let type = AUTHENTICATION_METHODS[method];
+    if (!type && fields.integratedSecurity && TRUE_VALUES.includes(fields.integratedSecurity.toLowerCase())) {
+      type = 'windows';
+    }
+    if (!type && (fields.username || fields.password)) {
+      type = 'sql';
+    }
+
+    if (!type) {
+      return null;
+    }
+
+    // Service principals and user-assigned identities pass their client id as the user id
+    if (type === 'azure-ad-service-principal') {
+      return { type, clientId: fields.username, clientSecret: fields.password };
+    }
+    if (type === 'azure-ad-managed-identity') {
+      return fields.username ? { type, clientId: fields.username } : { type };
+    }
+    if (type === 'windows') {
+      return { type };
+    }
+
+    const authentication = { type };
+    if (fields.username) authentication.username = fields.username;
+    if (fields.password) authentication.password = fields.password;
+
+    // DOMAIN\user with SQL-style credentials means NTLM
+    if (type === 'sql' && authentication.username && authentication.username.includes('\\')) {
+      const [domain, username] = authentication.username.split('\\');
+      return { type: 'ntlm', domain, username, password: authentication.password };
+    }
+
+    return authentication;
+  }
+}
+
+module.exports = ConnectionStringParser;
@@ -0,0 +1,100 @@
+/**
+ * Validates values against the subset of JSON Schema the config schema uses:
+ * type, enum, minimum, maximum, minLength, properties, required,
+ * additionalProperties, items and anyOf.
+ *
+ * Returns every problem found as `{ path, message }`, with dotted paths
+ * such as `queries.timeout` or `health.checks[0].name`.
+ */
+class SchemaValidator {
+  static validate(schema, value, path = '') {
+    const errors = [];
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => SchemaValidator.validate(option, value, path).length === 0);
+      if (!matches) {
+        errors.push({ path, message: schema.description ? `must be ${schema.description}` : 'does not match any allowed form' });
+      }
+      return errors;
+    }
+
+    if (schema.type && !SchemaValidator.matchesType(schema.type, value)) {
+      const types = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+      errors.push({ path, message: `must be of type ${types}` });
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of: ${schema.enum.filter(option => option !== null).join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be at most ${schema.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...SchemaValidator.validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const join = (key) => path ? `${path}.${key}` : key;
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push({ path: join(key), message: 'is required' });
+        }
+      }
+
+      for (const [key, fieldValue] of Object.entries(value)) {
+        if (fieldValue === undefined) {
+          continue;
+        }
+
+        const fieldSchema = schema.properties && schema.properties[key];
+        if (fieldSchema) {
+          errors.push(...SchemaValidator.validate(fieldSchema, fieldValue, join(key)));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: join(key), message: 'is not a recognised setting' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...SchemaValidator.validate(schema.additionalProperties, fieldValue, join(key)));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  static matchesType(type, value) {
+    const types = Array.isArray(type) ? type : [type];
+
+    return types.some(expected => {
+      switch (expected) {
+        case 'null':
+          return value === null;
+        case 'array':
+          return Array.isArray(value);
+        case 'object':
+          return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer':
+          return Number.isInteger(value);
+        case 'number':
+          return typeof value === 'number' && !isNaN(value);
+        default:
+          return typeof value === expected;
+      }
+    });
+  }
+}
+
+module.exports = SchemaValidator;
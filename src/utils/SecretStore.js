@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Config fields holding secrets, wherever they appear in a config object
+const SECRET_FIELDS = ['password', 'clientSecret', 'token', 'apiKey'];
+
+const MASK = '***';
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_SALT = 'glenberry-sql-diagnostic-tool';
+
+// Environment variables that override the `secrets` config section
+const ENV_MASTER_KEY = 'SQLDIAG_MASTER_KEY';
+const ENV_MASTER_KEY_FILE = 'SQLDIAG_MASTER_KEY_FILE';
+const ENV_SECRETS_DIR = 'SQLDIAG_SECRETS_DIR';
+
+const DEFAULT_SECRETS_DIR = '/run/secrets';
+
+// Passwords inside ADO.NET/ODBC connection strings
+const CONNECTION_STRING_PASSWORD = /((?:^|;)\s*(?:password|pwd)\s*=\s*)(\{[^}]*\}|"[^"]*"|'[^']*'|[^;]*)/gi;
+
+/**
+ * Keeps secrets out of plaintext files. A secret field may hold:
+ *
+ *   - an encrypted value, `enc:v1:<iv>:<tag>:<data>` (AES-256-GCM with the master key)
+ *   - a reference, `env:NAME` (environment variable) or `secret:NAME` (file in the secrets directory)
+ *   - a plain value, which is encrypted the next time the file is saved
+ *
+ * Connection strings are encrypted too when they embed a password, but
+ * cannot be references.
+ *
+ * The master key comes from SQLDIAG_MASTER_KEY, or the key file named by
+ * SQLDIAG_MASTER_KEY_FILE or `secrets.keyFile`, which is created on first
+ * use. The key file must live outside the data directory: a key stored next
+ * to the secrets it encrypts protects nothing.
+ */
+class SecretStore {
+  constructor(config = {}, logger = null) {
+    const secrets = config.secrets || {};
+
+    this.logger = logger;
+    this.dataDir = path.resolve(config.dataDir || './data');
+    this.keyFile = process.env[ENV_MASTER_KEY_FILE] || secrets.keyFile || null;
+    this.secretsDir = process.env[ENV_SECRETS_DIR] || secrets.directory || DEFAULT_SECRETS_DIR;
+    this.key = null;
+  }
+
+  /**
+   * Copy of `value` with every secret field encrypted. References and values
+   * that are already encrypted are kept as they are.
+   */
+  async protect(value) {
+    return this.mapSecrets(value, async (secret, field) => {
+      if (field === 'connectionString' && !SecretStore.hasEmbeddedPassword(secret)) {
+        return secret;
+      }
+      if (SecretStore.isEncrypted(secret) || SecretStore.isReference(secret)) {
+        return secret;
+      }
+      return this.encrypt(secret, true);
+    });
+  }
+
+  /**
+   * Copy of `value` with encrypted secrets decrypted. References are left
+   * for `resolve`, so a missing variable only fails the run that needs it.
+   */
+  async decryptAll(value) {
+    return this.mapSecrets(value, async (secret) =>
+      SecretStore.isEncrypted(secret) ? this.decrypt(secret) : secret);
+  }
+
+  /**
+   * Copy of `value` with every secret ready to use: decrypted and with
+   * references looked up.
+   */
+  async resolve(value) {
+    return this.mapSecrets(value, async (secret, field) => {
+      if (SecretStore.isEncrypted(secret)) {
+        return this.decrypt(secret);
+      }
+      if (field !== 'connectionString' && SecretStore.isReference(secret)) {
+        return this.lookupReference(secret);
+      }
+      return secret;
+    });
+  }
+
+  async encrypt(plaintext, createKey = false) {
+    const key = await this.getKey(createKey);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+  }
+
+  async decrypt(value) {
+    const key = await this.getKey(false);
+    const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Failed to decrypt a stored secret: the master key does not match the one it was encrypted with');
+    }
+  }
+
+  async lookupReference(reference) {
+    const [scheme, name] = SecretStore.parseReference(reference);
+
+    if (scheme === 'env') {
+      if (name === ENV_MASTER_KEY) {
+        throw new Error(`Secret reference '${reference}': the master key cannot be used as a secret`);
+      }
+      if (process.env[name] === undefined) {
+        throw new Error(`Secret reference '${reference}': environment variable ${name} is not set`);
+      }
+      return process.env[name];
+    }
+
+    // Names are single files in the secrets directory, never paths out of it
+    if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+      throw new Error(`Secret reference '${reference}': invalid secret name`);
+    }
+
+    const filePath = path.join(this.secretsDir, name);
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Secret reference '${reference}': ${filePath} not found`);
+    }
+
+    // Mounted secrets often end with a newline
+    return (await fs.readFile(filePath, 'utf8')).replace(/\r?\n$/, '');
+  }
+
+  async getKey(create) {
+    if (this.key) {
+      return this.key;
+    }
+
+    let material = process.env[ENV_MASTER_KEY];
+
+    if (!material && this.keyFile) {
+      if (this.isInDataDir(this.keyFile)) {
+        throw new Error(`The master key file ${this.keyFile} is inside the data directory; move it elsewhere and point ${ENV_MASTER_KEY_FILE} or secrets.keyFile at it`);
+      }
+
+      if (await fs.pathExists(this.keyFile)) {
+        material = (await fs.readFile(this.keyFile, 'utf8')).trim();
+      } else if (create) {
+        material = await this.createKeyFile();
+      }
+    }
+
+    if (!material) {
+      const legacyKeyFile = path.join(this.dataDir, 'master.key');
+      throw new Error(`Encrypted secrets need the master key: set ${ENV_MASTER_KEY}, or ${ENV_MASTER_KEY_FILE} or secrets.keyFile to a file outside the data directory` +
+        (await fs.pathExists(legacyKeyFile) ? ` (move ${legacyKeyFile} there)` : ''));
+    }
+
+    this.key = crypto.scryptSync(material, KEY_SALT, 32);
+    return this.key;
+  }
+
+  async createKeyFile() {
+    const material = crypto.randomBytes(32).toString('base64');
+    await fs.ensureDir(path.dirname(this.keyFile));
+
+    try {
+      await fs.writeFile(this.keyFile, material + '\n', { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      // Another save created it first; use that key
+      if (error.code === 'EEXIST') {
+        return (await fs.readFile(this.keyFile, 'utf8')).trim();
+      }
+      throw error;
+    }
+
+    if (this.logger) {
+      this.logger.info(`Created master key ${this.keyFile}`);
+    }
+    return material;
+  }
+
+  isInDataDir(filePath) {
+    const relative = path.relative(this.dataDir, path.resolve(filePath));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Deep copy of `value` with `transform` applied to each non-empty secret
+   * string. Connection strings count as secrets when they embed a password.
+   */
+  async mapSecrets(value, transform) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => this.mapSecrets(item, transform)));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if ((SECRET_FIELDS.includes(field) || field === 'connectionString') && typeof fieldValue === 'string' && fieldValue) {
+        result[field] = await transform(fieldValue, field);
+      } else {
+        result[field] = await this.mapSecrets(fieldValue, transform);
+      }
+    }
+    return result;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  static isReference(value) {
+    return typeof value === 'string' && SecretStore.parseReference(value) !== null;
+  }
+
+  static parseReference(value) {
+    const match = /^(env|secret):(\S+)$/.exec(value);
+    return match ? [match[1], match[2]] : null;
+  }
+
+  /**
+   * Throws if `incoming` sets a secret field to a reference that `existing`
+   * doesn't already hold in the same place. A reference can read any
+   * environment variable or mounted secret, so only the operator's own files
+   * may add one; API clients can keep the ones they were shown.
+   */
+  static rejectNewReferences(incoming, existing) {
+    if (!incoming || typeof incoming !== 'object') {
+      return;
+    }
+
+    for (const [field, value] of Object.entries(incoming)) {
+      const stored = existing && typeof existing === 'object' ? existing[field] : undefined;
+
+      if (SECRET_FIELDS.includes(field) && SecretStore.isReference(value) && value !== stored) {
+        throw new Error(`${field} cannot be set to a secret reference here; env: and secret: references are only read from the configuration files`);
+      }
+      SecretStore.rejectNewReferences(value, stored);
+    }
+  }
+
+  static hasEmbeddedPassword(connectionString) {
+    return new RegExp(CONNECTION_STRING_PASSWORD.source, 'i').test(connectionString);
+  }
+
+  /**
+   * Copy that is safe to send to a browser: secret values become `***`,
+   * while references (which name a secret rather than hold it) stay visible.
+   */
+  static mask(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => SecretStore.mask(item));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (SECRET_FIELDS.includes(field) && typeof fieldValue === 'string' && fieldValue) {
+        result[field] = SecretStore.isReference(fieldValue) ? fieldValue : MASK;
+      } else if (field === 'connectionString' && typeof fieldValue === 'string') {
+        result[field] = SecretStore.isEncrypted(fieldValue) ? MASK : fieldValue.replace(CONNECTION_STRING_PASSWORD, `$1${MASK}`);
+      } else {
+        result[field] = SecretStore.mask(fieldValue);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Copy of `incoming` where secrets sent back masked keep the value stored
+   * in `existing`, so a masked config can be edited and saved as is.
+   */
+  static restoreMasked(incoming, existing) {
+    if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+      return incoming;
+    }
+
+    const result = {};
+    for (const [field, value] of Object.entries(incoming)) {
+      const stored = existing && typeof existing === 'object' ? existing[field] : undefined;
+
+      if (SECRET_FIELDS.includes(field) && value === MASK) {
+        result[field] = stored;
+      } else if (field === 'connectionString' && typeof stored === 'string' &&
+          (value === MASK || value === SecretStore.mask({ connectionString: stored }).connectionString)) {
+        result[field] = stored;
+      } else {
+        result[field] = SecretStore.restoreMasked(value, stored);
+      }
+    }
+    return result;
+  }
+}
+
+SecretStore.SECRET_FIELDS = SECRET_FIELDS;
+SecretStore.MASK = MASK;
+
+module.exports = SecretStore;
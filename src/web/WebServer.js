@@ -12,6 +12,10 @@ const rateLimit = require('express-rate-limit');
 const ApiRoutes = require('./routes/ApiRoutes');
 const WebRoutes = require('./routes/WebRoutes');
 
+// Finished fleet jobs stay queryable through GET /api/fleet/:jobId this long
+const FLEET_JOB_TTL = 60 * 60 * 1000;
+const FLEET_JOB_SWEEP_INTERVAL = 5 * 60 * 1000;
+
 class WebServer {
   constructor(config, logger) {
     this.config = config;
@@ -20,6 +24,13 @@ class WebServer {
     this.server = null;
     this.io = null;
     this.isRunning = false;
+
+    // Diagnostic runs in progress, keyed by run id
+    this.activeRuns = new Map();
+
+    // Fleet jobs, keyed by job id; finished jobs are pruned after FLEET_JOB_TTL
+    this.fleetJobs = new Map();
+    this.fleetJobSweep = null;
   }
 
   async start() {
@@ -30,6 +41,9 @@ class WebServer {
       const serverInfo = await this.startServer();
       await this.setupSocketIO();
 
+      this.fleetJobSweep = setInterval(() => this.pruneFleetJobs(), FLEET_JOB_SWEEP_INTERVAL);
+      this.fleetJobSweep.unref();
+
       this.isRunning = true;
 
       return serverInfo;
@@ -97,7 +111,7 @@ class WebServer {
 
   async setupRoutes() {
     // API routes
-    const apiRoutes = new ApiRoutes(this.config, this.logger);
+    const apiRoutes = new ApiRoutes(this.config, this.logger, this.activeRuns, this.fleetJobs);
     this.app.use('/api', apiRoutes.getRouter());
 
     // Web routes (for serving the SPA)
@@ -137,6 +151,13 @@ class WebServer {
 
       socket.on('disconnect', () => {
         this.logger.debug('Client disconnected', { socketId: socket.id });
+
+        // Nobody is left to watch these runs, so stop them hitting the server
+        for (const run of this.activeRuns.values()) {
+          if (run.socketId === socket.id) {
+            run.runner.cancel('Client disconnected');
+          }
+        }
       });
 
       // Handle diagnostic execution requests
@@ -150,6 +171,32 @@ class WebServer {
           });
         }
       });
+
+      // Handle cancellation of this client's runs
+      socket.on('cancel-diagnostic', (data = {}) => {
+        for (const [runId, run] of this.activeRuns) {
+          if (run.socketId === socket.id && (!data.runId || data.runId === runId)) {
+            run.runner.cancel('Cancelled by user');
+          }
+        }
+      });
+
+      // Fleet jobs keep running if the client goes away; they are long and
+      // can be followed or cancelled through /api/fleet
+      socket.on('start-fleet', async (data) => {
+        try {
+          await this.handleFleetExecution(socket, data);
+        } catch (error) {
+          this.logger.error('Fleet execution error', error);
+          socket.emit('fleet-error', {
+            error: error.message
+          });
+        }
+      });
+
+      socket.on('cancel-fleet', (data = {}) => {
+        this.cancelFleetJob(socket, data.jobId);
+      });
     });
   }
 
@@ -200,127 +247,158 @@ class WebServer {
   }
 
   async handleDiagnosticExecution(socket, data) {
-    const { connectionConfig, aiConfig, queryOptions } = data;
-    
     // Import diagnostic modules dynamically to avoid circular dependencies
-    const ConnectionManager = require('../core/ConnectionManager');
-    const QueryParser = require('../core/QueryParser');
-    const ExecutionEngine = require('../core/ExecutionEngine');
-    const AIAnalyzer = require('../ai/AIAnalyzer');
-    const ReportGenerator = require('../reports/ReportGenerator');
+    const DiagnosticRunner = require('../core/DiagnosticRunner');
+    const ConfigManager = require('../utils/ConfigManager');
 
-    try {
-      // Test connection
-      socket.emit('diagnostic-progress', {
-        stage: 'connecting',
-        message: 'Connecting to SQL Server...'
-      });
+    const ServerInventory = require('../core/ServerInventory');
 
-      const connectionManager = new ConnectionManager(connectionConfig, this.logger);
-      await connectionManager.connect();
-      const serverInfo = await connectionManager.getServerInfo();
+    const queryOptions = ConfigManager.normalizeRunOptions(data.queryOptions);
 
-      socket.emit('diagnostic-progress', {
-        stage: 'connected',
-        message: `Connected to ${serverInfo.serverName} (${serverInfo.version})`,
-        serverInfo
-      });
+    // A saved server is referenced by id; its stored connection is used as is
+    const { connectionConfig, entry } = await new ServerInventory(this.config, this.logger).resolve(data.connectionConfig || {});
+    data.connectionConfig = ConfigManager.applyConnectionString(connectionConfig);
+    data.inventory = entry ? ServerInventory.toReference(entry) : null;
+    ConfigManager.validateAuthentication(data.connectionConfig.authentication);
 
-      // Load queries
-      socket.emit('diagnostic-progress', {
-        stage: 'loading-queries',
-        message: 'Loading diagnostic queries...'
-      });
+    // Settings saved through the API since startup apply to the next run
+    data.aiConfig = data.aiConfig || this.config.ai;
+    data.queryOptions = { ...this.config.queries, ...queryOptions };
 
-      const queryParser = new QueryParser(this.logger);
-      const queries = await queryParser.loadQueries(serverInfo.majorVersion);
+    const runner = new DiagnosticRunner(this.config, this.logger);
+    this.activeRuns.set(runner.id, { runner, socketId: socket.id });
 
-      socket.emit('diagnostic-progress', {
-        stage: 'queries-loaded',
-        message: `Loaded ${queries.length} diagnostic queries`,
-        queryCount: queries.length
-      });
+    try {
+      socket.emit('diagnostic-started', { runId: runner.id });
 
-      // Execute queries
-      socket.emit('diagnostic-progress', {
-        stage: 'executing',
-        message: 'Executing diagnostic queries...'
+      const outcome = await runner.run(data, (progress) => {
+        socket.emit('diagnostic-progress', progress);
       });
 
-      const executionEngine = new ExecutionEngine(connectionManager, queryOptions, this.logger);
-      const results = await executionEngine.executeQueries(queries, (progress) => {
-        socket.emit('diagnostic-progress', {
-          stage: 'executing',
-          message: `Executing queries... (${progress.completed}/${progress.total})`,
-          progress: {
-            completed: progress.completed,
-            total: progress.total,
-            percentage: Math.round((progress.completed / progress.total) * 100)
-          }
-        });
-      });
+      const payload = {
+        runId: runner.id,
+        reportId: outcome.reportInfo.id,
+        serverInfo: outcome.serverInfo,
+        inventory: outcome.inventory,
+        results: outcome.results,
+        aiInsights: outcome.aiInsights,
+        healthFindings: outcome.healthFindings,
+        executionSummary: outcome.executionSummary,
+        summary: runner.summarize(outcome)
+      };
 
-      // AI Analysis (if enabled)
-      let aiInsights = null;
-      if (aiConfig && aiConfig.provider !== 'none') {
-        socket.emit('diagnostic-progress', {
-          stage: 'ai-analysis',
-          message: 'Analyzing results with AI...'
-        });
+      // Complete (or stopped part way with a partial report)
+      socket.emit(outcome.executionSummary.cancelled ? 'diagnostic-cancelled' : 'diagnostic-complete', payload);
 
-        const aiAnalyzer = new AIAnalyzer(aiConfig, this.logger);
-        aiInsights = await aiAnalyzer.analyzeResults(results.data, serverInfo);
+    } catch (error) {
+      if (error.code === 'ECANCELLED') {
+        socket.emit('diagnostic-cancelled', {
+          runId: runner.id,
+          reportId: null,
+          message: error.message
+        });
+      } else {
+        socket.emit('diagnostic-error', {
+          error: error.message,
+          stack: this.config.web.showErrors ? error.stack : undefined
+        });
       }
+    } finally {
+      this.activeRuns.delete(runner.id);
+    }
+  }
 
-      // Generate Report
-      socket.emit('diagnostic-progress', {
-        stage: 'generating-report',
-        message: 'Generating diagnostic report...'
-      });
+  /**
+   * Runs a diagnostic against each saved server in the selection
+   * (`serverIds`, or a `group` and/or `environment`), several at a time.
+   */
+  async handleFleetExecution(socket, data = {}) {
+    const FleetRunner = require('../core/FleetRunner');
+    const ServerInventory = require('../core/ServerInventory');
+    const ConfigManager = require('../utils/ConfigManager');
 
-      const reportGenerator = new ReportGenerator(this.config, this.logger);
-      const reportData = {
-        serverInfo,
-        queryResults: results.data,
-        aiInsights,
-        executionSummary: {
-          totalQueries: queries.length,
-          successful: results.successful,
-          failed: results.failed,
-          executionTime: results.executionTime
-        },
-        timestamp: new Date().toISOString()
-      };
+    const queryOptions = ConfigManager.normalizeRunOptions(data.queryOptions);
 
-      const reportInfo = await reportGenerator.generateReport(reportData);
-
-      // Complete
-      socket.emit('diagnostic-complete', {
-        reportId: reportInfo.id,
-        serverInfo,
-        results: results.data,
-        aiInsights,
-        executionSummary: {
-          totalQueries: queries.length,
-          successful: results.successful,
-          failed: results.failed,
-          executionTime: results.executionTime
-        }
+    const selection = {
+      serverIds: data.serverIds,
+      group: data.group,
+      environment: data.environment
+    };
+    const targets = await new ServerInventory(this.config, this.logger).resolveTargets(selection);
+
+    const runner = new FleetRunner(this.config, this.logger);
+    this.fleetJobs.set(runner.id, { runner, socketId: socket.id });
+
+    socket.emit('fleet-started', { jobId: runner.id, servers: targets.map(target => target.inventory) });
+
+    try {
+      const outcome = await runner.run({
+        targets,
+        selection,
+        aiConfig: data.aiConfig,
+        queryOptions
+      }, (progress) => {
+        socket.emit('fleet-progress', progress);
       });
 
+      socket.emit(outcome.cancelled ? 'fleet-cancelled' : 'fleet-complete', {
+        jobId: runner.id,
+        reportId: outcome.reportInfo.id,
+        counts: outcome.counts,
+        servers: outcome.servers
+      });
     } catch (error) {
-      socket.emit('diagnostic-error', {
+      socket.emit('fleet-error', {
+        jobId: runner.id,
         error: error.message,
         stack: this.config.web.showErrors ? error.stack : undefined
       });
     }
   }
 
+  /**
+   * Cancels a fleet job for the socket that started it. Other clients'
+   * jobs, and jobs started through the API, are left alone.
+   */
+  cancelFleetJob(socket, jobId) {
+    const job = this.fleetJobs.get(jobId);
+    if (!job || job.socketId !== socket.id) {
+      return false;
+    }
+
+    job.runner.cancel('Cancelled by user');
+    return true;
+  }
+
+  /**
+   * Forgets fleet jobs that finished more than FLEET_JOB_TTL ago. Their
+   * roll-up reports stay in the reports directory.
+   */
+  pruneFleetJobs(now = Date.now()) {
+    for (const [jobId, job] of this.fleetJobs) {
+      const { finishedAt } = job.runner;
+      if (finishedAt && now - new Date(finishedAt).getTime() > FLEET_JOB_TTL) {
+        this.fleetJobs.delete(jobId);
+      }
+    }
+  }
+
   async stop() {
     if (!this.isRunning) {
       return;
     }
 
+    clearInterval(this.fleetJobSweep);
+    this.fleetJobSweep = null;
+
+    for (const job of this.fleetJobs.values()) {
+      job.runner.cancel('Server shutting down');
+    }
+
+    for (const run of this.activeRuns.values()) {
+      run.runner.cancel('Server shutting down');
+    }
+
     return new Promise((resolve) => {
       if (this.io) {
         this.io.close();
@@ -1,15 +1,32 @@
 const express = require('express');
 const fs = require('fs-extra');
+const multer = require('multer');
 const path = require('path');
 
 const ConnectionManager = require('../../core/ConnectionManager');
+const CustomQueryPacks = require('../../core/CustomQueryPacks');
+const FleetRunner = require('../../core/FleetRunner');
+const QueryPackDiff = require('../../core/QueryPackDiff');
+const QueryPackStore = require('../../core/QueryPackStore');
 const QueryParser = require('../../core/QueryParser');
+const ServerInventory = require('../../core/ServerInventory');
 const ReportGenerator = require('../../reports/ReportGenerator');
+const ConfigManager = require('../../utils/ConfigManager');
+const SecretStore = require('../../utils/SecretStore');
+
+// Glenn Berry's packs are a few hundred KB; anything near this is not one
+const MAX_QUERY_PACK_SIZE = 10 * 1024 * 1024;
 
 class ApiRoutes {
-  constructor(config, logger) {
+  constructor(config, logger, activeRuns = new Map(), fleetJobs = new Map()) {
     this.config = config;
     this.logger = logger;
+    this.activeRuns = activeRuns;
+    this.fleetJobs = fleetJobs;
+    this.serverInventory = new ServerInventory(config, logger);
+    this.secretStore = new SecretStore(config, logger);
+    this.queryPackStore = new QueryPackStore(config, logger);
+    this.packUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_QUERY_PACK_SIZE, files: 1 } });
     this.router = express.Router();
     this.setupRoutes();
   }
@@ -27,13 +44,42 @@ class ApiRoutes {
     // Configuration endpoints
     this.router.get('/config', this.getConfig.bind(this));
     this.router.post('/config', this.saveConfig.bind(this));
+    this.router.get('/config/schema', (req, res) => res.json(ConfigManager.getWebConfigSchema()));
 
     // Connection testing
     this.router.post('/test-connection', this.testConnection.bind(this));
 
+    // Saved server inventory
+    this.router.get('/servers', this.getServers.bind(this));
+    this.router.get('/servers/:id', this.getServer.bind(this));
+    this.router.post('/servers', this.createServer.bind(this));
+    this.router.put('/servers/:id', this.updateServer.bind(this));
+    this.router.delete('/servers/:id', this.deleteServer.bind(this));
+
     // Query information
     this.router.get('/queries/:version', this.getQueries.bind(this));
     this.router.get('/queries/:version/sections', this.getQuerySections.bind(this));
+    this.router.get('/query-ids', this.getQueryIdMap.bind(this));
+    this.router.get('/custom-packs', this.getCustomPacks.bind(this));
+
+    // Query pack management (upload, preview, activate per version)
+    this.router.get('/query-packs', this.getQueryPacks.bind(this));
+    this.router.get('/query-packs/diff', this.diffQueryPacks.bind(this));
+    this.router.post('/query-packs/uploads', this.receivePackUpload.bind(this), this.uploadQueryPack.bind(this));
+    this.router.get('/query-packs/uploads/:uploadId', this.getQueryPackUpload.bind(this));
+    this.router.post('/query-packs/uploads/:uploadId/activate', this.activateQueryPack.bind(this));
+    this.router.delete('/query-packs/uploads/:uploadId', this.discardQueryPackUpload.bind(this));
+    this.router.delete('/query-packs/:version', this.deleteQueryPack.bind(this));
+
+    // Diagnostic runs in progress
+    this.router.get('/diagnostics', this.getActiveDiagnostics.bind(this));
+    this.router.post('/diagnostics/:runId/cancel', this.cancelDiagnostic.bind(this));
+
+    // Fleet jobs (one job across many saved servers)
+    this.router.get('/fleet', this.getFleetJobs.bind(this));
+    this.router.post('/fleet', this.startFleetJob.bind(this));
+    this.router.get('/fleet/:jobId', this.getFleetJob.bind(this));
+    this.router.post('/fleet/:jobId/cancel', this.cancelFleetJob.bind(this));
 
     // Reports
     this.router.get('/reports', this.getReports.bind(this));
@@ -61,15 +107,8 @@ class ApiRoutes {
       
       if (await fs.pathExists(configPath)) {
         const config = await fs.readJson(configPath);
-        // Remove sensitive information
-        const safeConfig = { ...config };
-        if (safeConfig.authentication && safeConfig.authentication.password) {
-          safeConfig.authentication.password = '***';
-        }
-        if (safeConfig.ai && safeConfig.ai.openai && safeConfig.ai.openai.apiKey) {
-          safeConfig.ai.openai.apiKey = '***';
-        }
-        res.json(safeConfig);
+        // Remove sensitive information; secret references stay visible
+        res.json(SecretStore.mask(config));
       } else {
         res.json({});
       }
@@ -82,8 +121,43 @@ class ApiRoutes {
   async saveConfig(req, res) {
     try {
       const configPath = path.join(this.config.dataDir, 'config.json');
-      await fs.writeJson(configPath, req.body, { spaces: 2 });
-      res.json({ success: true });
+      const existing = await fs.pathExists(configPath) ? await fs.readJson(configPath) : {};
+
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Invalid configuration', errors: [{ path: '', message: 'must be an object' }] });
+      }
+
+      // Secrets sent back masked keep their stored value; the request only
+      // needs to carry the settings it changes
+      const changes = SecretStore.restoreMasked(req.body, existing);
+      try {
+        SecretStore.rejectNewReferences(changes, existing);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const config = ConfigManager.mergeConfig(existing, changes);
+
+      // Validated as the server would load it: defaults, then the file
+      const errors = ConfigManager.findWebConfigErrors(ConfigManager.mergeConfig(ConfigManager.getDefaultWebConfig(), config));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid configuration', errors });
+      }
+
+      // Fails when no master key is configured to encrypt the secrets with
+      let stored;
+      try {
+        stored = await this.secretStore.protect(config);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await fs.ensureDir(this.config.dataDir);
+      await fs.writeJson(configPath, stored, { spaces: 2 });
+
+      const { applied, restartRequired } = ConfigManager.applyLiveSettings(this.config, await this.secretStore.resolve(changes));
+      this.logger.info(`Configuration saved${applied.length ? `; applied ${applied.join(', ')}` : ''}${restartRequired.length ? `; restart needed for ${restartRequired.join(', ')}` : ''}`);
+
+      res.json({ success: true, applied, restartRequired });
     } catch (error) {
       this.logger.error('Failed to save config', error);
       res.status(500).json({ error: 'Failed to save configuration' });
@@ -92,22 +166,32 @@ class ApiRoutes {
 
   async testConnection(req, res) {
     try {
-      const { server, database, authentication } = req.body;
+      const { server, database, connectionString, serverId } = req.body;
       
-      if (!server) {
+      if (!server && !connectionString && !serverId) {
         return res.status(400).json({ error: 'Server is required' });
       }
 
-      const connectionConfig = {
-        server,
-        database: database || 'master',
-        authentication
-      };
+      let connectionConfig;
+      try {
+        const resolved = await this.serverInventory.resolve(serverId ? { serverId } : ConfigManager.applyConnectionString({
+          ...ApiRoutes.pickConnectionFields(req.body),
+          database: database || 'master'
+        }));
+        connectionConfig = { ...resolved.connectionConfig, encryption: this.config.encryption };
+        ConfigManager.validateAuthentication(connectionConfig.authentication);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
 
       const connectionManager = new ConnectionManager(connectionConfig, this.logger);
-      await connectionManager.connect();
-      const serverInfo = await connectionManager.getServerInfo();
-      await connectionManager.disconnect();
+      let serverInfo;
+      try {
+        await connectionManager.connect();
+        serverInfo = await connectionManager.getServerInfo();
+      } finally {
+        await connectionManager.disconnect();
+      }
 
       res.json({
         success: true,
@@ -122,10 +206,77 @@ class ApiRoutes {
     }
   }
 
+  async getServers(req, res) {
+    try {
+      const servers = await this.serverInventory.list({
+        group: req.query.group,
+        environment: req.query.environment
+      });
+      res.json(servers.map(ServerInventory.mask));
+    } catch (error) {
+      this.logger.error('Failed to load server inventory', error);
+      res.status(500).json({ error: 'Failed to load server inventory' });
+    }
+  }
+
+  async getServer(req, res) {
+    try {
+      const entry = await this.serverInventory.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Server not found' });
+      }
+      res.json(ServerInventory.mask(entry));
+    } catch (error) {
+      this.logger.error('Failed to load saved server', error);
+      res.status(500).json({ error: 'Failed to load saved server' });
+    }
+  }
+
+  async createServer(req, res) {
+    try {
+      const entry = await this.serverInventory.create(req.body);
+      res.status(201).json(ServerInventory.mask(entry));
+    } catch (error) {
+      this.logger.warn('Failed to save server', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async updateServer(req, res) {
+    try {
+      const entry = await this.serverInventory.update(req.params.id, req.body);
+      if (!entry) {
+        return res.status(404).json({ error: 'Server not found' });
+      }
+      res.json(ServerInventory.mask(entry));
+    } catch (error) {
+      this.logger.warn('Failed to update server', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async deleteServer(req, res) {
+    try {
+      if (!(await this.serverInventory.remove(req.params.id))) {
+        return res.status(404).json({ error: 'Server not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      this.logger.error('Failed to delete server', error);
+      res.status(500).json({ error: 'Failed to delete server' });
+    }
+  }
+
+  static pickConnectionFields(body) {
+    const fields = ['server', 'database', 'connectionString', 'port', 'instanceName',
+      'applicationName', 'applicationIntent', 'multiSubnetFailover', 'authentication'];
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  }
+
   async getQueries(req, res) {
     try {
       const { version } = req.params;
-      const queryParser = new QueryParser(this.logger);
+      const queryParser = new QueryParser(this.logger, null, QueryParser.optionsFromConfig(this.config));
       const queries = await queryParser.loadQueries(version);
       
       res.json({
@@ -133,10 +284,16 @@ class ApiRoutes {
         count: queries.length,
         queries: queries.map(q => ({
           id: q.id,
+          key: q.key,
+          queryNumber: q.queryNumber,
+          pack: q.pack,
           name: q.name,
           section: q.section,
+          scope: q.scope,
           description: q.description,
-          estimatedDuration: q.estimatedDuration
+          guidance: q.guidance,
+          estimatedDuration: q.estimatedDuration,
+          timeout: q.timeout
         }))
       });
     } catch (error) {
@@ -148,7 +305,7 @@ class ApiRoutes {
   async getQuerySections(req, res) {
     try {
       const { version } = req.params;
-      const queryParser = new QueryParser(this.logger);
+      const queryParser = new QueryParser(this.logger, null, QueryParser.optionsFromConfig(this.config));
       const sections = await queryParser.getSections(version);
       
       res.json({
@@ -161,6 +318,258 @@ class ApiRoutes {
     }
   }
 
+  async getCustomPacks(req, res) {
+    try {
+      const customPacks = new CustomQueryPacks(this.logger, path.join(this.config.dataDir, 'custom-packs'));
+      const packs = await customPacks.list();
+
+      res.json(packs.map(pack => ({
+        id: pack.id,
+        file: pack.file,
+        name: pack.name,
+        description: pack.description,
+        format: pack.format,
+        error: pack.error,
+        queries: pack.queries.map(query => ({
+          id: query.id,
+          name: query.name,
+          section: query.section,
+          minVersion: query.minVersion,
+          timeout: query.timeout
+        }))
+      })));
+    } catch (error) {
+      this.logger.error('Failed to list custom query packs', error);
+      res.status(500).json({ error: 'Failed to list custom query packs' });
+    }
+  }
+
+  async getQueryPacks(req, res) {
+    try {
+      res.json(await this.queryPackStore.list());
+    } catch (error) {
+      this.logger.error('Failed to list query packs', error);
+      res.status(500).json({ error: 'Failed to list query packs' });
+    }
+  }
+
+  /**
+   * Accepts one `.sql` file in the `pack` field; multer's errors (such as an
+   * oversized file) become 400 responses.
+   */
+  receivePackUpload(req, res, next) {
+    this.packUpload.single('pack')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? 'Query pack is too large' : error.message });
+      }
+      next();
+    });
+  }
+
+  async uploadQueryPack(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Attach a .sql query pack in the "pack" field' });
+    }
+
+    if (path.extname(req.file.originalname).toLowerCase() !== '.sql') {
+      return res.status(400).json({ error: 'Query packs must be .sql files' });
+    }
+
+    try {
+      const preview = await this.queryPackStore.stage(req.file.buffer.toString('utf8'), req.file.originalname);
+      res.status(201).json(preview);
+    } catch (error) {
+      this.logger.warn('Rejected query pack upload', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async getQueryPackUpload(req, res) {
+    try {
+      const upload = await this.queryPackStore.getUpload(req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+      res.json(upload);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async activateQueryPack(req, res) {
+    const { uploadId } = req.params;
+    const version = req.body.version;
+
+    if (!version) {
+      return res.status(400).json({ error: 'A SQL Server version is required' });
+    }
+
+    try {
+      if (!(await this.queryPackStore.getUpload(uploadId))) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+      res.json(await this.queryPackStore.activate(uploadId, String(version)));
+    } catch (error) {
+      this.logger.warn('Failed to activate query pack', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async discardQueryPackUpload(req, res) {
+    try {
+      if (!(await this.queryPackStore.discard(req.params.uploadId))) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async deleteQueryPack(req, res) {
+    try {
+      if (!(await this.queryPackStore.remove(req.params.version))) {
+        return res.status(404).json({ error: 'Query pack not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Compares two packs given as `?from=&to=` references: upload ids,
+   * versions (`2019`), earlier revisions (`2019~1`) or SHA-256 prefixes
+   * (`2019@3f2a9c`).
+   */
+  async diffQueryPacks(req, res) {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both from and to are required' });
+    }
+
+    let packs;
+    try {
+      packs = [await this.queryPackStore.resolve(from), await this.queryPackStore.resolve(to)];
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const missing = [from, to].find((ref, index) => !packs[index]);
+    if (missing) {
+      return res.status(404).json({ error: `Query pack '${missing}' not found` });
+    }
+
+    try {
+      const queryPackDiff = new QueryPackDiff(this.logger, this.queryPackStore.queryParser);
+      res.json(await queryPackDiff.compare(packs[0], packs[1]));
+    } catch (error) {
+      this.logger.error('Failed to compare query packs', error);
+      res.status(500).json({ error: 'Failed to compare query packs' });
+    }
+  }
+
+  async getQueryIdMap(req, res) {
+    try {
+      const queryParser = new QueryParser(this.logger, null, QueryParser.optionsFromConfig(this.config));
+      res.json(await queryParser.buildQueryIdMap());
+    } catch (error) {
+      this.logger.error('Failed to build query id map', error);
+      res.status(500).json({ error: 'Failed to build query id map' });
+    }
+  }
+
+  getActiveDiagnostics(req, res) {
+    const runs = Array.from(this.activeRuns.values()).map(run => run.runner.getStatus());
+    res.json(runs);
+  }
+
+  cancelDiagnostic(req, res) {
+    const { runId } = req.params;
+    const run = this.activeRuns.get(runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Diagnostic run not found' });
+    }
+
+    run.runner.cancel('Cancelled via API');
+
+    res.status(202).json({
+      success: true,
+      runId
+    });
+  }
+
+  getFleetJobs(req, res) {
+    const jobs = Array.from(this.fleetJobs.values()).map(job => {
+      const { servers, ...status } = job.runner.getStatus();
+      return { ...status, serverCount: servers.length };
+    });
+    res.json(jobs);
+  }
+
+  /**
+   * Starts a fleet job in the background and answers straight away; follow
+   * it with GET /api/fleet/:jobId.
+   */
+  async startFleetJob(req, res) {
+    const selection = {
+      serverIds: req.body.serverIds,
+      group: req.body.group,
+      environment: req.body.environment
+    };
+
+    let targets;
+    let queryOptions;
+    try {
+      queryOptions = ConfigManager.normalizeRunOptions(req.body.queryOptions);
+      targets = await this.serverInventory.resolveTargets(selection);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const runner = new FleetRunner(this.config, this.logger);
+    this.fleetJobs.set(runner.id, { runner, socketId: null });
+
+    runner.run({
+      targets,
+      selection,
+      aiConfig: req.body.aiConfig,
+      queryOptions
+    }).catch(error => this.logger.error(`Fleet job ${runner.id} failed`, error));
+
+    res.status(202).json({
+      jobId: runner.id,
+      servers: targets.map(target => target.inventory)
+    });
+  }
+
+  getFleetJob(req, res) {
+    const job = this.fleetJobs.get(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Fleet job not found' });
+    }
+
+    res.json(job.runner.getStatus());
+  }
+
+  cancelFleetJob(req, res) {
+    const { jobId } = req.params;
+    const job = this.fleetJobs.get(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Fleet job not found' });
+    }
+
+    job.runner.cancel('Cancelled via API');
+
+    res.status(202).json({
+      success: true,
+      jobId
+    });
+  }
+
   async getReports(req, res) {
     try {
       const reportsDir = path.join(this.config.dataDir, 'reports');
@@ -179,13 +588,33 @@ class ApiRoutes {
             const report = await fs.readJson(reportPath);
             const stats = await fs.stat(reportPath);
             
+            if (req.query.serverId && report.inventory?.id !== req.query.serverId) {
+              continue;
+            }
+
+            if (report.type === 'fleet') {
+              reports.push({
+                id: path.basename(file, '.json'),
+                type: 'fleet',
+                serverName: `Fleet (${report.servers.length} servers)`,
+                timestamp: report.timestamp,
+                size: stats.size,
+                serverCount: report.servers.length,
+                cancelled: !!report.executionSummary?.cancelReason
+              });
+              continue;
+            }
+
             reports.push({
               id: path.basename(file, '.json'),
+              type: 'diagnostic',
               serverName: report.serverInfo?.serverName,
+              inventory: report.inventory || null,
               version: report.serverInfo?.version,
               timestamp: report.timestamp,
               size: stats.size,
               queryCount: report.executionSummary?.totalQueries,
+              cancelled: !!report.executionSummary?.cancelled,
               hasAI: !!report.aiInsights
             });
           } catch (error) {
@@ -311,7 +740,9 @@ class ApiRoutes {
       }
 
       const files = await fs.readdir(reportsDir);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
+
+      // Fleet roll-ups are not single-server reports
+      const jsonFiles = files.filter(f => f.endsWith('.json') && !f.startsWith('fleet-'));
 
       if (jsonFiles.length === 0) {
         return res.status(404).json({ error: 'No reports found' });
@@ -404,7 +835,9 @@ class ApiRoutes {
       }
 
       const files = await fs.readdir(reportsDir);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
+
+      // Fleet roll-ups are not single-server reports
+      const jsonFiles = files.filter(f => f.endsWith('.json') && !f.startsWith('fleet-'));
 
       if (jsonFiles.length === 0) {
         return null;
@@ -433,8 +866,10 @@ class ApiRoutes {
       const report = await fs.readJson(reportPath);
       const reportGenerator = new ReportGenerator(this.config, this.logger);
 
-      // Generate HTML content
-      const htmlContent = reportGenerator.buildHTMLReport(report);
+      // Generate HTML content; fleet roll-ups link to each server's report route
+      const htmlContent = reportGenerator.buildHTMLReport(report, {
+        reportHref: serverReportId => `../../${serverReportId}/export/html`
+      });
 
       // Check if download is requested via query parameter
       const forceDownload = req.query.download === 'true';
@@ -172,6 +172,10 @@ class WebRoutes {
             text-align: center;
             color: #666;
         }
+
+        #cancelBtn {
+            margin-top: 0.75rem;
+        }
         
         .results {
             margin-top: 2rem;
@@ -321,6 +325,43 @@ class WebRoutes {
             background: #dc3545;
         }
 
+        .query-checklist {
+            display: none;
+            max-height: 320px;
+            overflow-y: auto;
+            margin-top: 10px;
+            padding: 10px;
+            border: 2px solid #e1e5e9;
+            border-radius: 6px;
+        }
+
+        .checklist-section {
+            margin-bottom: 8px;
+        }
+
+        .checklist-section > label {
+            font-weight: 600;
+        }
+
+        .checklist-queries {
+            margin-left: 1.5rem;
+            font-size: 0.9rem;
+        }
+
+        .checklist-queries label,
+        .checklist-section > label {
+            display: block;
+            margin: 2px 0;
+            cursor: pointer;
+        }
+
+        .checklist-actions {
+            display: flex;
+            gap: 10px;
+            margin-bottom: 8px;
+            font-size: 0.875rem;
+        }
+
         @keyframes slideIn {
             from {
                 transform: translateX(100%);
@@ -341,9 +382,48 @@ class WebRoutes {
         </div>
         
         <form id="diagnosticForm">
+            <div class="form-group">
+                <label for="savedServer">Saved Server</label>
+                <select id="savedServer" name="savedServer">
+                    <option value="">Enter connection details below</option>
+                </select>
+                <button type="button" class="btn btn-secondary btn-sm" id="deleteServerBtn" style="display: none;">
+                    🗑️ Remove Saved Server
+                </button>
+            </div>
+
+            <details class="form-group" id="fleetPanel">
+                <summary>Run Against a Fleet</summary>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="fleetGroup">Group</label>
+                        <select id="fleetGroup">
+                            <option value="">Any group</option>
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="fleetEnvironment">Environment</label>
+                        <select id="fleetEnvironment">
+                            <option value="">Any environment</option>
+                        </select>
+                    </div>
+                </div>
+
+                <button type="button" class="btn btn-secondary btn-sm" id="fleetRunBtn">
+                    🛰️ Run on Matching Saved Servers
+                </button>
+                <button type="button" class="btn btn-secondary btn-sm" id="fleetCancelBtn" style="display: none;">
+                    ⏹️ Cancel Fleet Job
+                </button>
+                <div id="fleetStatus"></div>
+            </details>
+
+            <div id="manualConnection">
             <div class="form-group">
                 <label for="server">SQL Server Instance</label>
-                <input type="text" id="server" name="server" placeholder="localhost" required>
+                <input type="text" id="server" name="server" placeholder="localhost, HOST\\INSTANCE or HOST,PORT">
             </div>
             
             <div class="form-row">
@@ -357,24 +437,180 @@ class WebRoutes {
                     <select id="authType" name="authType">
                         <option value="sql">SQL Server Authentication</option>
                         <option value="windows">Windows Authentication</option>
+                        <option value="ntlm">Windows Domain Credentials (NTLM)</option>
+                        <option value="azure-ad-password">Azure AD Password</option>
+                        <option value="azure-ad-service-principal">Azure AD Service Principal</option>
+                        <option value="azure-ad-managed-identity">Azure AD Managed Identity</option>
+                        <option value="azure-ad-access-token">Azure AD Access Token</option>
                     </select>
                 </div>
             </div>
             
-            <div id="sqlAuth">
+            <div id="authFields">
                 <div class="form-row">
-                    <div class="form-group">
+                    <div class="form-group" data-auth="ntlm">
+                        <label for="domain">Domain</label>
+                        <input type="text" id="domain" name="domain" placeholder="CONTOSO">
+                    </div>
+
+                    <div class="form-group" data-auth="sql ntlm azure-ad-password">
                         <label for="username">Username</label>
                         <input type="text" id="username" name="username" placeholder="sa">
                     </div>
                     
-                    <div class="form-group">
+                    <div class="form-group" data-auth="sql ntlm azure-ad-password">
                         <label for="password">Password</label>
                         <input type="password" id="password" name="password">
                     </div>
                 </div>
+
+                <div class="form-row">
+                    <div class="form-group" data-auth="azure-ad-password azure-ad-service-principal">
+                        <label for="tenantId">Tenant ID</label>
+                        <input type="text" id="tenantId" name="tenantId">
+                    </div>
+
+                    <div class="form-group" data-auth="azure-ad-password azure-ad-service-principal azure-ad-managed-identity">
+                        <label for="clientId">Client ID</label>
+                        <input type="text" id="clientId" name="clientId" placeholder="Optional for password and managed identity">
+                    </div>
+
+                    <div class="form-group" data-auth="azure-ad-service-principal">
+                        <label for="clientSecret">Client Secret</label>
+                        <input type="password" id="clientSecret" name="clientSecret">
+                    </div>
+                </div>
+
+                <div class="form-group" data-auth="azure-ad-access-token">
+                    <label for="token">Access Token</label>
+                    <input type="password" id="token" name="token">
+                </div>
             </div>
             
+            <details class="form-group" id="connectionOptions">
+                <summary>Connection Options</summary>
+
+                <div class="form-group">
+                    <label for="connectionString">Connection String</label>
+                    <input type="text" id="connectionString" name="connectionString" placeholder="Server=tcp:sql01,14330;Database=master;ApplicationIntent=ReadOnly">
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="port">Port</label>
+                        <input type="number" id="port" name="port" min="1" max="65535" placeholder="1433">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="instanceName">Instance Name</label>
+                        <input type="text" id="instanceName" name="instanceName" placeholder="MSSQLSERVER">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="applicationName">Application Name</label>
+                        <input type="text" id="applicationName" name="applicationName" placeholder="glenberry-sql-diagnostic-tool">
+                    </div>
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="applicationIntent">Application Intent</label>
+                        <select id="applicationIntent" name="applicationIntent">
+                            <option value="ReadWrite">ReadWrite</option>
+                            <option value="ReadOnly">ReadOnly (readable secondary)</option>
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="multiSubnetFailover">MultiSubnetFailover</label>
+                        <select id="multiSubnetFailover" name="multiSubnetFailover">
+                            <option value="false">No</option>
+                            <option value="true">Yes</option>
+                        </select>
+                    </div>
+                </div>
+            </details>
+
+            <details class="form-group" id="saveServerPanel">
+                <summary>Save to Server Inventory</summary>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="inventoryName">Name</label>
+                        <input type="text" id="inventoryName" placeholder="sales-prod-01">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="inventoryEnvironment">Environment</label>
+                        <select id="inventoryEnvironment">
+                            <option value="prod">prod</option>
+                            <option value="test">test</option>
+                            <option value="dev">dev</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="inventoryOwner">Owner</label>
+                        <input type="text" id="inventoryOwner" placeholder="dba-team">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="inventoryGroup">Group</label>
+                        <input type="text" id="inventoryGroup" placeholder="Sales">
+                    </div>
+                </div>
+
+                <button type="button" class="btn btn-secondary btn-sm" id="saveServerBtn">
+                    💾 Save Server
+                </button>
+            </details>
+            </div>
+
+            <div class="form-group">
+                <label>Query Selection</label>
+                <button type="button" class="btn btn-secondary btn-sm" id="loadQueriesBtn">
+                    📋 Choose Sections &amp; Queries
+                </button>
+                <div class="query-checklist" id="queryChecklist"></div>
+            </div>
+
+            <details class="form-group" id="queryPacksPanel">
+                <summary>Query Packs</summary>
+
+                <div id="installedPacks"></div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="packFile">Upload Pack (.sql)</label>
+                        <input type="file" id="packFile" accept=".sql">
+                    </div>
+                </div>
+
+                <button type="button" class="btn btn-secondary btn-sm" id="previewPackBtn">
+                    🔍 Preview Pack
+                </button>
+
+                <div id="packPreview" style="display: none;">
+                    <div id="packPreviewSummary"></div>
+
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="packVersion">Activate for SQL Server Version</label>
+                            <select id="packVersion"></select>
+                        </div>
+                    </div>
+
+                    <button type="button" class="btn btn-secondary btn-sm" id="activatePackBtn">
+                        ✅ Activate Pack
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" id="discardPackBtn">
+                        🗑️ Discard Upload
+                    </button>
+                </div>
+            </details>
+
             <div class="form-buttons">
                 <button type="submit" class="btn btn-primary" id="runBtn">
                     🚀 Run Diagnostic Analysis
@@ -389,6 +625,9 @@ class WebRoutes {
                     <div class="progress-fill" id="progressFill"></div>
                 </div>
                 <div class="progress-text" id="progressText">Initializing...</div>
+                <button type="button" class="btn btn-secondary btn-sm" id="cancelBtn">
+                    ⏹️ Cancel Diagnostic
+                </button>
             </div>
         </form>
         
@@ -405,19 +644,28 @@ class WebRoutes {
         const progressText = document.getElementById('progressText');
         const results = document.getElementById('results');
         const authType = document.getElementById('authType');
-        const sqlAuth = document.getElementById('sqlAuth');
+        const authFields = document.querySelectorAll('#authFields [data-auth]');
+        const savedServer = document.getElementById('savedServer');
+        const lastSavedServer = JSON.parse(localStorage.getItem('sqlDiagnosticFormData') || '{}').savedServer || '';
         
         // Load saved form values
         loadFormValues();
 
         // Toggle authentication fields
         authType.addEventListener('change', function() {
-            sqlAuth.style.display = this.value === 'sql' ? 'block' : 'none';
+            authFields.forEach(field => {
+                field.style.display = field.dataset.auth.split(' ').includes(this.value) ? 'block' : 'none';
+            });
             saveFormValues(); // Save when auth type changes
         });
+        authType.dispatchEvent(new Event('change'));
+
+        // Saved servers load asynchronously, so the last selection is restored afterwards
+        loadSavedServers(lastSavedServer);
 
         // Save form values when they change
-        ['server', 'database', 'username', 'password'].forEach(fieldName => {
+        ['server', 'database', 'username', 'domain', 'tenantId', 'clientId',
+            'port', 'instanceName', 'applicationName', 'applicationIntent', 'multiSubnetFailover'].forEach(fieldName => {
             const field = document.getElementById(fieldName);
             if (field) {
                 field.addEventListener('input', saveFormValues);
@@ -428,7 +676,29 @@ class WebRoutes {
         // Handle form submission
         form.addEventListener('submit', function(e) {
             e.preventDefault();
-            
+
+            if (!savedServer.value && !document.getElementById('server').value && !document.getElementById('connectionString').value) {
+                showNotification('Enter a server or a connection string', 'error');
+                return;
+            }
+
+            const selection = buildQuerySelection();
+            if (selection && selection.sections.length === 0 && selection.queryIds.length === 0) {
+                showNotification('Select at least one query to run', 'error');
+                return;
+            }
+
+            startDiagnostic(buildConnectionConfig(), selection);
+        });
+
+        document.getElementById('loadQueriesBtn').addEventListener('click', loadQueryChecklist);
+
+        // Saved servers are referenced by id; their credentials stay on the server
+        function buildConnectionConfig() {
+            return savedServer.value ? { serverId: savedServer.value } : buildManualConnectionConfig();
+        }
+
+        function buildManualConnectionConfig() {
             const formData = new FormData(form);
             const connectionConfig = {
                 server: formData.get('server'),
@@ -437,29 +707,554 @@ class WebRoutes {
                     type: formData.get('authType')
                 }
             };
-            
-            if (formData.get('authType') === 'sql') {
-                connectionConfig.authentication.username = formData.get('username');
-                connectionConfig.authentication.password = formData.get('password');
+
+            ['connectionString', 'instanceName', 'applicationName'].forEach(fieldName => {
+                if (formData.get(fieldName)) {
+                    connectionConfig[fieldName] = formData.get(fieldName);
+                }
+            });
+            if (formData.get('port')) {
+                connectionConfig.port = parseInt(formData.get('port'));
             }
-            
-            startDiagnostic(connectionConfig);
+            connectionConfig.applicationIntent = formData.get('applicationIntent');
+            connectionConfig.multiSubnetFailover = formData.get('multiSubnetFailover') === 'true';
+
+            // Only send the fields the selected authentication type uses
+            authFields.forEach(field => {
+                if (field.style.display !== 'none') {
+                    const input = field.querySelector('input');
+                    if (input.value) {
+                        connectionConfig.authentication[input.name] = input.value;
+                    }
+                }
+            });
+
+            return connectionConfig;
+        }
+
+        async function loadSavedServers(selectedId) {
+            try {
+                const response = await fetch('/api/servers');
+                const servers = await response.json();
+                if (!response.ok) {
+                    throw new Error(servers.error);
+                }
+
+                savedServer.querySelectorAll('optgroup').forEach(group => group.remove());
+
+                const groups = {};
+                servers.forEach(entry => {
+                    const groupName = entry.group || 'Ungrouped';
+                    if (!groups[groupName]) {
+                        groups[groupName] = document.createElement('optgroup');
+                        groups[groupName].label = groupName;
+                        savedServer.appendChild(groups[groupName]);
+                    }
+
+                    const option = document.createElement('option');
+                    option.value = entry.id;
+                    option.textContent = entry.name + (entry.environment ? ' (' + entry.environment + ')' : '');
+                    groups[groupName].appendChild(option);
+                });
+
+                if (selectedId !== undefined) {
+                    savedServer.value = selectedId;
+                }
+                savedServer.dispatchEvent(new Event('change'));
+
+                fillFleetOptions('fleetGroup', servers.map(entry => entry.group));
+                fillFleetOptions('fleetEnvironment', servers.map(entry => entry.environment));
+            } catch (error) {
+                showNotification('Could not load saved servers: ' + error.message, 'error');
+            }
+        }
+
+        savedServer.addEventListener('change', function() {
+            document.getElementById('manualConnection').style.display = this.value ? 'none' : 'block';
+            document.getElementById('deleteServerBtn').style.display = this.value ? 'inline-block' : 'none';
+            saveFormValues();
         });
-        
-        function startDiagnostic(connectionConfig) {
+
+        document.getElementById('saveServerBtn').addEventListener('click', async function() {
+            const entry = {
+                name: document.getElementById('inventoryName').value,
+                environment: document.getElementById('inventoryEnvironment').value,
+                owner: document.getElementById('inventoryOwner').value,
+                group: document.getElementById('inventoryGroup').value,
+                connection: buildManualConnectionConfig()
+            };
+
+            try {
+                const response = await fetch('/api/servers', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(entry)
+                });
+                const saved = await response.json();
+                if (!response.ok) {
+                    throw new Error(saved.error);
+                }
+
+                showNotification('💾 Saved ' + saved.name + ' to the server inventory', 'success');
+                await loadSavedServers(saved.id);
+            } catch (error) {
+                showNotification('Could not save server: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('deleteServerBtn').addEventListener('click', async function() {
+            const name = savedServer.options[savedServer.selectedIndex].textContent;
+            if (!confirm('Remove ' + name + ' from the server inventory?')) {
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/servers/' + encodeURIComponent(savedServer.value), { method: 'DELETE' });
+                if (!response.ok) {
+                    throw new Error((await response.json()).error);
+                }
+
+                showNotification('🗑️ Removed ' + name, 'info');
+                await loadSavedServers('');
+            } catch (error) {
+                showNotification('Could not remove server: ' + error.message, 'error');
+            }
+        });
+
+        function fillFleetOptions(selectId, values) {
+            const select = document.getElementById(selectId);
+            const current = select.value;
+            while (select.options.length > 1) {
+                select.remove(1);
+            }
+            Array.from(new Set(values.filter(Boolean))).sort().forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+            select.value = current;
+        }
+
+        let currentFleetJobId = null;
+        const fleetServers = [];
+
+        document.getElementById('fleetRunBtn').addEventListener('click', function() {
+            const group = document.getElementById('fleetGroup').value;
+            const environment = document.getElementById('fleetEnvironment').value;
+            if (!group && !environment) {
+                showNotification('Choose a group or an environment for the fleet job', 'error');
+                return;
+            }
+
+            const queryOptions = {};
+            const selection = buildQuerySelection();
+            if (selection) {
+                queryOptions.include = selection;
+            }
+
+            this.disabled = true;
+            document.getElementById('fleetStatus').innerHTML = '<p>Starting fleet job...</p>';
+            socket.emit('start-fleet', { group: group || undefined, environment: environment || undefined, queryOptions });
+        });
+
+        document.getElementById('fleetCancelBtn').addEventListener('click', function() {
+            this.disabled = true;
+            socket.emit('cancel-fleet', { jobId: currentFleetJobId });
+        });
+
+        function renderFleetStatus(reportId) {
+            const status = document.getElementById('fleetStatus');
+            status.innerHTML = reportId ? '<p><a href="/api/reports/' + encodeURIComponent(reportId) + '/export/html" target="_blank" class="btn btn-primary btn-sm">📄 View Fleet Roll-up</a></p>' : '';
+
+            // Names and errors come from the inventory and the servers, so they only ever go in as text
+            const table = document.createElement('table');
+            table.innerHTML = '<thead><tr><th>Server</th><th>Status</th><th>Detail</th><th></th></tr></thead>';
+            const rows = table.createTBody();
+            fleetServers.forEach(server => {
+                const row = rows.insertRow();
+                [server.inventory ? server.inventory.name : server.server, server.status, server.error || server.message || '']
+                    .forEach(text => { row.insertCell().textContent = text; });
+
+                const reportCell = row.insertCell();
+                if (server.reportId) {
+                    const link = document.createElement('a');
+                    link.href = '/api/reports/' + encodeURIComponent(server.reportId) + '/export/html';
+                    link.target = '_blank';
+                    link.textContent = 'Report';
+                    reportCell.appendChild(link);
+                }
+            });
+            status.appendChild(table);
+        }
+
+        function resetFleetState() {
+            currentFleetJobId = null;
+            document.getElementById('fleetRunBtn').disabled = false;
+            document.getElementById('fleetCancelBtn').style.display = 'none';
+            document.getElementById('fleetCancelBtn').disabled = false;
+        }
+
+        socket.on('fleet-started', function(data) {
+            currentFleetJobId = data.jobId;
+            fleetServers.length = 0;
+            data.servers.forEach(inventory => fleetServers.push({ inventory, status: 'pending' }));
+            document.getElementById('fleetCancelBtn').style.display = 'inline-block';
+            renderFleetStatus();
+        });
+
+        socket.on('fleet-progress', function(data) {
+            if (data.index !== undefined) {
+                fleetServers[data.index] = data.server;
+                renderFleetStatus();
+            }
+        });
+
+        socket.on('fleet-complete', function(data) {
+            resetFleetState();
+            data.servers.forEach((server, index) => { fleetServers[index] = server; });
+            renderFleetStatus(data.reportId);
+            showNotification('🛰️ Fleet job finished: ' + data.counts.completed + ' completed, ' + data.counts.failed + ' failed', 'success');
+        });
+
+        socket.on('fleet-cancelled', function(data) {
+            resetFleetState();
+            data.servers.forEach((server, index) => { fleetServers[index] = server; });
+            renderFleetStatus(data.reportId);
+            showNotification('⏹️ Fleet job cancelled - partial roll-up saved', 'info');
+        });
+
+        socket.on('fleet-error', function(data) {
+            resetFleetState();
+            document.getElementById('fleetStatus').innerHTML = '';
+            showNotification('Fleet job failed: ' + data.error, 'error');
+        });
+
+        let stagedPack = null;
+
+        document.getElementById('queryPacksPanel').addEventListener('toggle', function() {
+            if (this.open) {
+                loadQueryPacks();
+            }
+        });
+
+        async function loadQueryPacks() {
+            try {
+                const response = await fetch('/api/query-packs');
+                const packs = await response.json();
+                if (!response.ok) {
+                    throw new Error(packs.error);
+                }
+
+                const packVersion = document.getElementById('packVersion');
+                packVersion.innerHTML = '';
+                packs.versions.forEach(version => packVersion.add(new Option(version, version)));
+
+                const integrityLabels = {
+                    verified: '✅ Verified',
+                    mismatch: '❌ Checksum mismatch',
+                    unrecorded: '⚠️ No checksum in manifest'
+                };
+
+                const installed = document.getElementById('installedPacks');
+                installed.innerHTML = '<p>Checksum verification: <strong></strong> · Online download of missing packs: <strong></strong></p>';
+                const [integrityMode, onlineFallback] = installed.querySelectorAll('strong');
+                integrityMode.textContent = packs.settings.packIntegrity;
+                onlineFallback.textContent = packs.settings.onlineFallback ? 'enabled' : 'disabled';
+
+                if (packs.installed.length === 0) {
+                    installed.insertAdjacentHTML('beforeend', '<p>No query packs installed. Run <code>npm run download-queries</code> or upload a pack below.</p>');
+                } else {
+                    // File names come from uploads and the manifest, so they only ever go in as text
+                    const table = document.createElement('table');
+                    table.innerHTML = '<thead><tr><th>Version</th><th>File</th><th>Source</th><th>Integrity</th><th>Updated</th><th></th></tr></thead>';
+                    const rows = table.createTBody();
+                    packs.installed.forEach(pack => {
+                        const row = rows.insertRow();
+                        [
+                            pack.version,
+                            pack.filename,
+                            pack.manifest && pack.manifest.source === 'upload' ? 'Uploaded (' + pack.manifest.originalName + ')' : 'Downloaded',
+                            integrityLabels[pack.integrity.status],
+                            new Date(pack.modifiedAt).toLocaleString()
+                        ].forEach(text => { row.insertCell().textContent = text; });
+                        row.cells[3].title = 'sha256 ' + pack.integrity.actual;
+
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.className = 'btn btn-secondary btn-sm';
+                        button.dataset.deletePack = pack.version;
+                        button.textContent = 'Delete';
+                        row.insertCell().appendChild(button);
+                    });
+                    installed.appendChild(table);
+                }
+
+                document.querySelectorAll('[data-delete-pack]').forEach(button => {
+                    button.addEventListener('click', () => deleteQueryPack(button.dataset.deletePack));
+                });
+            } catch (error) {
+                showNotification('Could not load query packs: ' + error.message, 'error');
+            }
+        }
+
+        document.getElementById('previewPackBtn').addEventListener('click', async function() {
+            const file = document.getElementById('packFile').files[0];
+            if (!file) {
+                showNotification('Choose a .sql query pack to upload', 'error');
+                return;
+            }
+
+            const body = new FormData();
+            body.append('pack', file);
+
+            try {
+                const response = await fetch('/api/query-packs/uploads', { method: 'POST', body });
+                const upload = await response.json();
+                if (!response.ok) {
+                    throw new Error(upload.error);
+                }
+
+                stagedPack = upload;
+                const summary = document.getElementById('packPreviewSummary');
+                summary.innerHTML = '<p><strong></strong><span></span></p><ul></ul>';
+                summary.querySelector('strong').textContent = upload.originalName;
+                summary.querySelector('span').textContent = ': ' + upload.queryCount + ' queries' +
+                    (upload.detectedVersion ? ', looks like SQL Server ' + upload.detectedVersion : '');
+                const sections = summary.querySelector('ul');
+                upload.sections.forEach(section => {
+                    const item = document.createElement('li');
+                    item.textContent = section.name + ' (' + section.queryCount + ')';
+                    sections.appendChild(item);
+                });
+
+                if (upload.detectedVersion) {
+                    document.getElementById('packVersion').value = upload.detectedVersion;
+                }
+                document.getElementById('packPreview').style.display = 'block';
+            } catch (error) {
+                showNotification('Could not read query pack: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('activatePackBtn').addEventListener('click', async function() {
+            const version = document.getElementById('packVersion').value;
+
+            try {
+                const response = await fetch('/api/query-packs/uploads/' + stagedPack.uploadId + '/activate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ version })
+                });
+                const activated = await response.json();
+                if (!response.ok) {
+                    throw new Error(activated.error);
+                }
+
+                showNotification('✅ ' + (activated.replaced ? 'Replaced' : 'Installed') + ' the SQL Server ' + version + ' query pack', 'success');
+                resetPackUpload();
+                await loadQueryPacks();
+            } catch (error) {
+                showNotification('Could not activate query pack: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('discardPackBtn').addEventListener('click', async function() {
+            try {
+                await fetch('/api/query-packs/uploads/' + stagedPack.uploadId, { method: 'DELETE' });
+            } finally {
+                resetPackUpload();
+            }
+        });
+
+        async function deleteQueryPack(version) {
+            if (!confirm('Delete the SQL Server ' + version + ' query pack?')) {
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/query-packs/' + encodeURIComponent(version), { method: 'DELETE' });
+                if (!response.ok) {
+                    throw new Error((await response.json()).error);
+                }
+
+                showNotification('🗑️ Deleted the SQL Server ' + version + ' query pack', 'info');
+                await loadQueryPacks();
+            } catch (error) {
+                showNotification('Could not delete query pack: ' + error.message, 'error');
+            }
+        }
+
+        function resetPackUpload() {
+            stagedPack = null;
+            document.getElementById('packFile').value = '';
+            document.getElementById('packPreview').style.display = 'none';
+        }
+
+        async function loadQueryChecklist() {
+            const loadBtn = document.getElementById('loadQueriesBtn');
+
+            loadBtn.disabled = true;
+            loadBtn.textContent = '⏳ Loading queries...';
+
+            try {
+                // The query pack depends on the server version, so connect first
+                const connectionResponse = await fetch('/api/test-connection', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(buildConnectionConfig())
+                });
+                const connection = await connectionResponse.json();
+                if (!connection.success) {
+                    throw new Error(connection.error);
+                }
+
+                const queriesResponse = await fetch('/api/queries/' + (connection.serverInfo.queryPackVersion || connection.serverInfo.majorVersion));
+                const pack = await queriesResponse.json();
+                if (!queriesResponse.ok) {
+                    throw new Error(pack.error);
+                }
+
+                renderQueryChecklist(pack.queries);
+            } catch (error) {
+                showNotification('Could not load queries: ' + error.message, 'error');
+            } finally {
+                loadBtn.disabled = false;
+                loadBtn.textContent = '📋 Choose Sections & Queries';
+            }
+        }
+
+        // Section and query names come from query packs, which can be uploaded
+        function escapeHtml(value) {
+            const element = document.createElement('div');
+            element.textContent = String(value);
+            return element.innerHTML.replace(/"/g, '&quot;');
+        }
+
+        function renderQueryChecklist(queries) {
+            const checklist = document.getElementById('queryChecklist');
+            const sections = groupResultsBySection(queries);
+
+            checklist.innerHTML = \`
+                <div class="checklist-actions">
+                    <a href="#" id="selectAllQueries">Select all</a>
+                    <a href="#" id="selectNoQueries">Select none</a>
+                </div>
+                \${Object.keys(sections).map(sectionName => \`
+                    <div class="checklist-section">
+                        <label>
+                            <input type="checkbox" class="section-check" data-section="\${escapeHtml(sectionName)}" checked>
+                            \${escapeHtml(sectionName)} (\${sections[sectionName].length})
+                        </label>
+                        <div class="checklist-queries">
+                            \${sections[sectionName].map(query => \`
+                                <label>
+                                    <input type="checkbox" class="query-check" data-section="\${escapeHtml(sectionName)}" value="\${escapeHtml(query.id)}" checked>
+                                    \${escapeHtml(query.name)}
+                                </label>
+                            \`).join('')}
+                        </div>
+                    </div>
+                \`).join('')}
+            \`;
+
+            checklist.querySelectorAll('.section-check').forEach(sectionCheck => {
+                sectionCheck.addEventListener('change', function() {
+                    checklist.querySelectorAll('.query-check').forEach(queryCheck => {
+                        if (queryCheck.dataset.section === this.dataset.section) {
+                            queryCheck.checked = this.checked;
+                        }
+                    });
+                });
+            });
+
+            checklist.querySelectorAll('.query-check').forEach(queryCheck => {
+                queryCheck.addEventListener('change', function() {
+                    const siblings = Array.from(checklist.querySelectorAll('.query-check'))
+                        .filter(check => check.dataset.section === this.dataset.section);
+                    const sectionCheck = Array.from(checklist.querySelectorAll('.section-check'))
+                        .find(check => check.dataset.section === this.dataset.section);
+                    sectionCheck.checked = siblings.every(check => check.checked);
+                    sectionCheck.indeterminate = !sectionCheck.checked && siblings.some(check => check.checked);
+                });
+            });
+
+            const setAll = (checked) => (e) => {
+                e.preventDefault();
+                checklist.querySelectorAll('input[type="checkbox"]').forEach(check => {
+                    check.checked = checked;
+                    check.indeterminate = false;
+                });
+            };
+            document.getElementById('selectAllQueries').addEventListener('click', setAll(true));
+            document.getElementById('selectNoQueries').addEventListener('click', setAll(false));
+
+            checklist.style.display = 'block';
+        }
+
+        function buildQuerySelection() {
+            const checklist = document.getElementById('queryChecklist');
+            const queryChecks = Array.from(checklist.querySelectorAll('.query-check'));
+
+            // No checklist loaded, or everything ticked: run the full pack
+            if (queryChecks.length === 0 || queryChecks.every(check => check.checked)) {
+                return null;
+            }
+
+            const sections = [];
+            const queryIds = [];
+
+            checklist.querySelectorAll('.section-check').forEach(sectionCheck => {
+                const sectionQueries = queryChecks.filter(check => check.dataset.section === sectionCheck.dataset.section);
+                if (sectionQueries.every(check => check.checked)) {
+                    sections.push(sectionCheck.dataset.section);
+                } else {
+                    sectionQueries.filter(check => check.checked).forEach(check => queryIds.push(check.value));
+                }
+            });
+
+            return { sections, queryIds };
+        }
+
+        function startDiagnostic(connectionConfig, selection) {
             runBtn.disabled = true;
             runBtn.textContent = '⏳ Running...';
             progress.style.display = 'block';
             results.style.display = 'none';
-            
+
+            // Timeouts and the AI provider come from the server's configuration
+            const queryOptions = {};
+            if (selection) {
+                queryOptions.include = selection;
+            }
+
             socket.emit('start-diagnostic', {
                 connectionConfig,
-                aiConfig: { provider: 'none' },
-                queryOptions: { timeout: 30000 }
+                queryOptions
             });
         }
         
+        let currentRunId = null;
+
+        document.getElementById('cancelBtn').addEventListener('click', function() {
+            this.disabled = true;
+            progressText.textContent = 'Cancelling...';
+            socket.emit('cancel-diagnostic', { runId: currentRunId });
+        });
+
+        function resetRunState() {
+            currentRunId = null;
+            runBtn.disabled = false;
+            runBtn.textContent = '🚀 Run Diagnostic Analysis';
+            progress.style.display = 'none';
+            document.getElementById('cancelBtn').disabled = false;
+        }
+
         // Socket event handlers
+        socket.on('diagnostic-started', function(data) {
+            currentRunId = data.runId;
+        });
+
         socket.on('diagnostic-progress', function(data) {
             progressText.textContent = data.message;
             
@@ -469,18 +1264,22 @@ class WebRoutes {
         });
         
         socket.on('diagnostic-complete', function(data) {
-            runBtn.disabled = false;
-            runBtn.textContent = '🚀 Run Diagnostic Analysis';
-            progress.style.display = 'none';
-            
+            resetRunState();
             showResults(data);
         });
-        
+
+        socket.on('diagnostic-cancelled', function(data) {
+            resetRunState();
+
+            if (data.reportId) {
+                showResults(data);
+            } else {
+                showError(data.message);
+            }
+        });
+
         socket.on('diagnostic-error', function(data) {
-            runBtn.disabled = false;
-            runBtn.textContent = '🚀 Run Diagnostic Analysis';
-            progress.style.display = 'none';
-            
+            resetRunState();
             showError(data.error);
         });
         
@@ -500,10 +1299,17 @@ class WebRoutes {
             }).join('');
 
             results.innerHTML = \`
-                <div class="alert alert-success">
-                    <strong>✅ Diagnostic completed successfully!</strong><br>
+                <div class="alert \${data.executionSummary.cancelled || data.executionSummary.aborted ? 'alert-error' : 'alert-success'}">
+                    <strong>\${data.executionSummary.cancelled
+                        ? '⏹️ Diagnostic cancelled - partial report saved'
+                        : data.executionSummary.aborted
+                            ? '⛔ Diagnostic stopped after a failed query - partial report saved'
+                            : '✅ Diagnostic completed successfully!'}</strong><br>
                     Server: \${data.serverInfo.serverName} (\${data.serverInfo.version})<br>
+                    \${data.serverInfo.connection ? \`Connection: \${describeConnection(data.serverInfo.connection)}<br>\` : ''}
                     Queries executed: \${data.executionSummary.successful}/\${data.executionSummary.totalQueries}<br>
+                    \${data.executionSummary.skipped ? \`Queries skipped: \${data.executionSummary.skipped}<br>\` : ''}
+                    \${data.executionSummary.blocked ? \`Blocked by the read-only guard: \${data.executionSummary.blocked}<br>\` : ''}
                     Execution time: \${Math.round(data.executionSummary.executionTime / 1000)}s
                 </div>
 
@@ -554,7 +1360,7 @@ class WebRoutes {
 
         function groupResultsBySection(results) {
             return results.reduce((sections, query) => {
-                const section = query.section || 'General';
+                const section = (query.section || 'General') + (query.database ? ' (' + query.database + ')' : '');
                 if (!sections[section]) {
                     sections[section] = [];
                 }
@@ -563,13 +1369,36 @@ class WebRoutes {
             }, {});
         }
 
+        function describeConnection(connection) {
+            let endpoint = connection.server;
+            if (connection.port) {
+                endpoint += ',' + connection.port;
+            } else if (connection.instanceName) {
+                endpoint += '\\\\' + connection.instanceName;
+            }
+
+            const details = [connection.database, connection.applicationIntent];
+            if (connection.updateability) details.push(connection.updateability);
+            if (connection.multiSubnetFailover) details.push('MultiSubnetFailover');
+            return endpoint + ' (' + details.join(', ') + ')';
+        }
+
         function saveFormValues() {
             const formData = {
+                savedServer: document.getElementById('savedServer').value,
                 server: document.getElementById('server').value,
                 database: document.getElementById('database').value,
                 authType: document.getElementById('authType').value,
                 username: document.getElementById('username').value,
-                // Note: We don't save password for security reasons
+                domain: document.getElementById('domain').value,
+                tenantId: document.getElementById('tenantId').value,
+                clientId: document.getElementById('clientId').value,
+                port: document.getElementById('port').value,
+                instanceName: document.getElementById('instanceName').value,
+                applicationName: document.getElementById('applicationName').value,
+                applicationIntent: document.getElementById('applicationIntent').value,
+                multiSubnetFailover: document.getElementById('multiSubnetFailover').value,
+                // Note: We don't save passwords, secrets, tokens or connection strings for security reasons
             };
 
             localStorage.setItem('sqlDiagnosticFormData', JSON.stringify(formData));
@@ -589,7 +1418,10 @@ class WebRoutes {
                         // Trigger the change event to show/hide SQL auth fields
                         document.getElementById('authType').dispatchEvent(new Event('change'));
                     }
-                    if (formData.username) document.getElementById('username').value = formData.username;
+                    ['username', 'domain', 'tenantId', 'clientId', 'port', 'instanceName',
+                        'applicationName', 'applicationIntent', 'multiSubnetFailover'].forEach(fieldName => {
+                        if (formData[fieldName]) document.getElementById(fieldName).value = formData[fieldName];
+                    });
 
                     // Show a brief notification
                     showNotification('✅ Form values restored from previous session', 'success');
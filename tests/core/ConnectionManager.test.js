@@ -0,0 +1,283 @@
+// Stand-in servers: each pool answers as the server it was configured for
+// and tracks its own open/closed state, like a real mssql ConnectionPool
+jest.mock('mssql', () => {
+  const { EventEmitter } = require('events');
+
+  class ConnectionPool extends EventEmitter {
+    constructor(config) {
+      super();
+      this.config = config;
+      this.connected = false;
+      ConnectionPool.instances.push(this);
+    }
+
+    async connect() {
+      await new Promise(resolve => setImmediate(resolve));
+      this.connected = true;
+      return this;
+    }
+
+    async close() {
+      this.connected = false;
+    }
+
+    request() {
+      const pool = this;
+      return {
+        cancel() {},
+        async query() {
+          await new Promise(resolve => setImmediate(resolve));
+          if (!pool.connected) {
+            throw new Error('Connection is closed.');
+          }
+          return { recordset: [{ serverName: pool.config.server, majorVersion: 16, engineEdition: 3 }] };
+        }
+      };
+    }
+  }
+  ConnectionPool.instances = [];
+
+  return { ConnectionPool, connect: jest.fn() };
+});
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const sql = require('mssql');
+const ConnectionManager = require('../../src/core/ConnectionManager');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function manager(server, extra = {}) {
+  return new ConnectionManager({
+    server,
+    authentication: { type: 'sql', username: 'monitor', password: 'secret' },
+    ...extra
+  }, logger);
+}
+
+describe('ConnectionManager', () => {
+  beforeEach(() => {
+    sql.ConnectionPool.instances.length = 0;
+  });
+
+  test('concurrent sessions against two servers get their own pools', async () => {
+    const first = manager('sql-a.example.com');
+    const second = manager('sql-b.example.com');
+
+    await Promise.all([first.connect(), second.connect()]);
+    const [firstRows, secondRows] = await Promise.all([
+      first.executeQuery('SELECT @@SERVERNAME'),
+      second.executeQuery('SELECT @@SERVERNAME')
+    ]);
+
+    expect(sql.connect).not.toHaveBeenCalled();
+    expect(sql.ConnectionPool.instances).toHaveLength(2);
+    expect(firstRows[0].serverName).toBe('sql-a.example.com');
+    expect(secondRows[0].serverName).toBe('sql-b.example.com');
+
+    await Promise.all([first.disconnect(), second.disconnect()]);
+  });
+
+  test('disconnecting one session leaves the other connected', async () => {
+    const first = manager('sql-a.example.com');
+    const second = manager('sql-b.example.com');
+    await Promise.all([first.connect(), second.connect()]);
+
+    await first.disconnect();
+
+    expect(first.isConnectionActive()).toBe(false);
+    expect(second.isConnectionActive()).toBe(true);
+    await expect(second.executeQuery('SELECT @@SERVERNAME')).resolves.toEqual([expect.objectContaining({ serverName: 'sql-b.example.com' })]);
+    await expect(first.executeQuery('SELECT 1')).rejects.toThrow('Not connected to SQL Server');
+
+    await second.disconnect();
+  });
+
+  test('uses the request timeout it is given', async () => {
+    await manager('sql-a.example.com', { requestTimeout: 120000 }).connect();
+    await manager('sql-b.example.com').connect();
+
+    expect(sql.ConnectionPool.instances.map(pool => pool.config.requestTimeout)).toEqual([120000, 30000]);
+  });
+
+  describe('getEncryptionOptions', () => {
+    let certDir;
+
+    beforeEach(async () => {
+      certDir = await fs.mkdtemp(path.join(os.tmpdir(), 'connection-manager-'));
+      await fs.outputFile(path.join(certDir, 'ca.pem'), 'CORPORATE CA');
+      await fs.outputFile(path.join(certDir, 'server.pem'), 'PINNED SERVER CERT');
+    });
+
+    afterEach(async () => {
+      await fs.remove(certDir);
+    });
+
+    const options = encryption => manager('sql-a.example.com', { encryption }).getEncryptionOptions();
+
+    test('encrypts and verifies the certificate by default', async () => {
+      await expect(options(undefined)).resolves.toEqual({ encrypt: true, trustServerCertificate: false });
+    });
+
+    test('trusts the server certificate only when asked to', async () => {
+      await expect(options({ mode: 'mandatory', trustServerCertificate: true }))
+        .resolves.toEqual({ encrypt: true, trustServerCertificate: true });
+    });
+
+    test('strict mode always verifies the certificate', async () => {
+      await expect(options({ mode: 'strict', trustServerCertificate: true }))
+        .resolves.toEqual({ encrypt: 'strict', trustServerCertificate: false });
+    });
+
+    test('optional mode warns that the connection may be unencrypted', async () => {
+      logger.warn.mockClear();
+
+      await expect(options({ mode: 'optional' })).resolves.toEqual({ encrypt: false, trustServerCertificate: false });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Encryption mode is optional'));
+    });
+
+    test('rejects an unknown mode', async () => {
+      await expect(options({ mode: 'on' })).rejects.toThrow("Unknown encryption mode 'on', expected one of: strict, mandatory, optional");
+    });
+
+    test('checks the certificate against another host name when given one', async () => {
+      await expect(options({ hostNameInCertificate: 'sql.corp.example.com' }))
+        .resolves.toEqual(expect.objectContaining({ serverName: 'sql.corp.example.com' }));
+    });
+
+    test('adds a CA bundle to the trusted roots', async () => {
+      const { cryptoCredentialsDetails } = await options({ caFile: path.join(certDir, 'ca.pem') });
+
+      expect(cryptoCredentialsDetails.ca).toEqual([...tls.rootCertificates, 'CORPORATE CA']);
+    });
+
+    test('a pinned certificate replaces the trusted roots and overrides trustServerCertificate', async () => {
+      const encryption = await options({
+        trustServerCertificate: true,
+        caFile: path.join(certDir, 'ca.pem'),
+        pinnedCertificate: path.join(certDir, 'server.pem')
+      });
+
+      expect(encryption.trustServerCertificate).toBe(false);
+      expect(encryption.cryptoCredentialsDetails.ca.toString()).toBe('PINNED SERVER CERT');
+    });
+
+    test('is applied to the pool', async () => {
+      await manager('sql-a.example.com', { encryption: { mode: 'strict' } }).connect();
+
+      expect(sql.ConnectionPool.instances[0].config.options).toEqual(expect.objectContaining({ encrypt: 'strict', trustServerCertificate: false }));
+    });
+  });
+
+  describe('authentication', () => {
+    const driverAuthentication = authentication => manager('sql-a.example.com').getDriverAuthentication(authentication);
+
+    test.each([
+      [
+        { type: 'ntlm', domain: 'CORP', username: 'monitor', password: 'secret' },
+        { type: 'ntlm', options: { domain: 'CORP', userName: 'monitor', password: 'secret' } }
+      ],
+      [
+        { type: 'azure-ad-password', username: 'dba@corp.example.com', password: 'secret', tenantId: 'tenant' },
+        {
+          type: 'azure-active-directory-password',
+          options: { userName: 'dba@corp.example.com', password: 'secret', clientId: '7f98cb04-cd1e-40df-9140-3bf7e2cea4db', tenantId: 'tenant' }
+        }
+      ],
+      [
+        { type: 'azure-ad-password', username: 'dba@corp.example.com', password: 'secret', tenantId: 'tenant', clientId: 'app' },
+        { type: 'azure-active-directory-password', options: { userName: 'dba@corp.example.com', password: 'secret', clientId: 'app', tenantId: 'tenant' } }
+      ],
+      [
+        { type: 'azure-ad-service-principal', clientId: 'app', clientSecret: 'secret', tenantId: 'tenant' },
+        { type: 'azure-active-directory-service-principal-secret', options: { clientId: 'app', clientSecret: 'secret', tenantId: 'tenant' } }
+      ],
+      [
+        { type: 'azure-ad-managed-identity' },
+        { type: 'azure-active-directory-msi-vm', options: {} }
+      ],
+      [
+        { type: 'azure-ad-managed-identity', clientId: 'user-assigned' },
+        { type: 'azure-active-directory-msi-vm', options: { clientId: 'user-assigned' } }
+      ],
+      [
+        { type: 'azure-ad-access-token', token: 'eyJ0eXAi' },
+        { type: 'azure-active-directory-access-token', options: { token: 'eyJ0eXAi' } }
+      ]
+    ])('maps %j onto the driver', (authentication, expected) => {
+      expect(driverAuthentication(authentication)).toEqual(expected);
+    });
+
+    test('rejects an unknown type', () => {
+      expect(() => driverAuthentication({ type: 'kerberos' })).toThrow("Unsupported authentication type 'kerberos'");
+    });
+
+    test('passes SQL logins as user and password', async () => {
+      await manager('sql-a.example.com').connect();
+
+      const { config } = sql.ConnectionPool.instances[0];
+      expect([config.user, config.password, config.authentication]).toEqual(['monitor', 'secret', undefined]);
+    });
+
+    test('warns that Windows integrated authentication needs another driver', async () => {
+      logger.warn.mockClear();
+
+      await manager('sql-a.example.com', { authentication: { type: 'windows' } }).connect();
+
+      expect(sql.ConnectionPool.instances[0].config.options.trustedConnection).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('use ntlm with domain credentials instead'));
+    });
+
+    test('hands the other types to the driver', async () => {
+      await manager('sql-a.example.com', { authentication: { type: 'azure-ad-access-token', token: 'eyJ0eXAi' } }).connect();
+
+      const { config } = sql.ConnectionPool.instances[0];
+      expect(config.user).toBeUndefined();
+      expect(config.authentication).toEqual({ type: 'azure-active-directory-access-token', options: { token: 'eyJ0eXAi' } });
+    });
+  });
+
+  describe('getServerInfo', () => {
+    async function serverInfo(row) {
+      const connectionManager = manager('sql-a.example.com');
+      await connectionManager.connect();
+      connectionManager.pool.request = () => ({ query: async () => ({ recordset: [row] }) });
+      return connectionManager.getServerInfo();
+    }
+
+    test.each([
+      [3, 'sql-server', 16],
+      [5, 'azure-sql-database', 'azure-sql-database'],
+      [8, 'azure-sql-managed-instance', 'azure-sql-managed-instance']
+    ])('engine edition %i is %s and uses the %s query pack', async (engineEdition, platform, queryPackVersion) => {
+      const info = await serverInfo({ serverName: 'sql-a', majorVersion: '16', engineEdition: String(engineEdition), encryptOption: 'TRUE' });
+
+      expect(info).toEqual(expect.objectContaining({ engineEdition, platform, queryPackVersion, encrypted: true }));
+    });
+
+    test('reports an unencrypted session', async () => {
+      await expect(serverInfo({ majorVersion: 15, engineEdition: 2, encryptOption: 'FALSE' }))
+        .resolves.toEqual(expect.objectContaining({ encrypted: false, queryPackVersion: 15 }));
+    });
+  });
+
+  describe('isUserDatabase', () => {
+    const database = { name: 'Sales', databaseId: 5, state: 'ONLINE', hasAccess: 1 };
+
+    test('keeps online user databases the login can open', () => {
+      expect(ConnectionManager.isUserDatabase(database)).toBe(true);
+    });
+
+    test.each([
+      ['a system database', { name: 'msdb', databaseId: 4 }],
+      ['a system database name with another id', { name: 'TempDB', databaseId: 9 }],
+      ['an offline database', { state: 'OFFLINE' }],
+      ['a restoring database', { state: 'RESTORING' }],
+      ['a database the login cannot open', { hasAccess: 0 }]
+    ])('excludes %s', (_, overrides) => {
+      expect(ConnectionManager.isUserDatabase({ ...database, ...overrides })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const CustomQueryPacks = require('../../src/core/CustomQueryPacks');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const SQL_PACK = `-- @name: Replication latency
+-- @section: Replication
+-- @description: Undistributed commands per subscription
+-- @minVersion: 2016
+-- @timeout: 60000
+SELECT * FROM distribution.dbo.MSdistribution_status;
+------
+-- @name: Agent jobs
+-- Failed jobs in the last day
+SELECT name FROM msdb.dbo.sysjobs;
+`;
+
+describe('CustomQueryPacks', () => {
+  let directory;
+  let packs;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'custom-packs-'));
+    packs = new CustomQueryPacks(logger, directory);
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  test('reads SQL packs with @tag headers', async () => {
+    await fs.writeFile(path.join(directory, 'Ops Checks.sql'), SQL_PACK);
+
+    const [pack] = await packs.list();
+    expect(pack).toMatchObject({ id: 'ops-checks', file: 'Ops Checks.sql', format: 'sql' });
+    expect(pack.queries).toEqual([
+      expect.objectContaining({
+        id: 'custom-ops-checks-replication-latency',
+        name: 'Replication latency',
+        section: 'Replication',
+        description: 'Undistributed commands per subscription',
+        minVersion: '2016',
+        timeout: 60000,
+        scope: 'instance',
+        query: 'SELECT * FROM distribution.dbo.MSdistribution_status;'
+      }),
+      expect.objectContaining({
+        id: 'custom-ops-checks-agent-jobs',
+        section: 'Custom Queries',
+        description: 'Agent jobs',
+        query: 'SELECT name FROM msdb.dbo.sysjobs;'
+      })
+    ]);
+  });
+
+  test('reads YAML and JSON packs', async () => {
+    await fs.writeFile(path.join(directory, 'team.yaml'), 'name: Team checks\nqueries:\n  - name: Sessions\n    scope: database\n    query: SELECT 1\n');
+    await fs.writeJson(path.join(directory, 'extra.json'), { queries: [{ id: 'blocking', name: 'Blocking', query: 'SELECT 2' }] });
+
+    const list = await packs.list();
+    expect(list.map(pack => [pack.id, pack.format, pack.name])).toEqual([['extra', 'json', 'extra'], ['team', 'yaml', 'Team checks']]);
+    expect(list[0].queries[0].id).toBe('custom-extra-blocking');
+    expect(list[1].queries[0].scope).toBe('database');
+  });
+
+  test('keeps unreadable packs in the list with the reason', async () => {
+    await fs.writeJson(path.join(directory, 'broken.json'), { queries: [{ name: 'No SQL' }] });
+    await fs.writeJson(path.join(directory, 'dupes.json'), { queries: [{ name: 'A', query: 'SELECT 1' }, { name: 'a', query: 'SELECT 2' }] });
+
+    const list = await packs.list();
+    expect(list.map(pack => pack.error)).toEqual(['Query 1 (No SQL) needs a query', "Duplicate query id 'custom-dupes-a'"]);
+    expect(await packs.loadQueries('2019')).toEqual([]);
+  });
+
+  test('loads the selected packs that support the server version', async () => {
+    await fs.writeFile(path.join(directory, 'ops.sql'), SQL_PACK);
+    await fs.writeJson(path.join(directory, 'other.json'), { queries: [{ name: 'Other', query: 'SELECT 3' }] });
+
+    expect((await packs.loadQueries('2014', ['ops'])).map(query => query.name)).toEqual(['Agent jobs']);
+    expect(await packs.loadQueries('2019', [])).toEqual([]);
+    expect((await packs.loadQueries('azure-sql-database')).length).toBe(3);
+  });
+
+  describe('toQuery', () => {
+    test('rejects invalid definitions', () => {
+      expect(() => CustomQueryPacks.toQuery('p', { name: 'x', query: 'SELECT 1', colour: 'red' }, 0)).toThrow('Query 1 has unknown fields: colour');
+      expect(() => CustomQueryPacks.toQuery('p', { query: 'SELECT 1' }, 1)).toThrow('Query 2 needs a name');
+      expect(() => CustomQueryPacks.toQuery('p', { name: 'x', query: 'SELECT 1', scope: 'server' }, 0)).toThrow(/scope must be instance or database/);
+      expect(() => CustomQueryPacks.toQuery('p', { name: 'x', query: 'SELECT 1', timeout: 10 }, 0)).toThrow(/at least 1000ms/);
+    });
+  });
+
+  test('compares versions given as years or major versions', () => {
+    expect(CustomQueryPacks.supportsVersion('13', '2016SP2')).toBe(true);
+    expect(CustomQueryPacks.supportsVersion(2019, '2017')).toBe(false);
+    expect(CustomQueryPacks.supportsVersion(null, '2005')).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+const DiagnosticRunner = require('../../src/core/DiagnosticRunner');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const { EXIT_CODES } = DiagnosticRunner;
+
+function outcome({ results = [], healthFindings = [], executionSummary = {} } = {}) {
+  return {
+    serverInfo: { serverName: 'SQL01', productVersion: '16.0.4135.4', edition: 'Enterprise' },
+    reportInfo: { id: 'diagnostic-test' },
+    results,
+    healthFindings,
+    executionSummary: { totalQueries: results.length, successful: 0, failed: 0, skipped: 0, blocked: 0, executionTime: 0, ...executionSummary }
+  };
+}
+
+const failed = { id: 'glen-berry-3-ag', name: 'AG Status', success: false, error: 'invalid object' };
+
+describe('DiagnosticRunner', () => {
+  describe('summarize', () => {
+    test('passes while failed queries stay within the allowance', () => {
+      const runner = new DiagnosticRunner({ health: { maxFailedQueries: 1 } }, logger);
+      const summary = runner.summarize(outcome({ results: [failed] }));
+
+      expect(summary.status).toBe('passed');
+      expect(summary.failedQueries).toEqual([{ id: 'glen-berry-3-ag', name: 'AG Status', error: 'invalid object' }]);
+      expect(DiagnosticRunner.exitCode(summary)).toBe(EXIT_CODES.success);
+    });
+
+    test('fails once failed queries exceed the allowance', () => {
+      const runner = new DiagnosticRunner({ health: {} }, logger);
+      const summary = runner.summarize(outcome({ results: [failed] }));
+
+      expect(summary.breaches).toEqual({ queryFailures: true, healthChecks: false });
+      expect(DiagnosticRunner.exitCode(summary)).toBe(EXIT_CODES.queryFailures);
+    });
+
+    test('does not count skipped or cancelled queries as failures', () => {
+      const runner = new DiagnosticRunner({ health: {} }, logger);
+      const summary = runner.summarize(outcome({
+        results: [{ ...failed, skipped: true }, { ...failed, id: 'glen-berry-4-io', cancelled: true }]
+      }));
+
+      expect(summary.failedQueries).toEqual([]);
+      expect(summary.status).toBe('passed');
+    });
+
+    test('fails a run stopped by continueOnError whatever the allowance', () => {
+      const runner = new DiagnosticRunner({ health: { maxFailedQueries: 10 } }, logger);
+      const summary = runner.summarize(outcome({ results: [failed], executionSummary: { aborted: true } }));
+
+      expect(summary.breaches.queryFailures).toBe(true);
+      expect(DiagnosticRunner.exitCode(summary)).toBe(EXIT_CODES.queryFailures);
+    });
+
+    test('fails when a health finding reaches failOn', () => {
+      const healthFindings = [{ check: 'Low PLE', severity: 'warning', message: 'PLE below 300' }];
+
+      const warning = new DiagnosticRunner({ health: { failOn: 'warning' } }, logger).summarize(outcome({ healthFindings }));
+      expect(warning.breaches).toEqual({ queryFailures: false, healthChecks: true });
+      expect(DiagnosticRunner.exitCode(warning)).toBe(EXIT_CODES.healthChecks);
+
+      const critical = new DiagnosticRunner({ health: { failOn: 'critical' } }, logger).summarize(outcome({ healthFindings }));
+      expect(DiagnosticRunner.exitCode(critical)).toBe(EXIT_CODES.success);
+    });
+  });
+
+  describe('resolveDatabases', () => {
+    const queries = [
+      { id: 'glen-berry-1-version-info', scope: 'instance' },
+      { id: 'glen-berry-40-index-usage', scope: 'database' }
+    ];
+    const onPremises = { platform: 'sql-server' };
+    const runner = new DiagnosticRunner({}, logger);
+
+    function connection(databases = ['HR', 'Sales']) {
+      return { getUserDatabases: jest.fn(async () => databases) };
+    }
+
+    test('keeps database queries in the current database by default', async () => {
+      const connectionManager = connection();
+
+      await expect(runner.resolveDatabases(connectionManager, undefined, queries, onPremises)).resolves.toBeNull();
+      await expect(runner.resolveDatabases(connectionManager, 'current', queries, onPremises)).resolves.toBeNull();
+      expect(connectionManager.getUserDatabases).not.toHaveBeenCalled();
+    });
+
+    test('does not expand when every selected query is instance-level', async () => {
+      await expect(runner.resolveDatabases(connection(), 'all', [queries[0]], onPremises)).resolves.toBeNull();
+    });
+
+    test('does not expand on Azure SQL Database', async () => {
+      await expect(runner.resolveDatabases(connection(), 'all', queries, { platform: 'azure-sql-database' })).resolves.toBeNull();
+    });
+
+    test('all runs in every user database', async () => {
+      await expect(runner.resolveDatabases(connection(), 'all', queries, onPremises)).resolves.toEqual(['HR', 'Sales']);
+    });
+
+    test('all falls back to the current database when there are no user databases', async () => {
+      await expect(runner.resolveDatabases(connection([]), 'all', queries, onPremises)).resolves.toBeNull();
+    });
+
+    test('accepts a list or a comma-separated string, dropping repeats in any case', async () => {
+      await expect(runner.resolveDatabases(connection(), ['Sales', ' HR ', 'sales'], queries, onPremises)).resolves.toEqual(['Sales', 'HR']);
+      await expect(runner.resolveDatabases(connection(), 'Sales, HR,,', queries, onPremises)).resolves.toEqual(['Sales', 'HR']);
+      await expect(runner.resolveDatabases(connection(), ' , ', queries, onPremises)).resolves.toBeNull();
+    });
+  });
+
+  describe('exitCode', () => {
+    test('a cancellation wins over failed queries, and failed queries over findings', () => {
+      const breaches = { queryFailures: true, healthChecks: true };
+
+      expect(DiagnosticRunner.exitCode({ status: 'cancelled', breaches })).toBe(130);
+      expect(DiagnosticRunner.exitCode({ status: 'failed', breaches })).toBe(2);
+      expect(DiagnosticRunner.exitCode({ status: 'failed', breaches: { queryFailures: false, healthChecks: true } })).toBe(3);
+    });
+  });
+});
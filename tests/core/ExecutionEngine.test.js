@@ -0,0 +1,172 @@
+const ExecutionEngine = require('../../src/core/ExecutionEngine');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function sqlError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+function engine(executeQuery, config = {}) {
+  const connectionManager = { executeQuery: jest.fn(executeQuery), cancelActiveRequests: jest.fn() };
+  return new ExecutionEngine(connectionManager, { retryDelay: 0, maxRetries: 3, ...config }, logger);
+}
+
+const query = { id: 'glen-berry-1-top-waits', name: 'Top Waits', query: 'SELECT 1' };
+
+describe('ExecutionEngine', () => {
+  describe('executeQuery', () => {
+    test('retries transient errors with their history', async () => {
+      let calls = 0;
+      const executionEngine = engine(async () => {
+        if (++calls < 3) {
+          throw sqlError('deadlock', { number: 1205 });
+        }
+        return [{ ok: 1 }];
+      });
+      const retryHistory = [];
+
+      await expect(executionEngine.executeQuery(query, retryHistory)).resolves.toEqual([{ ok: 1 }]);
+      expect(retryHistory.map(entry => entry.reason)).toEqual(['deadlock victim', 'deadlock victim']);
+    });
+
+    test('retries a query that ran out of time once by default', async () => {
+      const executionEngine = engine(async () => {
+        throw sqlError('Timeout: Request failed to complete in 30000ms', { code: 'ETIMEOUT' });
+      });
+      const retryHistory = [];
+
+      await expect(executionEngine.executeQuery(query, retryHistory)).rejects.toThrow(/Timeout/);
+      expect(executionEngine.connectionManager.executeQuery).toHaveBeenCalledTimes(2);
+      expect(retryHistory.map(entry => [entry.attempt, entry.category, entry.reason]))
+        .toEqual([[1, 'transient', 'timeout'], [2, 'transient', 'timeout']]);
+    });
+
+    test('caps timeout retries separately from other transient errors', async () => {
+      const errors = [
+        sqlError('deadlock', { number: 1205 }),
+        sqlError('Timeout', { code: 'ETIMEOUT' }),
+        sqlError('deadlock', { number: 1205 }),
+        sqlError('Timeout', { code: 'ETIMEOUT' })
+      ];
+      const executionEngine = engine(async () => {
+        throw errors.shift();
+      }, { maxRetries: 5, maxTimeoutRetries: 1 });
+
+      await expect(executionEngine.executeQuery(query)).rejects.toThrow('Timeout');
+      expect(executionEngine.connectionManager.executeQuery).toHaveBeenCalledTimes(4);
+
+      const noTimeoutRetries = engine(async () => {
+        throw sqlError('Timeout', { code: 'ETIMEOUT' });
+      }, { maxTimeoutRetries: 0 });
+      await expect(noTimeoutRetries.executeQuery(query)).rejects.toThrow('Timeout');
+      expect(noTimeoutRetries.connectionManager.executeQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getQueryTimeout', () => {
+    const budgeted = { ...query, key: 'top-waits', timeout: 20000 };
+
+    test('uses the query\'s own budget', () => {
+      expect(engine(jest.fn(), { timeout: 30000 }).getQueryTimeout(budgeted)).toBe(20000);
+    });
+
+    test('an override by id or key wins over the budget', () => {
+      expect(engine(jest.fn(), { timeoutOverrides: { 'glen-berry-1-top-waits': 90000 } }).getQueryTimeout(budgeted)).toBe(90000);
+      expect(engine(jest.fn(), { timeoutOverrides: { 'top-waits': 60000 } }).getQueryTimeout(budgeted)).toBe(60000);
+    });
+
+    test('falls back to the global timeout without a budget or with adaptive timeouts off', () => {
+      expect(engine(jest.fn(), { timeout: 45000 }).getQueryTimeout(query)).toBe(45000);
+      expect(engine(jest.fn(), { timeout: 45000, adaptiveTimeouts: false }).getQueryTimeout(budgeted)).toBe(45000);
+      expect(engine(jest.fn()).getQueryTimeout(query)).toBe(30000);
+    });
+
+    test('passes the resolved timeout to the connection', async () => {
+      const executionEngine = engine(async () => [{ ok: 1 }]);
+
+      await executionEngine.executeQuery(budgeted);
+
+      expect(executionEngine.connectionManager.executeQuery).toHaveBeenCalledWith('SELECT 1', 20000);
+    });
+  });
+
+  describe('executeQueries', () => {
+    const queries = ['Top Waits', 'Memory Clerks', 'Index Usage'].map((name, index) => ({
+      id: `glen-berry-${index + 1}`, name, query: `SELECT ${index + 1}`
+    }));
+
+    test('returns the results collected so far when continueOnError is off', async () => {
+      const executionEngine = engine(async (sql) => {
+        if (sql === 'SELECT 2') {
+          throw sqlError('Invalid object name', { number: 208 });
+        }
+        return [{ ok: 1 }];
+      }, { continueOnError: false });
+
+      const results = await executionEngine.executeQueries(queries);
+
+      expect(results).toEqual(expect.objectContaining({
+        aborted: true,
+        abortReason: 'Memory Clerks failed: Invalid object name',
+        successful: 1,
+        failed: 1,
+        skipped: 1
+      }));
+      expect(results.data.map(result => result.name)).toEqual(['Top Waits', 'Memory Clerks']);
+      expect(executionEngine.connectionManager.executeQuery).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps going past failures when continueOnError is on', async () => {
+      const executionEngine = engine(async (sql) => {
+        if (sql === 'SELECT 2') {
+          throw sqlError('Invalid object name', { number: 208 });
+        }
+        return [{ ok: 1 }];
+      }, { continueOnError: true });
+
+      const results = await executionEngine.executeQueries(queries);
+
+      expect(results.aborted).toBe(false);
+      expect(results.successful).toBe(2);
+      expect(results.failed).toBe(1);
+    });
+
+    test('keeps results in pack order when queries finish out of order', async () => {
+      // The first query is the slowest, so it finishes last
+      const executionEngine = engine(async (sql) => {
+        await new Promise(resolve => setTimeout(resolve, sql === 'SELECT 1' ? 20 : 0));
+        return [{ sql }];
+      }, { concurrency: 3 });
+
+      const results = await executionEngine.executeQueries(queries);
+
+      expect(results.data.map(result => result.name)).toEqual(['Top Waits', 'Memory Clerks', 'Index Usage']);
+    });
+  });
+
+  describe('planPhases', () => {
+    const queries = ['version-info', 'top-waits', 'index-usage', 'memory-clerks', 'cpu-history'].map((key, index) => ({
+      id: `glen-berry-${index + 1}-${key}`, key, name: key, query: `SELECT ${index + 1}`
+    }));
+
+    test('runs everything in one serial phase without concurrency', () => {
+      expect(engine(jest.fn(), { runAlone: ['index-usage'] }).planPhases(queries, 1)).toEqual([[0, 1, 2, 3, 4]]);
+    });
+
+    test('groups queries into a single parallel phase when none must run alone', () => {
+      expect(engine(jest.fn()).planPhases(queries, 4)).toEqual([[0, 1, 2, 3, 4]]);
+    });
+
+    test('gives run-alone queries, by id or key, a phase of their own', () => {
+      const executionEngine = engine(jest.fn(), { runAlone: ['index-usage', 'glen-berry-5-cpu-history'] });
+
+      expect(executionEngine.planPhases(queries, 4)).toEqual([[0, 1], [2], [3], [4]]);
+    });
+
+    test('runs queries estimated to take longer than the threshold alone', () => {
+      const estimated = queries.map((entry, index) => ({ ...entry, estimatedDuration: index === 0 ? 90000 : 1000 }));
+
+      expect(engine(jest.fn(), { runAloneThreshold: 60000 }).planPhases(estimated, 4)).toEqual([[0], [1, 2, 3, 4]]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const FleetRunner = require('../../src/core/FleetRunner');
+
+function result(rows, overrides = {}) {
+  return { id: 'glen-berry-38-top-waits', name: 'Top Waits', success: true, data: rows, ...overrides };
+}
+
+describe('FleetRunner', () => {
+  describe('extractTopWaits', () => {
+    test('reads the Top Waits query\'s percentage and total seconds', () => {
+      const waits = FleetRunner.extractTopWaits([result([
+        { WaitType: 'CXPACKET', 'Wait Percentage': 41.5, AvgWait_Sec: 0.0021, Wait_Sec: 8123.45, 'Wait Count': 3867120 },
+        { WaitType: 'PAGEIOLATCH_SH', 'Wait Percentage': 20.1, AvgWait_Sec: 0.0113, Wait_Sec: 3934.1, 'Wait Count': 348201 }
+      ])]);
+
+      expect(waits).toEqual([
+        { waitType: 'CXPACKET', percentage: 41.5, waitTime: 8123.45, waitTimeUnit: 's' },
+        { waitType: 'PAGEIOLATCH_SH', percentage: 20.1, waitTime: 3934.1, waitTimeUnit: 's' }
+      ]);
+    });
+
+    test('reads Paul Randal\'s [Wait_S] as seconds', () => {
+      expect(FleetRunner.extractTopWaits([result([{ WaitType: 'CXPACKET', Wait_S: 8123.45, Percentage: 41.5 }])]))
+        .toEqual([{ waitType: 'CXPACKET', percentage: 41.5, waitTime: 8123.45, waitTimeUnit: 's' }]);
+    });
+
+    test('reads wait_time_ms as milliseconds', () => {
+      expect(FleetRunner.extractTopWaits([result([{ wait_type: 'CXPACKET', wait_time_ms: 8123450, waiting_tasks_count: 3867120 }])]))
+        .toEqual([{ waitType: 'CXPACKET', percentage: undefined, waitTime: 8123450, waitTimeUnit: 'ms' }]);
+    });
+
+    test('does not read a count or an average as a total wait time', () => {
+      expect(FleetRunner.extractTopWaits([result([{ WaitType: 'CXPACKET', Waits: 3867120, AvgWait_Sec: 0.0021 }])])).toEqual([]);
+      expect(FleetRunner.extractTopWaits([result([{ WaitType: 'CXPACKET', Waits: 3867120, 'Wait Percentage': 41.5 }])]))
+        .toEqual([{ waitType: 'CXPACKET', percentage: 41.5, waitTime: undefined, waitTimeUnit: undefined }]);
+    });
+
+    test('skips failed and unrelated results and keeps the leading rows', () => {
+      const rows = Array.from({ length: 8 }, (_, index) => ({ WaitType: `WAIT_${index}`, Wait_Sec: 100 - index }));
+      const waits = FleetRunner.extractTopWaits([
+        result([], { success: false }),
+        result([{ 'Server Name': 'SQL01', Version: '16.0' }], { id: 'glen-berry-1-version-info' }),
+        result(rows)
+      ], 3);
+
+      expect(waits.map(wait => wait.waitType)).toEqual(['WAIT_0', 'WAIT_1', 'WAIT_2']);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const HealthChecker = require('../../src/core/HealthChecker');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const results = [
+  {
+    id: 'glen-berry-35-ple',
+    key: 'page-life-expectancy',
+    name: 'Page Life Expectancy',
+    success: true,
+    rowCount: 2,
+    data: [{ node: 0, ple: 120 }, { node: 1, ple: 900 }]
+  },
+  { id: 'glen-berry-40-index-usage', name: 'Index Usage', database: 'Sales', success: true, rowCount: 0, data: [] },
+  { id: 'glen-berry-40-index-usage', name: 'Index Usage', database: 'HR', success: true, rowCount: 3, data: [] },
+  { id: 'glen-berry-12-suspect-pages', name: 'Suspect Pages', success: false, error: 'permission denied' }
+];
+
+describe('HealthChecker', () => {
+  describe('evaluate', () => {
+    test('tests every row of a column against the threshold', () => {
+      const findings = new HealthChecker([
+        { name: 'Low PLE', query: 'page-life-expectancy', column: 'ple', operator: '<', value: 300, severity: 'critical', message: 'PLE below 300' }
+      ], logger).evaluate(results);
+
+      expect(findings).toEqual([expect.objectContaining({
+        check: 'Low PLE',
+        severity: 'critical',
+        queryId: 'glen-berry-35-ple',
+        message: 'PLE below 300',
+        matches: 1,
+        sample: 120
+      })]);
+    });
+
+    test('tests the row count when no column is set, per database', () => {
+      const findings = new HealthChecker([
+        { name: 'Unused indexes', query: 'Index Usage', operator: '>', value: 0 }
+      ], logger).evaluate(results);
+
+      expect(findings).toEqual([expect.objectContaining({
+        database: 'HR',
+        severity: 'warning',
+        message: 'Unused indexes: row count > 0',
+        sample: 3
+      })]);
+    });
+
+    test('skips queries that failed and checks with unknown operators', () => {
+      const findings = new HealthChecker([
+        { name: 'Suspect pages', query: 'glen-berry-12-suspect-pages', operator: '>', value: 0 },
+        { name: 'Typo', query: 'glen-berry-35-ple', column: 'ple', operator: '=>', value: 0 }
+      ], logger).evaluate(results);
+
+      expect(findings).toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining("Unknown operator '=>'"));
+    });
+
+    test('lists the most severe findings first', () => {
+      const findings = new HealthChecker([
+        { name: 'Info', query: 'page-life-expectancy', operator: '>=', value: 1, severity: 'info' },
+        { name: 'Critical', query: 'page-life-expectancy', column: 'ple', operator: '>', value: 500, severity: 'CRITICAL' },
+        { name: 'Unknown severity', query: 'page-life-expectancy', column: 'node', operator: '==', value: '1', severity: 'urgent' }
+      ], logger).evaluate(results);
+
+      expect(findings.map(finding => [finding.check, finding.severity])).toEqual([
+        ['Critical', 'critical'],
+        ['Unknown severity', 'warning'],
+        ['Info', 'info']
+      ]);
+    });
+  });
+
+  describe('breachesThreshold', () => {
+    const findings = [{ severity: 'warning' }, { severity: 'info' }];
+
+    test('breaches when a finding reaches the threshold', () => {
+      expect(HealthChecker.breachesThreshold(findings, 'info')).toBe(true);
+      expect(HealthChecker.breachesThreshold(findings, 'warning')).toBe(true);
+      expect(HealthChecker.breachesThreshold(findings, 'critical')).toBe(false);
+    });
+
+    test('never breaches with no threshold or none', () => {
+      expect(HealthChecker.breachesThreshold(findings, 'none')).toBe(false);
+      expect(HealthChecker.breachesThreshold(findings, undefined)).toBe(false);
+      expect(HealthChecker.breachesThreshold([], 'info')).toBe(false);
+    });
+  });
+});
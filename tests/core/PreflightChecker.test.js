@@ -0,0 +1,129 @@
+const PreflightChecker = require('../../src/core/PreflightChecker');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const capabilities = {
+  loginName: 'monitor',
+  isSysadmin: false,
+  viewServerState: false,
+  viewAnyDefinition: false,
+  viewDatabaseState: true,
+  msdbAccess: true,
+  engineEdition: 3
+};
+
+function checker(databaseRows = [], permissions = {}) {
+  const connectionManager = {
+    executeQuery: jest.fn(async (sql) => sql.includes('sys.databases') ? databaseRows : [{
+      isSysadmin: 0,
+      viewServerState: 1,
+      viewAnyDefinition: 0,
+      viewDatabaseState: 1,
+      msdbAccess: 1,
+      engineEdition: 3,
+      loginName: 'monitor',
+      ...permissions
+    }])
+  };
+  return new PreflightChecker(connectionManager, logger);
+}
+
+describe('PreflightChecker', () => {
+  describe('getRequirements', () => {
+    test('DBCC SQLPERF only needs VIEW SERVER STATE', () => {
+      expect(checker().getRequirements({ query: 'DBCC SQLPERF(LOGSPACE);' })).toEqual(['VIEW SERVER STATE']);
+    });
+
+    test('DBCC LOGINFO needs sysadmin', () => {
+      expect(checker().getRequirements({ query: 'DBCC LOGINFO;' })).toEqual(['sysadmin']);
+    });
+
+    test('DBCC TRACESTATUS needs nothing extra', () => {
+      expect(checker().getRequirements({ query: 'DBCC TRACESTATUS (-1);' })).toEqual([]);
+    });
+  });
+
+  describe('predictFailureReasons', () => {
+    test('does not skip DBCC SQLPERF for a login with VIEW SERVER STATE', () => {
+      const reasons = checker().predictFailureReasons({ query: 'DBCC SQLPERF(LOGSPACE);' }, { ...capabilities, viewServerState: true });
+      expect(reasons).toEqual([]);
+    });
+
+    test('skips DBCC LOGINFO for a non-sysadmin login', () => {
+      expect(checker().predictFailureReasons({ query: 'DBCC LOGINFO;' }, capabilities)).toEqual(['requires sysadmin']);
+    });
+  });
+
+  describe('check', () => {
+    test('checks VIEW DATABASE STATE in each target database', async () => {
+      const queries = ['Sales', 'HR'].map(database => ({
+        id: `glen-berry-40-${database}`,
+        name: 'Index Usage',
+        database,
+        query: `USE [${database}];\nSELECT * FROM sys.dm_db_index_usage_stats;`
+      }));
+      const preflight = await checker([
+        { name: 'Sales', hasAccess: 1, viewDatabaseState: 1 },
+        { name: 'HR', hasAccess: 1, viewDatabaseState: 0 }
+      ]).check(queries);
+
+      expect(preflight.capabilities.databases).toEqual({
+        Sales: { hasAccess: true, viewDatabaseState: true },
+        HR: { hasAccess: true, viewDatabaseState: false }
+      });
+      // VIEW SERVER STATE covers every database
+      expect(preflight.predictions).toEqual([]);
+    });
+
+    test('predicts failures in databases the login lacks VIEW DATABASE STATE in', async () => {
+      const query = { id: 'glen-berry-40-HR', name: 'Index Usage', database: 'HR', query: 'USE [HR];\nSELECT * FROM sys.dm_db_index_usage_stats;' };
+      const preflightChecker = checker([{ name: 'HR', hasAccess: 1, viewDatabaseState: 0 }]);
+      const databases = await preflightChecker.getDatabaseCapabilities([query]);
+
+      expect(preflightChecker.predictFailureReasons(query, { ...capabilities, databases }))
+        .toEqual(['requires VIEW DATABASE STATE in HR']);
+    });
+
+    test('skips a query only in the database the login lacks VIEW DATABASE STATE in', async () => {
+      // Per-database copies share the query's id
+      const queries = ['Sales', 'HR'].map(database => ({
+        id: 'glen-berry-40-index-usage',
+        name: 'Index Usage',
+        database,
+        query: `USE [${database}];\nSELECT * FROM sys.dm_db_index_usage_stats;`
+      }));
+      const preflight = await checker([
+        { name: 'Sales', hasAccess: 1, viewDatabaseState: 1 },
+        { name: 'HR', hasAccess: 1, viewDatabaseState: 0 }
+      ], { viewServerState: 0 }).check(queries);
+      expect(preflight.predictions).toEqual([{
+        id: 'glen-berry-40-index-usage',
+        name: 'Index Usage',
+        database: 'HR',
+        reasons: ['requires VIEW DATABASE STATE in HR']
+      }]);
+
+      const runnable = PreflightChecker.skipPredicted(queries, preflight.predictions);
+      expect(runnable.map(query => [query.database, query.skipReason])).toEqual([
+        ['Sales', undefined],
+        ['HR', 'requires VIEW DATABASE STATE in HR']
+      ]);
+    });
+
+    test('predicts failures in databases the login cannot open', async () => {
+      const query = { id: 'glen-berry-40-Archive', name: 'Index Usage', database: 'Archive', query: 'SELECT 1' };
+      const preflightChecker = checker([]);
+      const databases = await preflightChecker.getDatabaseCapabilities([query]);
+
+      expect(preflightChecker.predictFailureReasons(query, { ...capabilities, databases }))
+        .toEqual(['cannot access database Archive']);
+    });
+
+    test('matches database names case-insensitively', async () => {
+      const query = { id: 'glen-berry-40-index-usage', name: 'Index Usage', database: 'sales', query: 'SELECT 1' };
+      const databases = await checker([{ name: 'Sales', hasAccess: 1, viewDatabaseState: 1 }]).getDatabaseCapabilities([query]);
+
+      expect(databases).toEqual({ sales: { hasAccess: true, viewDatabaseState: true } });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const QueryGuard = require('../../src/core/QueryGuard');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('QueryGuard', () => {
+  describe('classify', () => {
+    test('treats plain SELECTs as select-only', () => {
+      const sql = 'SELECT last_user_update, user_updates FROM sys.dm_db_index_usage_stats WITH (NOLOCK);';
+      expect(QueryGuard.classify(sql)).toEqual({ classification: 'select-only', reasons: [], commands: [] });
+    });
+
+    test('catches an UPDATE with a table hint', () => {
+      const result = QueryGuard.classify('UPDATE dbo.T WITH (ROWLOCK) SET x = 1');
+      expect(result.classification).toBe('mutating');
+      expect(result.reasons).toEqual(['writes to dbo.T']);
+    });
+
+    test('catches an UPDATE through an alias', () => {
+      const sql = 'UPDATE t SET t.x = 1 FROM dbo.Orders AS t INNER JOIN dbo.Customers c ON c.id = t.customer_id';
+      expect(QueryGuard.classify(sql).classification).toBe('mutating');
+    });
+
+    test('catches DELETE and MERGE however they are written', () => {
+      expect(QueryGuard.classify('DELETE TOP (10) o FROM dbo.Orders o WHERE o.id < 5').classification).toBe('mutating');
+      expect(QueryGuard.classify('MERGE dbo.T WITH (HOLDLOCK) AS t USING s ON 1 = 1 WHEN MATCHED THEN DELETE;').classification).toBe('mutating');
+    });
+
+    test('catches enabling and disabling triggers', () => {
+      expect(QueryGuard.classify('DISABLE TRIGGER [trg_Audit] ON dbo.Orders;')).toEqual(expect.objectContaining({
+        classification: 'mutating',
+        reasons: ['DISABLE TRIGGER trg_Audit']
+      }));
+      expect(QueryGuard.classify('ENABLE TRIGGER ALL ON ALL SERVER').reasons).toEqual(['ENABLE TRIGGER ALL']);
+      expect(QueryGuard.classify('SELECT name, is_disabled FROM sys.triggers').classification).toBe('select-only');
+    });
+
+    test('ignores DML keywords in comments, strings and quoted names', () => {
+      const sql = "SELECT [Update], 'DELETE FROM dbo.T' AS note FROM x -- UPDATE y SET z = 1\n/* INSERT dbo.T VALUES (1) */";
+      expect(QueryGuard.classify(sql).classification).toBe('select-only');
+    });
+
+    test('allows writes to temp tables and table variables', () => {
+      const sql = 'CREATE TABLE #t (x int); INSERT INTO #t SELECT 1; UPDATE #t SET x = 2; DELETE FROM @rows; SELECT * FROM a INNER MERGE JOIN b ON a.x = b.x';
+      expect(QueryGuard.classify(sql).classification).toBe('select-only');
+    });
+
+    test('treats a bare sp_configure with a value as mutating', () => {
+      const result = QueryGuard.classify("sp_configure 'show advanced options', 1");
+      expect(result.classification).toBe('mutating');
+      expect(result.reasons).toEqual(['changes server configuration (sp_configure)']);
+      expect(QueryGuard.classify("USE [master];\nsp_configure 'xp_cmdshell', 1").classification).toBe('mutating');
+    });
+
+    test('treats bare system procedure calls like EXEC', () => {
+      expect(QueryGuard.classify('sp_configure').commands).toEqual(['sp_configure']);
+      expect(QueryGuard.classify('xp_readerrorlog 0, 1').classification).toBe('dbcc-read-only');
+      expect(QueryGuard.classify('[master].[dbo].[sp_addsrvrolemember] @loginame = x').reasons)
+        .toEqual(['runs stored procedure master.dbo.sp_addsrvrolemember']);
+    });
+  });
+
+  describe('check', () => {
+    test('blocks mutating queries unless they are allowlisted', () => {
+      const guard = new QueryGuard({ allowMutating: ['q2'] }, logger);
+      const result = guard.check([
+        { id: 'q1', name: 'Hinted update', query: 'UPDATE dbo.T WITH (ROWLOCK) SET x = 1' },
+        { id: 'q2', name: 'Config', query: "sp_configure 'x', 1" },
+        { id: 'q3', name: 'Sessions', query: 'SELECT * FROM sys.dm_exec_sessions' }
+      ]);
+
+      expect(result.counts).toEqual({ 'select-only': 1, 'dbcc-read-only': 0, mutating: 2 });
+      expect(result.findings.map(finding => [finding.id, finding.action])).toEqual([['q1', 'blocked'], ['q2', 'allowed']]);
+    });
+  });
+});
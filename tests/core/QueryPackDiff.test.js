@@ -0,0 +1,115 @@
+const os = require('os');
+const path = require('path');
+
+const QueryPackDiff = require('../../src/core/QueryPackDiff');
+const QueryParser = require('../../src/core/QueryParser');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+// A pack in Glenn Berry's layout: a heading, then each query's header
+// comment, its SQL and a "------" line
+function buildPack(queries, heading = 'Instance level queries') {
+  return [
+    '-- SQL Server 2019 Diagnostic Information Queries',
+    '',
+    `-- ${heading} *******************************`,
+    '',
+    ...queries.map(query => [
+      `-- ${query.summary || query.name}  (Query ${query.number}) (${query.name})`,
+      query.sql,
+      '------',
+      '',
+      '-- Notes on the query above',
+      ''
+    ].join('\n'))
+  ].join('\n');
+}
+
+const BASE = [
+  { number: 1, name: 'Version Info', sql: 'SELECT @@SERVERNAME AS [Server Name], @@VERSION AS [Version];' },
+  { number: 2, name: 'Core Counts', sql: "EXEC sys.xp_readerrorlog 0, 1, N'detected', N'socket';" },
+  { number: 3, name: 'Top Waits', sql: 'SELECT TOP(10) wait_type, wait_time_ms\nFROM sys.dm_os_wait_stats\nORDER BY wait_time_ms DESC;' }
+];
+
+describe('QueryPackDiff', () => {
+  const queryParser = new QueryParser(logger, path.join(os.tmpdir(), 'query-pack-diff-test'));
+  const queryPackDiff = new QueryPackDiff(logger, queryParser);
+  const compare = (from, to, heading) => queryPackDiff.compare(
+    { label: 'from', version: '2019', content: buildPack(from) },
+    { label: 'to', version: '2019', content: buildPack(to, heading) }
+  );
+
+  test('finds nothing between identical packs', async () => {
+    const diff = await compare(BASE, BASE);
+
+    expect(diff.summary).toEqual({ added: 0, removed: 0, modified: 0, renumbered: 0, unchanged: 3 });
+    expect(diff.from).toEqual({ label: 'from', version: '2019', queryCount: 3 });
+  });
+
+  test('lists added, removed and renumbered queries', async () => {
+    const diff = await compare(BASE, [
+      BASE[0],
+      { ...BASE[2], number: 2 },
+      { number: 3, name: 'Memory Dumps', sql: 'SELECT [filename], creation_time FROM sys.dm_server_memory_dumps;' }
+    ]);
+
+    expect(diff.added.map(query => query.key)).toEqual(['memory-dumps']);
+    expect(diff.removed.map(query => query.key)).toEqual(['core-counts']);
+    expect(diff.renumbered).toEqual([expect.objectContaining({ key: 'top-waits', from: expect.objectContaining({ queryNumber: 3 }), to: expect.objectContaining({ queryNumber: 2 }) })]);
+    expect(diff.modified).toEqual([]);
+  });
+
+  test('flags SQL, section and description changes', async () => {
+    const diff = await compare(BASE, [
+      { ...BASE[0], summary: 'SQL and OS version information' },
+      BASE[1],
+      { ...BASE[2], sql: 'SELECT TOP(20) wait_type, wait_time_ms\nFROM sys.dm_os_wait_stats\nORDER BY wait_time_ms DESC;' }
+    ], 'Server level queries');
+
+    const byKey = Object.fromEntries(diff.modified.map(query => [query.key, query]));
+    expect(byKey['version-info'].changes).toEqual(['section', 'description']);
+    expect(byKey['version-info'].to.description).toBe('SQL and OS version information');
+    expect(byKey['core-counts'].changes).toEqual(['section']);
+    expect(byKey['top-waits'].changes).toEqual(['sql', 'section']);
+    expect(byKey['top-waits'].sqlDiff).toBe([
+      '@@ -1,3 +1,3 @@',
+      '-SELECT TOP(10) wait_type, wait_time_ms',
+      '+SELECT TOP(20) wait_type, wait_time_ms',
+      ' FROM sys.dm_os_wait_stats',
+      ' ORDER BY wait_time_ms DESC;'
+    ].join('\n'));
+  });
+
+  test('matches a renamed query by its number', async () => {
+    const diff = await compare(BASE, [BASE[0], { ...BASE[1], name: 'Socket and Core Counts' }, BASE[2]]);
+
+    expect(diff.summary.added).toBe(0);
+    expect(diff.modified).toEqual([expect.objectContaining({ key: 'socket-and-core-counts', changes: ['name', 'description'] })]);
+  });
+
+  test('compares a saved extraction without parsing it again', async () => {
+    const queries = await queryPackDiff.extract({ version: '2019', content: buildPack(BASE) });
+    const diff = await queryPackDiff.compare(
+      { label: 'snapshot', version: '2019', queries: queries.slice(1) },
+      { label: 'now', version: '2019', content: buildPack(BASE) }
+    );
+
+    expect(diff.added.map(query => query.key)).toEqual(['version-info']);
+  });
+
+  describe('diffText', () => {
+    test('ignores trailing whitespace and line endings', () => {
+      expect(QueryPackDiff.normalizeSql('SELECT 1;  \r\nFROM x\t\n')).toBe('SELECT 1;\nFROM x');
+    });
+
+    test('splits distant changes into hunks with context', () => {
+      const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl';
+      const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\nm';
+
+      expect(QueryPackDiff.diffText(before, after)).toBe([
+        '@@ -1,5 +1,5 @@', ' a', '-b', '+B', ' c', ' d', ' e',
+        '@@ -10,3 +10,4 @@', ' j', ' k', ' l', '+m'
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const QueryPackStore = require('../../src/core/QueryPackStore');
+const QueryParser = require('../../src/core/QueryParser');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('QueryPackStore', () => {
+  let root;
+  let store;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'query-packs-'));
+    store = new QueryPackStore({ dataDir: path.join(root, 'data') }, logger);
+    // Bundled packs live in the repo; point the store at a scratch copy
+    store.queryParser = new QueryParser(logger, path.join(root, 'bundled'));
+    store.directory = store.queryParser.queryPacksDir;
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  async function installWithHistory(file) {
+    await fs.outputFile(path.join(store.directory, 'sql-server-2019-queries.sql'), 'SELECT 1;');
+    await fs.outputJson(path.join(store.directory, 'manifest.json'), {
+      packs: { 2019: { filename: 'sql-server-2019-queries.sql', history: [{ file, sha256: 'abcdef0123456789' }] } }
+    });
+  }
+
+  test('remove leaves files outside the history directory alone', async () => {
+    const outside = path.join(root, 'precious.txt');
+    await fs.outputFile(outside, 'keep me');
+    await installWithHistory('../../precious.txt');
+
+    await expect(store.remove('2019')).resolves.toBe(true);
+
+    expect(await fs.pathExists(outside)).toBe(true);
+    expect(await fs.pathExists(path.join(store.directory, 'sql-server-2019-queries.sql'))).toBe(false);
+  });
+
+  test('remove deletes archived revisions', async () => {
+    const archived = path.join(store.directory, 'history', 'sql-server-2019-queries-abcdef012345.sql');
+    await fs.outputFile(archived, 'SELECT 0;');
+    await installWithHistory('history/sql-server-2019-queries-abcdef012345.sql');
+
+    await store.remove('2019');
+
+    expect(await fs.pathExists(archived)).toBe(false);
+  });
+
+  test('resolve does not read revisions outside the history directory', async () => {
+    await fs.outputFile(path.join(root, 'secret.txt'), 'not a pack');
+    await installWithHistory('../../secret.txt');
+
+    await expect(store.resolve('2019~1')).resolves.toBeNull();
+    await expect(store.resolve('2019@abcdef')).resolves.toBeNull();
+  });
+});
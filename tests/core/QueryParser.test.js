@@ -0,0 +1,427 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const QueryParser = require('../../src/core/QueryParser');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const PACK = Buffer.from('-- Top Waits (Query 1) (Wait Stats)\nSELECT 1;\n');
+
+// A cut-down pack: a query per block, Glenn's notes on a query at the top of
+// the next block, and section headings above the first query of a section
+function samplePack({ topWaitsNumber = 3 } = {}) {
+  return [
+    '-- Instance level queries *******************************',
+    '',
+    '-- SQL and OS Version information for current instance  (Query 1) (Version Info)',
+    'SELECT @@SERVERNAME AS [Server Name], @@VERSION AS [SQL Server and OS Version Info];',
+    '------',
+    '',
+    '-- SQL Server 2019 Builds',
+    '-- https://sqlserverbuilds.blogspot.com/',
+    '',
+    '-- Page life expectancy should be higher than 300.',
+    '',
+    `-- Isolate top waits for server instance since last restart (Query ${topWaitsNumber}) (Top Waits)`,
+    'SELECT wait_type, wait_time_ms FROM sys.dm_os_wait_stats WITH (NOLOCK);',
+    '------',
+    '',
+    '-- Database specific queries *****************************************************************',
+    '',
+    '-- Individual File Sizes and space available for current database  (Query 40) (File Sizes and Space)',
+    'SELECT f.name AS [File Name], f.size FROM sys.database_files AS f WITH (NOLOCK);',
+    '------',
+    ''
+  ].join('\n');
+}
+
+describe('QueryParser', () => {
+  describe('verifyQueryPack', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-parser-'));
+      await fs.outputJson(path.join(dataDir, 'query-packs', 'manifest.json'), {
+        packs: { 2019: { filename: 'sql-server-2019-queries.sql', sha256: QueryParser.hashContent(PACK) } }
+      });
+    });
+
+    afterEach(async () => {
+      await fs.remove(dataDir);
+    });
+
+    function parser(packIntegrity) {
+      return new QueryParser(logger, dataDir, { packIntegrity });
+    }
+
+    test('accepts a pack matching its checksum', async () => {
+      await expect(parser('enforce').verifyQueryPack('2019', PACK, 'pack')).resolves.toEqual(expect.objectContaining({ status: 'verified' }));
+    });
+
+    test('enforce refuses a mismatch', async () => {
+      await expect(parser('enforce').verifyQueryPack('2019', Buffer.from('DROP TABLE t;'), 'pack'))
+        .rejects.toMatchObject({ code: 'EPACKINTEGRITY' });
+    });
+
+    test('enforce warns about a local pack with no recorded checksum', async () => {
+      await expect(parser('enforce').verifyQueryPack('2022', PACK, 'pack')).resolves.toEqual(expect.objectContaining({ status: 'unrecorded' }));
+    });
+
+    test('enforce refuses a downloaded pack with no recorded checksum', async () => {
+      await expect(parser('enforce').verifyQueryPack('2022', PACK, 'pack', true))
+        .rejects.toMatchObject({ code: 'EPACKINTEGRITY' });
+    });
+
+    test('warn lets a downloaded pack with no recorded checksum run', async () => {
+      await expect(parser('warn').verifyQueryPack('2022', PACK, 'pack', true)).resolves.toEqual(expect.objectContaining({ status: 'unrecorded' }));
+    });
+
+    test('a run-time download with no recorded checksum fails the run under enforce', async () => {
+      axios.get.mockResolvedValue({ data: PACK });
+
+      await expect(parser('enforce').loadGlenBerryQueries(2022)).rejects.toThrow(/Refusing to run the SQL Server 2022 query pack/);
+    });
+  });
+
+  describe('Azure query packs', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-parser-'));
+      await fs.outputFile(path.join(dataDir, 'query-packs', 'sql-server-2022-queries.sql'), samplePack());
+    });
+
+    afterEach(async () => {
+      await fs.remove(dataDir);
+    });
+
+    const parser = () => new QueryParser(logger, dataDir, { packIntegrity: 'off' });
+
+    test('Azure SQL Database uses its own pack', async () => {
+      await fs.outputFile(path.join(dataDir, 'query-packs', 'azure-sql-database-queries.sql'), samplePack());
+
+      const queries = await parser().loadGlenBerryQueries('azure-sql-database');
+      expect(queries.map(query => query.packVersion)).toEqual(['azure-sql-database', 'azure-sql-database', 'azure-sql-database']);
+    });
+
+    test('Azure SQL Managed Instance falls back to the SQL Server 2022 pack', async () => {
+      const queries = await parser().loadGlenBerryQueries('azure-sql-managed-instance');
+      expect(queries.map(query => query.packVersion)).toEqual([2022, 2022, 2022]);
+    });
+
+    test('Azure SQL Database never falls back to an on-premises pack', async () => {
+      await expect(parser().loadGlenBerryQueries('azure-sql-database')).resolves.toEqual([]);
+    });
+  });
+
+  describe('query ids', () => {
+    const parser = new QueryParser(logger);
+
+    test('come from the pack\'s own query number and a slug of the name', () => {
+      expect(parser.parseGlenBerryQueries(samplePack(), 2019).map(query => [query.id, query.queryNumber])).toEqual([
+        ['glen-berry-1-version-info', 1],
+        ['glen-berry-3-top-waits', 3],
+        ['glen-berry-40-file-sizes-and-space', 40]
+      ]);
+    });
+
+    test('stay the same when an earlier block is skipped', () => {
+      const withoutFirst = samplePack().replace(/^[\s\S]*?\(Version Info\)\nSELECT[^\n]*\n/, '-- Instance level queries *****\n');
+
+      expect(parser.parseGlenBerryQueries(withoutFirst, 2019).map(query => query.id))
+        .toEqual(['glen-berry-3-top-waits', 'glen-berry-40-file-sizes-and-space']);
+    });
+
+    test('get a suffix when the pack repeats a query number', () => {
+      const repeated = samplePack({ topWaitsNumber: 1 }).replace('(Top Waits)', '(Version Info)');
+
+      expect(parser.parseGlenBerryQueries(repeated, 2019).map(query => query.id))
+        .toEqual(['glen-berry-1-version-info', 'glen-berry-1-version-info-2', 'glen-berry-40-file-sizes-and-space']);
+    });
+
+    test('fall back to the position for a block without a query number', () => {
+      const unnumbered = samplePack().replace(' (Query 3) (Top Waits)', '');
+
+      expect(parser.parseGlenBerryQueries(unnumbered, 2019).map(query => query.id))
+        .toEqual(['glen-berry-1-version-info', 'glen-berry-unnumbered-2', 'glen-berry-40-file-sizes-and-space']);
+    });
+
+    test('slugify keeps ids readable', () => {
+      expect(QueryParser.slugify('CPU Utilization History & Waits')).toBe('cpu-utilization-history-and-waits');
+      expect(QueryParser.slugify('***')).toBe('query');
+    });
+  });
+
+  describe('query keys', () => {
+    const parser = new QueryParser(logger);
+    const queryMap = {
+      aliases: { 'top-waits-for-server': 'top-waits' },
+      versions: { 2022: { 5: 'top-waits' } }
+    };
+
+    test('use the query map\'s entry for the pack version and number, then an alias, then the slug', () => {
+      const queries = parser.assignQueryKeys([
+        { id: 'glen-berry-5-waits', name: 'Waits', queryNumber: 5, packVersion: 2022 },
+        { id: 'glen-berry-3-top-waits-for-server', name: 'Top Waits For Server', queryNumber: 3, packVersion: 2019 },
+        { id: 'glen-berry-5-io-stalls', name: 'IO Stalls', queryNumber: 5, packVersion: 2019 }
+      ], queryMap);
+
+      expect(queries.map(query => query.key)).toEqual(['top-waits', 'top-waits', 'io-stalls']);
+    });
+
+    describe('buildQueryIdMap', () => {
+      let dataDir;
+
+      beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-parser-'));
+        const packsDir = path.join(dataDir, 'query-packs');
+        await fs.outputFile(path.join(packsDir, 'sql-server-2019-queries.sql'), samplePack());
+        await fs.outputFile(path.join(packsDir, 'sql-server-2022-queries.sql'), samplePack({ topWaitsNumber: 5 }).replace('(Top Waits)', '(Waits)'));
+        await fs.outputJson(path.join(packsDir, 'query-map.json'), queryMap);
+      });
+
+      afterEach(async () => {
+        await fs.remove(dataDir);
+      });
+
+      test('lines up renamed and renumbered queries across pack versions', async () => {
+        const idMap = await new QueryParser(logger, dataDir, { packIntegrity: 'off' }).buildQueryIdMap();
+
+        expect(idMap.versions).toEqual([2022, 2019]);
+        expect(idMap.queries.find(row => row.key === 'top-waits')).toEqual({
+          key: 'top-waits',
+          versions: {
+            2022: { queryNumber: 5, id: 'glen-berry-5-waits', name: 'Waits' },
+            2019: { queryNumber: 3, id: 'glen-berry-3-top-waits', name: 'Top Waits' }
+          }
+        });
+        expect(idMap.queries.map(row => row.key)).toEqual(['version-info', 'top-waits', 'file-sizes-and-space']);
+      });
+    });
+  });
+
+  describe('extractGuidance', () => {
+    const parser = new QueryParser(logger);
+    const notes = (...lines) => lines.join('\n');
+
+    test('attaches the notes after a query to that query', () => {
+      const [versionInfo] = parser.parseGlenBerryQueries(samplePack(), 2019);
+
+      expect(versionInfo.guidance).toEqual({
+        summary: 'SQL and OS Version information for current instance',
+        notes: ['Page life expectancy should be higher than 300.'],
+        links: [{ url: 'https://sqlserverbuilds.blogspot.com/', title: 'SQL Server 2019 Builds' }],
+        shouldBe: [{ subject: 'Page life expectancy', value: 'higher than 300', text: 'Page life expectancy should be higher than 300.' }]
+      });
+    });
+
+    test('titles an inline link with the rest of its line', () => {
+      const guidance = parser.extractGuidance(null, notes('', '-- Glenn\'s article on wait stats: https://glennsqlperformance.com/waits'));
+
+      expect(guidance.links).toEqual([{ url: 'https://glennsqlperformance.com/waits', title: 'Glenn\'s article on wait stats' }]);
+      expect(guidance.notes).toEqual(['Glenn\'s article on wait stats']);
+    });
+
+    test('reads qualified "should be" values', () => {
+      const guidance = parser.extractGuidance(null, notes('-- Max degree of parallelism should usually be 8 or less'));
+
+      expect(guidance.shouldBe).toEqual([{ subject: 'Max degree of parallelism', value: '8 or less', text: 'Max degree of parallelism should usually be 8 or less' }]);
+    });
+
+    test('stops at the next query\'s introduction, its header or a section heading', () => {
+      expect(parser.extractGuidance(null, notes(
+        '-- Look for high signal waits',
+        '',
+        '-- Get CPU history',
+        '-- Recent CPU Utilization History (Query 7) (CPU History)'
+      )).notes).toEqual(['Look for high signal waits']);
+
+      expect(parser.extractGuidance(null, notes(
+        '-- Look for high signal waits',
+        '',
+        '-- Database specific queries *****'
+      )).notes).toEqual(['Look for high signal waits']);
+    });
+
+    test('stops at the first line of SQL', () => {
+      expect(parser.extractGuidance(null, notes('-- Look for high signal waits', 'SELECT 1;', '-- Not guidance')).notes)
+        .toEqual(['Look for high signal waits']);
+    });
+
+    test('is null for a query without a summary or notes', () => {
+      expect(parser.extractGuidance(null, '')).toBeNull();
+      expect(parser.extractGuidance('Top waits', undefined)).toEqual({ summary: 'Top waits', notes: [], links: [], shouldBe: [] });
+    });
+  });
+
+  describe('sections', () => {
+    const parser = new QueryParser(logger);
+
+    test('follow the pack\'s own headings', () => {
+      expect(parser.parseGlenBerryQueries(samplePack(), 2019).map(query => [query.id, query.section, query.scope])).toEqual([
+        ['glen-berry-1-version-info', 'Instance Level Queries', 'instance'],
+        ['glen-berry-3-top-waits', 'Instance Level Queries', 'instance'],
+        ['glen-berry-40-file-sizes-and-space', 'Database Specific Queries', 'database']
+      ]);
+    });
+
+    test('fall back to keyword categorization in a pack without headings', () => {
+      const unheaded = samplePack().replace(/^--.*\*{5,}\n/gm, '');
+
+      expect(parser.parseGlenBerryQueries(unheaded, 2019).map(query => [query.section, query.packSection])).toEqual([
+        ['Instance Information', null],
+        ['Performance', null],
+        ['Database Objects', null]
+      ]);
+    });
+
+    describe('applySectionMap', () => {
+      const queries = () => parser.assignQueryKeys(parser.parseGlenBerryQueries(samplePack(), 2019), { aliases: {}, versions: {} });
+
+      test('renames pack headings, and a query\'s own entry wins over its heading', () => {
+        const mapped = parser.applySectionMap(queries(), {
+          headings: { 'Instance Level Queries': 'Instance' },
+          queries: { 'top-waits': 'Waits', 'glen-berry-40-file-sizes-and-space': 'Storage' },
+          order: []
+        });
+
+        expect(mapped.map(query => query.section)).toEqual(['Instance', 'Waits', 'Storage']);
+      });
+
+      test('puts ordered sections first and keeps pack order within a section', () => {
+        const mapped = parser.applySectionMap(queries(), {
+          headings: {},
+          queries: {},
+          order: ['Database Specific Queries']
+        });
+
+        expect(mapped.map(query => query.id))
+          .toEqual(['glen-berry-40-file-sizes-and-space', 'glen-berry-1-version-info', 'glen-berry-3-top-waits']);
+      });
+    });
+
+    describe('loadSectionMap', () => {
+      let userDataDir;
+
+      beforeEach(async () => {
+        userDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-parser-'));
+      });
+
+      afterEach(async () => {
+        await fs.remove(userDataDir);
+      });
+
+      test('reads the user\'s section map from the data directory', async () => {
+        await fs.outputJson(path.join(userDataDir, 'section-map.json'), { headings: { 'Instance Level Queries': 'Instance' }, order: 'Instance' });
+
+        await expect(new QueryParser(logger, null, { userDataDir }).loadSectionMap())
+          .resolves.toEqual({ headings: { 'Instance Level Queries': 'Instance' }, queries: {}, order: [] });
+      });
+
+      test('is empty without a map or with an unreadable one', async () => {
+        const empty = { headings: {}, queries: {}, order: [] };
+        await expect(new QueryParser(logger).loadSectionMap()).resolves.toEqual(empty);
+        await expect(new QueryParser(logger, null, { userDataDir }).loadSectionMap()).resolves.toEqual(empty);
+
+        await fs.outputFile(path.join(userDataDir, 'section-map.json'), '{ not json');
+        await expect(new QueryParser(logger, null, { userDataDir }).loadSectionMap()).resolves.toEqual(empty);
+      });
+    });
+  });
+
+  describe('estimateQueryTimeout', () => {
+    const parser = new QueryParser(logger);
+
+    test('gives heavy DMVs a long budget whatever their estimate', () => {
+      expect(parser.estimateQueryTimeout('SELECT * FROM sys.dm_db_index_physical_stats(DB_ID(), NULL, NULL, NULL, N\'LIMITED\')')).toBe(120000);
+      expect(parser.estimateQueryTimeout('SELECT * FROM SYS.DM_EXEC_QUERY_STATS', 500)).toBe(120000);
+    });
+
+    test('allows other queries ten times their estimated duration', () => {
+      expect(parser.estimateQueryTimeout('SELECT * FROM sys.dm_os_wait_stats')).toBe(20000);
+      expect(parser.estimateQueryTimeout('SELECT * FROM sys.dm_os_wait_stats', 4000)).toBe(40000);
+    });
+
+    test('never goes below five seconds', () => {
+      expect(parser.estimateQueryTimeout('SELECT @@VERSION')).toBe(5000);
+    });
+  });
+
+  describe('filterQueries', () => {
+    const queries = [
+      { id: 'glen-berry-1-version-info', key: 'version-info', name: 'Version Info', section: 'Instance Level Queries' },
+      { id: 'glen-berry-9-top-waits', key: 'top-waits', name: 'Top Waits', section: 'Instance Level Queries' },
+      { id: 'glen-berry-12-backup-history', key: 'backup-history', name: 'Last Backup By Database', section: 'Instance Level Queries' },
+      { id: 'glen-berry-40-index-usage', key: 'index-usage', name: 'Index Usage', section: 'Database Level Queries' }
+    ];
+    const parser = new QueryParser(logger);
+    const ids = selection => parser.filterQueries(queries, selection).map(query => query.id);
+
+    test('runs everything without a selection', () => {
+      expect(ids()).toHaveLength(4);
+      expect(ids({ include: { sections: [], queryIds: [], names: [] } })).toHaveLength(4);
+    });
+
+    test('includes sections case-insensitively', () => {
+      expect(ids({ include: { sections: ['database level queries'] } })).toEqual(['glen-berry-40-index-usage']);
+    });
+
+    test('includes queries by id or stable key', () => {
+      expect(ids({ include: { queryIds: ['glen-berry-1-version-info', 'top-waits'] } }))
+        .toEqual(['glen-berry-1-version-info', 'glen-berry-9-top-waits']);
+    });
+
+    test('matches names as substrings, or whole names with wildcards', () => {
+      expect(ids({ include: { names: ['backup'] } })).toEqual(['glen-berry-12-backup-history']);
+      expect(ids({ include: { names: ['*waits'] } })).toEqual(['glen-berry-9-top-waits']);
+      expect(ids({ include: { names: ['waits*'] } })).toEqual([]);
+      expect(ids({ include: { names: ['index (usage)'] } })).toEqual([]);
+    });
+
+    test('an exclusion wins over an inclusion', () => {
+      expect(ids({
+        include: { sections: ['Instance Level Queries'] },
+        exclude: { queryIds: ['version-info'], names: ['*Backup*'] }
+      })).toEqual(['glen-berry-9-top-waits']);
+    });
+  });
+
+  describe('expandDatabaseQueries', () => {
+    const queries = [
+      { id: 'glen-berry-1-version-info', scope: 'instance', query: 'SELECT @@VERSION;' },
+      { id: 'glen-berry-40-index-usage', scope: 'database', query: 'SELECT * FROM sys.dm_db_index_usage_stats;' },
+      { id: 'glen-berry-41-missing-indexes', scope: 'database', query: 'SELECT * FROM sys.dm_db_missing_index_details;' }
+    ];
+    const parser = new QueryParser(logger);
+
+    test('pins instance queries to the default database and repeats database queries per database', () => {
+      const expanded = parser.expandDatabaseQueries(queries, ['Sales', 'HR'], 'DBA');
+
+      expect(expanded.map(query => [query.id, query.database])).toEqual([
+        ['glen-berry-1-version-info', undefined],
+        ['glen-berry-40-index-usage', 'Sales'],
+        ['glen-berry-41-missing-indexes', 'Sales'],
+        ['glen-berry-40-index-usage', 'HR'],
+        ['glen-berry-41-missing-indexes', 'HR']
+      ]);
+      expect(expanded[0].query).toBe('USE [DBA];\nSELECT @@VERSION;');
+      expect(expanded[3].query).toBe('USE [HR];\nSELECT * FROM sys.dm_db_index_usage_stats;');
+    });
+
+    test('escapes closing brackets in database names', () => {
+      const [, expanded] = parser.expandDatabaseQueries(queries.slice(0, 2), ['Odd]Name']);
+
+      expect(expanded.query.startsWith('USE [Odd]]Name];\n')).toBe(true);
+    });
+
+    test('only expands the queries left after an exclusion', () => {
+      const selected = parser.filterQueries(queries, { exclude: { queryIds: ['glen-berry-41-missing-indexes'] } });
+
+      expect(parser.expandDatabaseQueries(selected, ['Sales', 'HR']).map(query => query.database))
+        .toEqual([undefined, 'Sales', 'HR']);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ServerInventory = require('../../src/core/ServerInventory');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('ServerInventory', () => {
+  let root;
+  let inventory;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'inventory-'));
+    inventory = new ServerInventory({ dataDir: path.join(root, 'data'), secrets: { keyFile: path.join(root, 'master.key') } }, logger);
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('rejects secret references in new entries', async () => {
+    await expect(inventory.create({
+      name: 'attacker',
+      connection: { server: 'evil.example.com', authentication: { type: 'sql', username: 'sa', password: 'env:SQLDIAG_MASTER_KEY' } }
+    })).rejects.toThrow(/secret reference/);
+
+    expect(await inventory.list()).toEqual([]);
+  });
+
+  test('rejects secret references added to existing entries', async () => {
+    const entry = await inventory.create({
+      name: 'SQL01',
+      connection: { server: 'sql01', authentication: { type: 'sql', username: 'diag', password: 'hunter2' } }
+    });
+
+    await expect(inventory.update(entry.id, {
+      connection: { server: 'evil.example.com', authentication: { type: 'sql', username: 'diag', password: 'env:OPENAI_API_KEY' } }
+    })).rejects.toThrow(/secret reference/);
+  });
+
+  test('keeps references written into servers.json by the operator', async () => {
+    process.env.SQL_DIAG_PASSWORD = 'from-the-environment';
+    await fs.outputJson(path.join(root, 'data', 'servers.json'), {
+      servers: [{
+        id: 'srv-1',
+        name: 'SQL01',
+        connection: { server: 'sql01', authentication: { type: 'sql', username: 'diag', password: 'env:SQL_DIAG_PASSWORD' } }
+      }]
+    });
+
+    try {
+      const updated = await inventory.update('srv-1', {
+        environment: 'prod',
+        connection: { authentication: { type: 'sql', username: 'diag', password: 'env:SQL_DIAG_PASSWORD' } }
+      });
+      const { connectionConfig } = await inventory.resolve({ serverId: 'srv-1' });
+
+      expect(updated.environment).toBe('prod');
+      expect(connectionConfig.authentication.password).toBe('from-the-environment');
+    } finally {
+      delete process.env.SQL_DIAG_PASSWORD;
+    }
+  });
+});
@@ -0,0 +1,41 @@
+const SqlErrorClassifier = require('../../src/core/SqlErrorClassifier');
+
+describe('SqlErrorClassifier', () => {
+  test('classifies deadlocks and Azure throttling as transient', () => {
+    expect(SqlErrorClassifier.classify({ number: 1205 })).toEqual({ category: 'transient', reason: 'deadlock victim', number: 1205 });
+    expect(SqlErrorClassifier.classify({ number: 40501 }).category).toBe('transient');
+  });
+
+  test('classifies permission and syntax errors as permanent', () => {
+    expect(SqlErrorClassifier.classify({ number: 229 })).toEqual({ category: 'permanent', reason: 'permission denied', number: 229 });
+    expect(SqlErrorClassifier.classify({ number: 102 }).reason).toBe('syntax error');
+  });
+
+  test('reads the error number from the driver error', () => {
+    const error = { originalError: { info: { number: 1205 } } };
+    expect(SqlErrorClassifier.getErrorNumber(error)).toBe(1205);
+    expect(SqlErrorClassifier.isTransient(error)).toBe(true);
+  });
+
+  test('falls back to driver codes when there is no error number', () => {
+    expect(SqlErrorClassifier.classify({ code: 'ECONNRESET' }).category).toBe('transient');
+    expect(SqlErrorClassifier.classify({ originalError: { code: 'ESOCKET' } }).category).toBe('transient');
+  });
+
+  test('classifies a query that ran out of time as transient', () => {
+    expect(SqlErrorClassifier.classify({ code: 'ETIMEOUT', number: -2 })).toEqual({ category: 'transient', reason: 'timeout', number: -2 });
+    expect(SqlErrorClassifier.classify({ number: -2 }).category).toBe('transient');
+    expect(SqlErrorClassifier.classify({ originalError: { code: 'ETIMEOUT' } }).reason).toBe('timeout');
+    expect(SqlErrorClassifier.classify({ number: 1222 }).reason).toBe('lock request timeout');
+  });
+
+  test('never retries a cancelled query', () => {
+    expect(SqlErrorClassifier.classify({ code: 'ECANCEL', number: 1205 })).toEqual({ category: 'permanent', reason: 'cancelled', number: 1205 });
+  });
+
+  test('treats anything else as unknown', () => {
+    expect(SqlErrorClassifier.classify(new Error('boom'))).toEqual({ category: 'unknown', reason: 'unclassified error', number: null });
+    expect(SqlErrorClassifier.classify(null).category).toBe('unknown');
+    expect(SqlErrorClassifier.isTransient({ number: 50000 })).toBe(false);
+  });
+});
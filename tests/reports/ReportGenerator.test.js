@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const QueryParser = require('../../src/core/QueryParser');
+const ReportGenerator = require('../../src/reports/ReportGenerator');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const payload = '<img src=x onerror=alert(1)>';
+
+function diagnosticReport(fields = {}) {
+  return {
+    id: 'diagnostic-test',
+    timestamp: '2026-10-19T10:00:00.000Z',
+    serverInfo: { serverName: 'SQL01', version: 'Microsoft SQL Server 2022', productVersion: '16.0.4135.4', majorVersion: 16, edition: 'Enterprise', platform: 'sql-server' },
+    queryResults: [],
+    healthFindings: [],
+    executionSummary: { totalQueries: 0, successful: 0, failed: 0, skipped: 0, blocked: 0, executionTime: 0 },
+    ...fields
+  };
+}
+
+function fleetReport(server = {}) {
+  return {
+    id: 'fleet-test',
+    type: 'fleet',
+    timestamp: '2026-10-19T10:00:00.000Z',
+    executionSummary: { totalServers: 1, completed: 0, failed: 1, executionTime: 0, concurrency: 1 },
+    servers: [{
+      name: payload,
+      status: 'failed',
+      error: payload,
+      inventory: { name: payload, environment: 'prod', group: 'emea' },
+      version: '16.0.4135.4',
+      edition: 'Enterprise',
+      findings: [{ check: 'pageLifeExpectancy', severity: 'warning', message: payload }],
+      ...server
+    }]
+  };
+}
+
+describe('ReportGenerator', () => {
+  const generator = new ReportGenerator({}, logger);
+
+  test('escapes saved server and connection details in the diagnostic report', () => {
+    const report = diagnosticReport({
+      inventory: { name: payload, environment: payload, group: payload, owner: payload }
+    });
+    report.serverInfo.connection = { server: payload, instanceName: payload, database: payload, applicationIntent: payload };
+    const html = generator.buildHTMLReport(report);
+
+    expect(html).not.toContain(payload);
+    expect(html).toContain('Saved server: &lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('<div class="label">&lt;img src=x onerror=alert(1)&gt;\\&lt;img src=x onerror=alert(1)&gt; · &lt;img');
+  });
+
+  test('escapes query names, sections and errors from an uploaded pack', () => {
+    // Pack query names sit in parentheses, so this payload has none
+    const markup = '<script>document.location=`//evil.example`</script>';
+    const pack = [
+      `-- Top waits for the instance (Query 1) (${markup})`,
+      'SELECT wait_type, wait_time_ms FROM sys.dm_os_wait_stats;',
+      '------',
+      ''
+    ].join('\n');
+    const [query] = new QueryParser(logger).parseGlenBerryQueries(pack, null);
+
+    const html = generator.buildHTMLReport(diagnosticReport({
+      queryResults: [
+        { ...query, success: false, error: payload, executionTime: 5 },
+        { ...query, section: markup, success: true, rowCount: 1, data: [{ [markup]: payload }], executionTime: 5 }
+      ],
+      healthFindings: [{ check: markup, queryName: query.name, severity: 'warning', message: payload, matches: 1 }],
+      guard: { counts: { 'select-only': 0, 'dbcc-read-only': 0, mutating: 1 }, findings: [{ name: query.name, action: 'blocked', reasons: ['writes to t'] }] },
+      preflight: { mode: 'skip', capabilities: { loginName: 'monitor' }, predictions: [{ name: query.name, database: markup, reasons: [payload] }] }
+    }));
+
+    expect(query.name).toBe(markup);
+    expect(html).not.toContain(markup);
+    expect(html).not.toContain(payload);
+    expect(html).toContain('<h4>&lt;script&gt;document.location=`//evil.example`&lt;/script&gt; ');
+  });
+
+  test('escapes server names, errors and findings in the fleet report', () => {
+    const html = generator.buildHTMLReport(fleetReport());
+
+    expect(html).not.toContain(payload);
+    expect(html).toContain('<strong>&lt;img src=x onerror=alert(1)&gt;</strong>');
+  });
+
+  test('doubles quotes inside fleet CSV fields', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+    const csvGenerator = new ReportGenerator({ output: { directory } }, logger);
+
+    try {
+      const csvPath = await csvGenerator.generateCSV(fleetReport({ name: 'SQL "A"', error: 'Login failed for "svc"' }));
+      const [, row] = (await fs.readFile(csvPath, 'utf8')).split('\n');
+
+      expect(row.startsWith('"SQL ""A""","prod","emea",failed,')).toBe(true);
+      expect(row.endsWith(',"Login failed for ""svc"""')).toBe(true);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
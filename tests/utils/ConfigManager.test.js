@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../../src/utils/ConfigManager');
+
+describe('ConfigManager', () => {
+  describe('shared sections', () => {
+    test('the CLI and web configs start from the same defaults', () => {
+      const cli = ConfigManager.getDefaultConfig();
+      const web = ConfigManager.getDefaultWebConfig();
+
+      for (const section of ['queries', 'encryption', 'secrets', 'ai', 'health', 'logging']) {
+        expect(web[section]).toEqual(cli[section]);
+      }
+    });
+
+    test('each call returns a fresh copy', () => {
+      const first = ConfigManager.getDefaultWebConfig();
+      first.queries.allowMutating.push('glen-berry-1');
+
+      expect(ConfigManager.getDefaultWebConfig().queries.allowMutating).toEqual([]);
+    });
+
+    test.each([
+      [{ timeout: 500 }, 'Query timeout must be at least 1000ms'],
+      [{ maxRetries: -1 }, 'Max retries cannot be negative'],
+      [{ timeoutOverrides: { 'top-waits': 10 } }, 'Timeout override for top-waits must be at least 1000ms'],
+      [{ preflight: 'maybe' }, 'Pre-flight mode must be one of: skip, warn, off'],
+      [{ packIntegrity: 'lax' }, /Query pack integrity mode/],
+      [{ readOnlyGuard: 'allow' }, /Read-only guard mode/],
+      [{ concurrency: 11 }, 'Query concurrency must be between 1 and 10']
+    ])('both configs reject queries %j', (queries, message) => {
+      const cli = ConfigManager.getDefaultConfig();
+      cli.server = 'sql01';
+      cli.authentication = { type: 'windows' };
+      const web = ConfigManager.getDefaultWebConfig();
+
+      Object.assign(cli.queries, queries);
+      Object.assign(web.queries, queries);
+
+      expect(() => ConfigManager.validateConfig(cli)).toThrow(message);
+      expect(() => ConfigManager.validateWebConfig(web)).toThrow(message);
+    });
+  });
+
+  describe('load', () => {
+    let configDir;
+    let configPath;
+
+    beforeEach(async () => {
+      configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-manager-'));
+      configPath = path.join(configDir, 'config.json');
+      await fs.outputJson(configPath, { server: 'sql01', database: 'Sales', authentication: { type: 'windows' } });
+    });
+
+    afterEach(async () => {
+      await fs.remove(configDir);
+    });
+
+    test('keeps the config file\'s database unless the command line names one', async () => {
+      await expect(ConfigManager.load(configPath, {})).resolves.toEqual(expect.objectContaining({ database: 'Sales' }));
+      await expect(ConfigManager.load(configPath, { database: 'HR' })).resolves.toEqual(expect.objectContaining({ database: 'HR' }));
+    });
+
+    test('connects to master when neither names a database', async () => {
+      const config = await ConfigManager.load(path.join(configDir, 'missing.json'), { server: 'sql01', trusted: true });
+
+      expect(config.database).toBe('master');
+    });
+  });
+
+  describe('validateAuthentication', () => {
+    test.each([
+      [{ type: 'sql', username: 'monitor', password: 'secret' }],
+      [{ type: 'windows' }],
+      [{ type: 'ntlm', domain: 'CORP', username: 'monitor', password: 'secret' }],
+      [{ type: 'azure-ad-password', username: 'dba@corp.example.com', password: 'secret', tenantId: 'tenant' }],
+      [{ type: 'azure-ad-service-principal', clientId: 'app', clientSecret: 'secret', tenantId: 'tenant' }],
+      [{ type: 'azure-ad-managed-identity' }],
+      [{ type: 'azure-ad-access-token', token: 'eyJ0eXAi' }]
+    ])('accepts %j', (authentication) => {
+      expect(ConfigManager.validateAuthentication(authentication)).toBe(true);
+    });
+
+    test.each([
+      [{ username: 'monitor' }, 'Password is required for SQL Server authentication'],
+      [{ type: 'ntlm', username: 'monitor', password: 'secret' }, 'Domain is required for NTLM authentication'],
+      [{ type: 'azure-ad-password', username: 'dba@corp.example.com', password: 'secret' }, 'Tenant id is required for Azure AD password authentication'],
+      [{ type: 'azure-ad-service-principal', clientId: 'app', tenantId: 'tenant' }, 'Client secret is required for Azure AD service principal authentication'],
+      [{ type: 'azure-ad-access-token' }, 'Access token is required for Azure AD access token authentication'],
+      [{ type: 'kerberos' }, /Authentication type must be one of: sql, windows, ntlm/]
+    ])('rejects %j', (authentication, message) => {
+      expect(() => ConfigManager.validateAuthentication(authentication)).toThrow(message);
+    });
+  });
+
+  describe('applyLiveSettings', () => {
+    function liveConfig() {
+      const config = ConfigManager.getDefaultWebConfig();
+      config.queries.readOnlyGuard = 'block';
+      config.queries.packIntegrity = 'enforce';
+      config.encryption.mode = 'strict';
+      return config;
+    }
+
+    test('applies live sections at once', () => {
+      const config = liveConfig();
+
+      const outcome = ConfigManager.applyLiveSettings(config, { queries: { timeout: 60000 }, web: { port: 8080 } });
+
+      expect(outcome).toEqual({ applied: ['queries'], restartRequired: ['web'] });
+      expect(config.queries.timeout).toBe(60000);
+    });
+
+    test('leaves the read-only guard, pack integrity and encryption for a restart', () => {
+      const config = liveConfig();
+
+      const outcome = ConfigManager.applyLiveSettings(config, {
+        queries: { readOnlyGuard: 'off', packIntegrity: 'off', timeout: 60000 },
+        encryption: { mode: 'optional' }
+      });
+
+      expect(outcome).toEqual({
+        applied: ['queries'],
+        restartRequired: ['queries.readOnlyGuard', 'queries.packIntegrity', 'encryption']
+      });
+      expect(config.queries).toEqual(expect.objectContaining({ readOnlyGuard: 'block', packIntegrity: 'enforce', timeout: 60000 }));
+      expect(config.encryption.mode).toBe('strict');
+    });
+
+    test('leaves the mutating allowlist, rollback wrapping and online fallback for a restart', () => {
+      const config = liveConfig();
+      config.queries.onlineFallback = false;
+
+      const outcome = ConfigManager.applyLiveSettings(config, {
+        queries: { allowMutating: ['glen-berry-1-version-info'], rollbackTransaction: true, onlineFallback: true }
+      });
+
+      expect(outcome).toEqual({
+        applied: [],
+        restartRequired: ['queries.allowMutating', 'queries.rollbackTransaction', 'queries.onlineFallback']
+      });
+      expect(config.queries).toEqual(expect.objectContaining({ allowMutating: [], rollbackTransaction: false, onlineFallback: false }));
+    });
+  });
+
+  describe('normalizeRunOptions', () => {
+    test('accepts selection lists as arrays or comma-separated strings', () => {
+      expect(ConfigManager.normalizeRunOptions({
+        include: { sections: 'Instance Level Queries, Database Level Queries', queryIds: ['glen-berry-1-version-info'] },
+        exclude: { names: '*Backup*' }
+      })).toEqual({
+        include: { sections: ['Instance Level Queries', 'Database Level Queries'], queryIds: ['glen-berry-1-version-info'] },
+        exclude: { names: ['*Backup*'] }
+      });
+      expect(ConfigManager.normalizeRunOptions(undefined)).toEqual({});
+    });
+
+    test('accepts database names as a list or a comma-separated string', () => {
+      expect(ConfigManager.normalizeRunOptions({ databases: 'Sales, HR' })).toEqual({ databases: ['Sales', 'HR'] });
+      expect(ConfigManager.normalizeRunOptions({ databases: 'all' })).toEqual({ databases: 'all' });
+      expect(ConfigManager.normalizeRunOptions({ databases: ['Sales'] })).toEqual({ databases: ['Sales'] });
+    });
+
+    test.each([
+      ['a list', ['glen-berry-1'], 'Invalid query options: must be an object'],
+      ['a non-array selection list', { include: { sections: 5 } }, 'Invalid query options: queries.include.sections must be of type array'],
+      ['a selection that is a string', { exclude: 'Instance Level Queries' }, 'Invalid query options: queries.exclude must be of type object'],
+      ['an unknown selection field', { include: { tags: ['io'] } }, /queries\.include\.tags/],
+      ['databases that are not names', { databases: { 0: 'Sales' } }, /queries\.databases/],
+      ['a database list with a non-name entry', { databases: ['Sales', 5] }, /queries\.databases/]
+    ])('rejects %s', (_, queryOptions, message) => {
+      expect(() => ConfigManager.normalizeRunOptions(queryOptions)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const ConnectionStringParser = require('../../src/utils/ConnectionStringParser');
+
+describe('ConnectionStringParser', () => {
+  describe('parse', () => {
+    test('reads an ADO.NET connection string', () => {
+      const { config, ignored, unknown } = ConnectionStringParser.parse(
+        'Server=tcp:sql01\\SALES,14330;Initial Catalog=Orders;User ID=app;Password=secret;' +
+        'ApplicationIntent=ReadOnly;MultiSubnetFailover=True;Encrypt=True;Pooling=false'
+      );
+
+      expect(config).toEqual({
+        server: 'sql01',
+        instanceName: 'SALES',
+        port: 14330,
+        database: 'Orders',
+        applicationIntent: 'ReadOnly',
+        multiSubnetFailover: true,
+        authentication: { type: 'sql', username: 'app', password: 'secret' }
+      });
+      expect(ignored).toEqual(['Encrypt']);
+      expect(unknown).toEqual(['Pooling']);
+    });
+
+    test('reads ODBC keywords and trusted connections', () => {
+      const { config } = ConnectionStringParser.parse('Driver={ODBC Driver 18 for SQL Server};Server=(local);Database=master;Trusted_Connection=yes');
+      expect(config).toEqual({ server: 'localhost', database: 'master', authentication: { type: 'windows' } });
+    });
+
+    test('maps DOMAIN\\user credentials to NTLM', () => {
+      const { config } = ConnectionStringParser.parse('Server=sql01;User ID=CORP\\svc;Password=pw');
+      expect(config.authentication).toEqual({ type: 'ntlm', domain: 'CORP', username: 'svc', password: 'pw' });
+    });
+
+    test('maps Azure AD authentication methods', () => {
+      const principal = ConnectionStringParser.parse('Server=x.database.windows.net;Authentication=Active Directory Service Principal;User ID=client;Password=s');
+      expect(principal.config.authentication).toEqual({ type: 'azure-ad-service-principal', clientId: 'client', clientSecret: 's' });
+
+      const identity = ConnectionStringParser.parse('Server=x;Authentication=ActiveDirectoryMSI');
+      expect(identity.config.authentication).toEqual({ type: 'azure-ad-managed-identity' });
+    });
+
+    test('rejects unsupported authentication methods', () => {
+      expect(() => ConnectionStringParser.parse('Server=x;Authentication=ActiveDirectoryInteractive')).toThrow(/Unsupported authentication method/);
+    });
+  });
+
+  describe('tokenize', () => {
+    test('keeps semicolons and doubled quotes inside quoted values', () => {
+      expect(ConnectionStringParser.tokenize('Password="a;b""c";Server={x;y}}z};User=\'it\'\'s\'')).toEqual([
+        ['Password', 'a;b"c'],
+        ['Server', 'x;y}z'],
+        ['User', 'it\'s']
+      ]);
+    });
+
+    test('rejects text without a keyword', () => {
+      expect(() => ConnectionStringParser.tokenize('Server=x;garbage')).toThrow(/near 'garbage'/);
+      expect(() => ConnectionStringParser.tokenize('=value')).toThrow(/empty keyword/);
+    });
+  });
+
+  describe('parseServer', () => {
+    test('splits host, instance and port', () => {
+      expect(ConnectionStringParser.parseServer('sql01,1433')).toEqual({ server: 'sql01', port: 1433 });
+      expect(ConnectionStringParser.parseServer('.\\SQLEXPRESS')).toEqual({ server: 'localhost', instanceName: 'SQLEXPRESS' });
+    });
+
+    test('rejects bad ports and non-TCP protocols', () => {
+      expect(() => ConnectionStringParser.parseServer('sql01,99999')).toThrow(/Invalid port/);
+      expect(() => ConnectionStringParser.parseServer('np:\\\\sql01\\pipe\\sql\\query')).toThrow(/only TCP/);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const SchemaValidator = require('../../src/utils/SchemaValidator');
+
+const schema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    mode: { enum: ['block', 'warn', 'off'] },
+    timeout: { type: 'integer', minimum: 1000, maximum: 600000 },
+    tags: { type: 'array', items: { type: 'string' } },
+    limit: { anyOf: [{ type: 'integer' }, { type: 'null' }], description: 'an integer or null' },
+    overrides: { type: 'object', additionalProperties: { type: 'integer' } }
+  }
+};
+
+describe('SchemaValidator', () => {
+  test('accepts a valid value', () => {
+    expect(SchemaValidator.validate(schema, {
+      name: 'x',
+      mode: 'warn',
+      timeout: 30000,
+      tags: ['a'],
+      limit: null,
+      overrides: { 'glen-berry-1': 5000 }
+    })).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    const errors = SchemaValidator.validate(schema, {
+      name: '',
+      mode: 'on',
+      timeout: 10,
+      tags: ['a', 2],
+      limit: 'none',
+      overrides: { q: 'slow' },
+      extra: true
+    });
+
+    expect(errors).toEqual([
+      { path: 'name', message: 'is required' },
+      { path: 'name', message: 'must not be empty' },
+      { path: 'mode', message: 'must be one of: block, warn, off' },
+      { path: 'timeout', message: 'must be at least 1000' },
+      { path: 'tags[1]', message: 'must be of type string' },
+      { path: 'limit', message: 'must be an integer or null' },
+      { path: 'overrides.q', message: 'must be of type integer' },
+      { path: 'extra', message: 'is not a recognised setting' }
+    ]);
+  });
+
+  test('checks types strictly', () => {
+    expect(SchemaValidator.matchesType('integer', 1.5)).toBe(false);
+    expect(SchemaValidator.matchesType('number', NaN)).toBe(false);
+    expect(SchemaValidator.matchesType('object', [])).toBe(false);
+    expect(SchemaValidator.matchesType(['string', 'null'], null)).toBe(true);
+  });
+
+  test('skips undefined fields', () => {
+    expect(SchemaValidator.validate(schema, { name: 'x', mode: undefined })).toEqual([]);
+  });
+});
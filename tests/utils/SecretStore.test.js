@@ -0,0 +1,77 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SecretStore = require('../../src/utils/SecretStore');
+
+describe('SecretStore', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'secrets-'));
+    delete process.env.SQLDIAG_MASTER_KEY;
+    delete process.env.SQLDIAG_MASTER_KEY_FILE;
+  });
+
+  afterEach(async () => {
+    delete process.env.SQLDIAG_MASTER_KEY;
+    await fs.remove(root);
+  });
+
+  describe('master key', () => {
+    test('is not created in the data directory by default', async () => {
+      const store = new SecretStore({ dataDir: path.join(root, 'data') });
+
+      await expect(store.protect({ password: 'hunter2' })).rejects.toThrow(/SQLDIAG_MASTER_KEY/);
+      expect(await fs.pathExists(path.join(root, 'data', 'master.key'))).toBe(false);
+    });
+
+    test('refuses a key file inside the data directory', async () => {
+      const store = new SecretStore({ dataDir: path.join(root, 'data'), secrets: { keyFile: path.join(root, 'data', 'keys', 'master.key') } });
+
+      await expect(store.protect({ password: 'hunter2' })).rejects.toThrow(/inside the data directory/);
+    });
+
+    test('creates a key file outside the data directory and round-trips secrets', async () => {
+      const keyFile = path.join(root, 'keys', 'master.key');
+      const store = new SecretStore({ dataDir: path.join(root, 'data'), secrets: { keyFile } });
+
+      const saved = await store.protect({ authentication: { password: 'hunter2' } });
+
+      expect(SecretStore.isEncrypted(saved.authentication.password)).toBe(true);
+      expect(await fs.pathExists(keyFile)).toBe(true);
+      expect(await new SecretStore({ dataDir: path.join(root, 'data'), secrets: { keyFile } }).resolve(saved))
+        .toEqual({ authentication: { password: 'hunter2' } });
+    });
+
+    test('comes from the environment', async () => {
+      process.env.SQLDIAG_MASTER_KEY = 'a-long-random-key';
+      const store = new SecretStore({ dataDir: path.join(root, 'data') });
+
+      const saved = await store.protect({ password: 'hunter2' });
+      await expect(store.resolve(saved)).resolves.toEqual({ password: 'hunter2' });
+    });
+  });
+
+  describe('references', () => {
+    test('never resolve the master key', async () => {
+      process.env.SQLDIAG_MASTER_KEY = 'a-long-random-key';
+      const store = new SecretStore({ dataDir: path.join(root, 'data') });
+
+      await expect(store.resolve({ password: 'env:SQLDIAG_MASTER_KEY' })).rejects.toThrow(/master key/);
+    });
+
+    test('new references are rejected', () => {
+      expect(() => SecretStore.rejectNewReferences({ authentication: { password: 'env:OPENAI_API_KEY' } }, null))
+        .toThrow(/password cannot be set to a secret reference/);
+      expect(() => SecretStore.rejectNewReferences({ ai: { openai: { apiKey: 'secret:openai-api-key' } } }, { ai: { openai: { apiKey: 'enc:v1:x' } } }))
+        .toThrow(/apiKey/);
+    });
+
+    test('references already stored in the same place are kept', () => {
+      const stored = { authentication: { type: 'sql', password: 'env:SQL_DIAG_PASSWORD' } };
+
+      expect(() => SecretStore.rejectNewReferences({ authentication: { type: 'sql', password: 'env:SQL_DIAG_PASSWORD' } }, stored)).not.toThrow();
+      expect(() => SecretStore.rejectNewReferences({ authentication: { type: 'sql', password: 'hunter2' } }, stored)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const WebServer = require('../../src/web/WebServer');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('WebServer', () => {
+  test('prunes fleet jobs an hour after they finish', () => {
+    const webServer = new WebServer({ web: {} }, logger);
+    const now = Date.parse('2026-01-01T12:00:00Z');
+
+    webServer.fleetJobs.set('running', { runner: { finishedAt: null } });
+    webServer.fleetJobs.set('recent', { runner: { finishedAt: '2026-01-01T11:30:00Z' } });
+    webServer.fleetJobs.set('old', { runner: { finishedAt: '2026-01-01T10:30:00Z' } });
+
+    webServer.pruneFleetJobs(now);
+
+    expect(Array.from(webServer.fleetJobs.keys())).toEqual(['running', 'recent']);
+  });
+
+  test('only cancels fleet jobs the socket started', () => {
+    const webServer = new WebServer({ web: {} }, logger);
+    const socket = { id: 'socket-1' };
+    const job = socketId => ({ runner: { cancel: jest.fn() }, socketId });
+
+    webServer.fleetJobs.set('own', job('socket-1'));
+    webServer.fleetJobs.set('other', job('socket-2'));
+    webServer.fleetJobs.set('api', job(null));
+
+    expect(webServer.cancelFleetJob(socket, 'other')).toBe(false);
+    expect(webServer.cancelFleetJob(socket, 'api')).toBe(false);
+    expect(webServer.cancelFleetJob(socket, 'missing')).toBe(false);
+    expect(webServer.cancelFleetJob(socket, 'own')).toBe(true);
+
+    expect(webServer.fleetJobs.get('own').runner.cancel).toHaveBeenCalledWith('Cancelled by user');
+    expect(webServer.fleetJobs.get('other').runner.cancel).not.toHaveBeenCalled();
+    expect(webServer.fleetJobs.get('api').runner.cancel).not.toHaveBeenCalled();
+  });
+
+  test('rejects a run whose query selection is malformed before it starts', async () => {
+    const webServer = new WebServer({ web: {}, queries: {} }, logger);
+    const socket = { id: 'socket-1', emit: jest.fn() };
+
+    await expect(webServer.handleDiagnosticExecution(socket, {
+      connectionConfig: { server: 'sql01' },
+      queryOptions: { include: { queryIds: { 0: 'glen-berry-1' } } }
+    })).rejects.toThrow('Invalid query options: queries.include.queryIds must be of type array');
+
+    expect(socket.emit).not.toHaveBeenCalled();
+    expect(webServer.activeRuns.size).toBe(0);
+  });
+});
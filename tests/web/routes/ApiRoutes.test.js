@@ -0,0 +1,81 @@
+jest.mock('../../../src/core/ConnectionManager');
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConnectionManager = require('../../../src/core/ConnectionManager');
+const ApiRoutes = require('../../../src/web/routes/ApiRoutes');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('ApiRoutes', () => {
+  describe('testConnection', () => {
+    const request = { body: { server: 'sql01', authentication: { type: 'windows' } } };
+    let apiRoutes;
+
+    beforeEach(() => {
+      ConnectionManager.mockClear();
+      apiRoutes = new ApiRoutes({ dataDir: '/nonexistent', encryption: {}, queries: {} }, logger);
+    });
+
+    test('closes the connection after reading the server info', async () => {
+      ConnectionManager.prototype.getServerInfo.mockResolvedValue({ serverName: 'sql01' });
+      const res = response();
+
+      await apiRoutes.testConnection(request, res);
+
+      expect(res.json).toHaveBeenCalledWith({ success: true, serverInfo: { serverName: 'sql01' } });
+      expect(ConnectionManager.mock.instances[0].disconnect).toHaveBeenCalled();
+    });
+
+    test('closes the connection when reading the server info fails', async () => {
+      ConnectionManager.prototype.getServerInfo.mockRejectedValue(new Error('permission denied'));
+      const res = response();
+
+      await apiRoutes.testConnection(request, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'permission denied' });
+      expect(ConnectionManager.mock.instances[0].disconnect).toHaveBeenCalled();
+    });
+  });
+
+  describe('saveConfig', () => {
+    test('rejects secret references sent by a client', async () => {
+      const apiRoutes = new ApiRoutes({ dataDir: '/nonexistent', encryption: {}, queries: {} }, logger);
+      const res = response();
+
+      await apiRoutes.saveConfig({ body: { ai: { provider: 'openai', openai: { apiKey: 'env:SQLDIAG_MASTER_KEY' } } } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.stringMatching(/apiKey cannot be set to a secret reference/) });
+    });
+
+    test('explains that a secret cannot be saved without a master key', async () => {
+      const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-routes-'));
+      const saved = { SQLDIAG_MASTER_KEY: process.env.SQLDIAG_MASTER_KEY, SQLDIAG_MASTER_KEY_FILE: process.env.SQLDIAG_MASTER_KEY_FILE };
+      Object.keys(saved).forEach(name => delete process.env[name]);
+
+      try {
+        const apiRoutes = new ApiRoutes({ dataDir, encryption: {}, queries: {} }, logger);
+        const res = response();
+
+        await apiRoutes.saveConfig({ body: { ai: { provider: 'openai', openai: { apiKey: 'sk-test' } } } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ error: expect.stringMatching(/Encrypted secrets need the master key: set SQLDIAG_MASTER_KEY/) });
+        expect(await fs.pathExists(path.join(dataDir, 'config.json'))).toBe(false);
+      } finally {
+        Object.entries(saved).filter(([, value]) => value !== undefined).forEach(([name, value]) => { process.env[name] = value; });
+        await fs.remove(dataDir);
+      }
+    });
+  });
+});